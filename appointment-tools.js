@@ -0,0 +1,342 @@
+// appointment-tools.js
+
+import supabase from './supabaseClient.js';
+import {
+  createGoogleCalendarEvent,
+  updateGoogleCalendarEvent,
+  deleteGoogleCalendarEvent,
+} from './google-calendar.js';
+import {
+  getAvailableSlots,
+  checkSlotAvailable,
+  isValidDurationMinutes,
+  DEFAULT_TIME_ZONE,
+  MIN_APPOINTMENT_MINUTES,
+  MAX_APPOINTMENT_MINUTES,
+} from './availability.js';
+
+/**
+ * OpenAI tool definitions that let the receptionist manage appointments.
+ */
+export const APPOINTMENT_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'check_availability',
+      description: 'List bookable appointment slots between two ISO 8601 date-times, taking opening hours, closures and existing bookings into account. Use this before proposing or booking a slot.',
+      parameters: {
+        type: 'object',
+        properties: {
+          start_time: { type: 'string', description: 'Start of the range to check, ISO 8601 date-time.' },
+          end_time: { type: 'string', description: 'End of the range to check, ISO 8601 date-time.' },
+          time_zone: { type: 'string', description: 'The customer\'s IANA time zone, if they mentioned one (e.g. America/New_York).' },
+          duration_minutes: { type: 'integer', description: 'Appointment length in minutes (5-480), if the customer needs a non-standard length.' },
+        },
+        required: ['start_time', 'end_time'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'book_appointment',
+      description: 'Book an appointment for the customer once they have confirmed a specific time.',
+      parameters: {
+        type: 'object',
+        properties: {
+          start_time: { type: 'string', description: 'Appointment start, ISO 8601 date-time.' },
+          end_time: { type: 'string', description: 'Appointment end, ISO 8601 date-time.' },
+          summary: { type: 'string', description: 'Short title, e.g. the service requested.' },
+          customer_name: { type: 'string', description: 'Customer name, if known.' },
+          notes: { type: 'string', description: 'Any extra details the customer shared.' },
+        },
+        required: ['start_time', 'end_time', 'summary'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_my_appointments',
+      description: 'List the customer\'s upcoming booked appointments, including their IDs.',
+      parameters: { type: 'object', properties: {} },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'reschedule_appointment',
+      description: 'Move one of the customer\'s existing appointments to a new confirmed time.',
+      parameters: {
+        type: 'object',
+        properties: {
+          appointment_id: { type: 'number', description: 'ID from list_my_appointments.' },
+          start_time: { type: 'string', description: 'New start, ISO 8601 date-time.' },
+          end_time: { type: 'string', description: 'New end, ISO 8601 date-time.' },
+        },
+        required: ['appointment_id', 'start_time', 'end_time'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'cancel_appointment',
+      description: 'Cancel one of the customer\'s existing appointments after they confirm.',
+      parameters: {
+        type: 'object',
+        properties: {
+          appointment_id: { type: 'number', description: 'ID from list_my_appointments.' },
+        },
+        required: ['appointment_id'],
+      },
+    },
+  },
+];
+
+/**
+ * Build the filter that ties appointments to the contact the assistant is talking to.
+ * @param {object} contact - The contact ({ igId, phone }).
+ * @returns {object|null} - Column/value pair to match on, or null if the contact is unknown.
+ */
+function contactFilter(contact) {
+  if (contact?.igId) return { column: 'contact_ig_id', value: contact.igId };
+  if (contact?.phone) return { column: 'contact_phone', value: contact.phone };
+  return null;
+}
+
+/**
+ * Validate that a start/end pair is a sensible future time range.
+ * @param {string} startTime - ISO start.
+ * @param {string} endTime - ISO end.
+ * @returns {string|null} - An error message or null if valid.
+ */
+function validateTimeRange(startTime, endTime) {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  if (isNaN(start) || isNaN(end)) return 'start_time and end_time must be valid ISO 8601 date-times.';
+  if (end <= start) return 'end_time must be after start_time.';
+  if (!isValidDurationMinutes((end - start) / 60000)) {
+    return `Appointments must last a whole number of minutes between ${MIN_APPOINTMENT_MINUTES} and ${MAX_APPOINTMENT_MINUTES}.`;
+  }
+  if (start < new Date()) return 'Appointments cannot be booked in the past.';
+  return null;
+}
+
+/**
+ * Fetch one appointment, making sure it belongs to this business and contact.
+ * @param {number} appointmentId - The appointment ID.
+ * @param {object} context - Tool context.
+ * @returns {Promise<object|null>} - The appointment row or null.
+ */
+async function fetchOwnedAppointment(appointmentId, { businessId, contact }) {
+  const filter = contactFilter(contact);
+  if (!filter) return null;
+
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('*')
+    .eq('id', appointmentId)
+    .eq('business_id', businessId)
+    .eq(filter.column, filter.value)
+    .eq('status', 'booked')
+    .single();
+
+  if (error || !data) {
+    console.warn(`[WARN] Appointment ${appointmentId} not found for businessId=${businessId}:`, error?.message || 'No data found');
+    return null;
+  }
+  return data;
+}
+
+async function checkAvailability({ start_time, end_time, time_zone, duration_minutes }, { businessId }) {
+  if (duration_minutes != null && !isValidDurationMinutes(duration_minutes)) {
+    return { error: `duration_minutes must be a whole number between ${MIN_APPOINTMENT_MINUTES} and ${MAX_APPOINTMENT_MINUTES}.` };
+  }
+  return getAvailableSlots(businessId, {
+    from: start_time,
+    to: end_time,
+    customerTimeZone: time_zone,
+    durationMinutes: duration_minutes ?? null,
+    limit: 10,
+  });
+}
+
+async function bookAppointment({ start_time, end_time, summary, customer_name, notes }, { businessId, contact, timeZone }) {
+  const rangeError = validateTimeRange(start_time, end_time);
+  if (rangeError) return { error: rangeError };
+
+  // Re-check the slot right before booking so two customers cannot take the same time
+  const slot = await checkSlotAvailable(businessId, start_time, end_time);
+  if (!slot.available) return { error: slot.reason, busy: slot.busy };
+
+  const contactLabel = customer_name || contact?.username || contact?.phone || contact?.igId || 'Customer';
+  const event = await createGoogleCalendarEvent(businessId, {
+    summary: `${summary} - ${contactLabel}`,
+    description: [notes, contact?.phone && `Phone: ${contact.phone}`, contact?.igId && `Instagram ID: ${contact.igId}`]
+      .filter(Boolean)
+      .join('\n'),
+    startDateTime: start_time,
+    endDateTime: end_time,
+    timeZone,
+  });
+
+  const { data, error } = await supabase
+    .from('appointments')
+    .insert([{
+      business_id: businessId,
+      google_event_id: event.id,
+      summary,
+      customer_name: customer_name || contact?.username || null,
+      contact_ig_id: contact?.igId || null,
+      contact_phone: contact?.phone || null,
+      start_time,
+      end_time,
+      time_zone: timeZone,
+      notes: notes || null,
+      status: 'booked',
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[ERROR] Failed to record appointment:', error.message);
+    // Remove the event again so the calendar does not show a booking we have no record of
+    try {
+      await deleteGoogleCalendarEvent(businessId, event.id);
+    } catch (deleteError) {
+      console.error(`[ERROR] Failed to remove orphaned calendar event ${event.id}:`, deleteError.message);
+    }
+    return { error: 'The booking could not be saved. Please try again.' };
+  }
+
+  console.log(`[INFO] Appointment ${data.id} booked for businessId=${businessId}`);
+  return { appointment_id: data.id, start_time, end_time, summary };
+}
+
+async function listMyAppointments(args, { businessId, contact }) {
+  const filter = contactFilter(contact);
+  if (!filter) return { appointments: [] };
+
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('id, summary, start_time, end_time, time_zone')
+    .eq('business_id', businessId)
+    .eq(filter.column, filter.value)
+    .eq('status', 'booked')
+    .gte('start_time', new Date().toISOString())
+    .order('start_time', { ascending: true });
+
+  if (error) {
+    console.error('[ERROR] Failed to list appointments:', error.message);
+    return { error: 'Could not load appointments.' };
+  }
+  return { appointments: data || [] };
+}
+
+async function rescheduleAppointment({ appointment_id, start_time, end_time }, context) {
+  const appointment = await fetchOwnedAppointment(appointment_id, context);
+  if (!appointment) return { error: 'Appointment not found.' };
+
+  const rangeError = validateTimeRange(start_time, end_time);
+  if (rangeError) return { error: rangeError };
+
+  // Ignore the appointment's own slot when checking the new time
+  const slot = await checkSlotAvailable(context.businessId, start_time, end_time, {
+    ignore: { start: appointment.start_time, end: appointment.end_time },
+  });
+  if (!slot.available) return { error: slot.reason, busy: slot.busy };
+
+  const timeZone = appointment.time_zone || context.timeZone;
+  await updateGoogleCalendarEvent(context.businessId, appointment.google_event_id, {
+    startDateTime: start_time,
+    endDateTime: end_time,
+    timeZone,
+  });
+
+  const { error } = await supabase
+    .from('appointments')
+    .update({ start_time, end_time, updated_at: new Date().toISOString() })
+    .eq('id', appointment.id);
+
+  if (error) {
+    console.error('[ERROR] Failed to update appointment:', error.message);
+    // Move the event back so the calendar keeps matching the booking we have on record
+    try {
+      await updateGoogleCalendarEvent(context.businessId, appointment.google_event_id, {
+        startDateTime: appointment.start_time,
+        endDateTime: appointment.end_time,
+        timeZone,
+      });
+    } catch (restoreError) {
+      console.error(`[ERROR] Failed to restore calendar event ${appointment.google_event_id}:`, restoreError.message);
+    }
+    return { error: 'The appointment could not be rescheduled. Please try again.' };
+  }
+
+  console.log(`[INFO] Appointment ${appointment.id} rescheduled`);
+  return { appointment_id: appointment.id, start_time, end_time };
+}
+
+async function cancelAppointment({ appointment_id }, context) {
+  const appointment = await fetchOwnedAppointment(appointment_id, context);
+  if (!appointment) return { error: 'Appointment not found.' };
+
+  await deleteGoogleCalendarEvent(context.businessId, appointment.google_event_id);
+
+  const { error } = await supabase
+    .from('appointments')
+    .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+    .eq('id', appointment.id);
+
+  if (error) {
+    console.error('[ERROR] Failed to cancel appointment:', error.message);
+    return { error: 'The calendar event was removed but the booking record could not be updated.' };
+  }
+
+  console.log(`[INFO] Appointment ${appointment.id} cancelled`);
+  return { appointment_id: appointment.id, status: 'cancelled' };
+}
+
+const TOOL_HANDLERS = {
+  check_availability: checkAvailability,
+  book_appointment: bookAppointment,
+  list_my_appointments: listMyAppointments,
+  reschedule_appointment: rescheduleAppointment,
+  cancel_appointment: cancelAppointment,
+};
+
+/**
+ * Run a tool call requested by the model.
+ * Errors are returned to the model as `{ error }` so it can explain the problem to the customer.
+ * @param {string} name - The tool name.
+ * @param {string} rawArgs - JSON-encoded arguments from the model.
+ * @param {object} context - Tool context.
+ * @param {number} context.businessId - The internal business ID.
+ * @param {object} context.contact - The contact ({ igId, phone, username }).
+ * @param {string} [context.timeZone] - The business time zone.
+ * @returns {Promise<object>} - The tool result.
+ */
+export async function executeAppointmentTool(name, rawArgs, context) {
+  const handler = TOOL_HANDLERS[name];
+  if (!handler) {
+    console.warn('[WARN] Unknown tool requested by the assistant:', name);
+    return { error: `Unknown tool: ${name}` };
+  }
+
+  let args;
+  try {
+    args = rawArgs ? JSON.parse(rawArgs) : {};
+  } catch (err) {
+    console.error('[ERROR] Invalid tool arguments from the assistant:', rawArgs);
+    return { error: 'Invalid arguments.' };
+  }
+
+  try {
+    console.log(`[DEBUG] Running tool ${name} with args:`, args);
+    return await handler(args, { ...context, timeZone: context.timeZone || DEFAULT_TIME_ZONE });
+  } catch (err) {
+    console.error(`[ERROR] Tool ${name} failed:`, err.message);
+    return { error: 'The calendar is unavailable right now.' };
+  }
+}
@@ -1,12 +1,68 @@
 // assistant.js
 
-import OpenAI from 'openai';
+import openai from './openaiClient.js';
 import supabase from './supabaseClient.js'; // Ensure this path is correct
+import { buildConversationContext } from './conversation-memory.js';
+import { APPOINTMENT_TOOLS, executeAppointmentTool } from './appointment-tools.js';
+import { isValidTimeZone, DEFAULT_TIME_ZONE } from './availability.js';
+import { HANDOFF_TOOLS, HANDOFF_TOOL_NAMES, executeHandoffTool } from './conversation-state.js';
 
-// Initialize OpenAI with your API key
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Upper bound on model/tool round trips for a single reply
+const MAX_TOOL_ROUNDS = 5;
+
+// Lets the assistant show tappable buttons (e.g. "Book now") under its Instagram reply
+const QUICK_REPLY_TOOL = {
+  type: 'function',
+  function: {
+    name: 'offer_quick_replies',
+    description: 'Show up to 5 short tappable reply buttons under your next message, e.g. "Book now" or suggested time slots.',
+    parameters: {
+      type: 'object',
+      properties: {
+        options: {
+          type: 'array',
+          items: { type: 'string', description: 'Button label, at most 20 characters.' },
+        },
+      },
+      required: ['options'],
+    },
+  },
+};
+
+// Let the assistant hand a phone call to staff or to voicemail after its next reply
+const CALL_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'transfer_call',
+      description: 'Transfer the caller to a member of staff after your next reply. Use when the caller asks for a person or needs something outside your role.',
+      parameters: {
+        type: 'object',
+        properties: {
+          reason: { type: 'string', description: 'Short reason for the transfer.' },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'take_voicemail',
+      description: 'Let the caller record a voicemail for the business after your next reply. Use when the caller wants to leave a message.',
+      parameters: {
+        type: 'object',
+        properties: {
+          reason: { type: 'string', description: 'Short reason for the voicemail.' },
+        },
+      },
+    },
+  },
+];
+
+const CALL_TOOL_ACTIONS = {
+  transfer_call: 'transfer',
+  take_voicemail: 'voicemail',
+};
 
 /**
  * Fetches the business configuration based on the provided business ID.
@@ -33,14 +89,65 @@ const getBusinessConfig = async (businessId) => {
   }
 };
 
+/**
+ * Parse the button labels requested through the quick reply tool.
+ * @param {string} rawArgs - JSON-encoded tool arguments.
+ * @returns {Array<string>} - Up to five non-empty labels.
+ */
+const parseQuickReplyOptions = (rawArgs) => {
+  try {
+    const { options } = JSON.parse(rawArgs || '{}');
+    return (Array.isArray(options) ? options : [])
+      .filter((option) => typeof option === 'string' && option.trim())
+      .map((option) => option.trim().slice(0, 20))
+      .slice(0, 5);
+  } catch (err) {
+    console.warn('[WARN] Invalid quick reply arguments:', rawArgs);
+    return [];
+  }
+};
+
+/**
+ * Parse the reason given for a transfer or voicemail.
+ * @param {string} rawArgs - JSON-encoded tool arguments.
+ * @returns {string|null} - The reason, if one was given.
+ */
+const parseCallToolReason = (rawArgs) => {
+  try {
+    const { reason } = JSON.parse(rawArgs || '{}');
+    return typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 200) : null;
+  } catch (err) {
+    console.warn('[WARN] Invalid call tool arguments:', rawArgs);
+    return null;
+  }
+};
+
 /**
  * Handles the assistant's response to a user message.
  * @param {object} params - Parameters for the assistant.
  * @param {string} params.userMessage - The user's message.
  * @param {number} params.businessId - The internal business ID.
- * @returns {object} - An object containing the message to send.
+ * @param {string} [params.senderId] - The customer's ID, used to load earlier messages in the thread.
+ * @param {string} [params.platform] - Channel the message came from ('instagram', 'phone' or 'sms').
+ * @param {string} [params.contactPhone] - The customer's phone number, when known.
+ * @param {string} [params.username] - The customer's display name, when known.
+ * @param {Array} [params.history] - Earlier turns as chat messages, used instead of the Instagram thread (e.g. a phone call's turns).
+ * @param {boolean} [params.callControls] - Whether the reply is spoken on a live call that can be transferred or sent to voicemail.
+ * @param {boolean} [params.afterHours] - Whether the business is closed, so a call can go to voicemail but not to staff.
+ * @returns {object} - An object containing the message to send, any `quickReplies` to show, `escalated` if the thread was handed to staff,
+ *   and `callAction` ({ type: 'transfer' | 'voicemail', reason }) if the call should leave the assistant.
  */
-export const assistantHandler = async ({ userMessage, businessId }) => {
+export const assistantHandler = async ({
+  userMessage,
+  businessId,
+  senderId = null,
+  platform = 'instagram',
+  contactPhone = null,
+  username = null,
+  history = null,
+  callControls = false,
+  afterHours = false,
+}) => {
   try {
     console.log(`[DEBUG] Processing message for business ID: ${businessId}`);
     console.log(`[DEBUG] User message: "${userMessage}"`);
@@ -59,23 +166,86 @@ export const assistantHandler = async ({ userMessage, businessId }) => {
       return { message: 'Could not retrieve business configuration. Please try again later.' };
     }
 
-    // Generate the assistant's response using OpenAI
-    const openaiResponse = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [
-        {
-          role: 'system',
-          content: `You are an AI receptionist for ${businessConfig.name}. Your role is to assist users with appointments, provide accurate responses, and ensure professionalism. Business-specific knowledge: ${businessConfig.ai_knowledge}.`,
-        },
-        { role: 'user', content: userMessage },
-      ],
-      // You can adjust other parameters like temperature, max_tokens, etc., as needed
-    });
+    // Load earlier turns so the reply takes the conversation so far into account
+    const priorTurns = history
+      || (senderId ? await buildConversationContext({ businessId, senderId, currentMessage: userMessage }) : []);
+
+    const timeZone = isValidTimeZone(businessConfig.time_zone) ? businessConfig.time_zone : DEFAULT_TIME_ZONE;
+    const toolContext = {
+      businessId,
+      timeZone,
+      contact: {
+        igId: platform === 'instagram' ? senderId : null,
+        phone: contactPhone,
+        username,
+      },
+    };
+
+    // Handoff and quick replies need an Instagram thread, which phone calls do not have
+    const canEscalate = Boolean(toolContext.contact.igId);
+    let tools = APPOINTMENT_TOOLS;
+    if (canEscalate) tools = [...APPOINTMENT_TOOLS, ...HANDOFF_TOOLS, QUICK_REPLY_TOOL];
+    else if (callControls) {
+      // Nobody is there to take a transfer after hours
+      tools = [...APPOINTMENT_TOOLS, ...CALL_TOOLS.filter((tool) => !afterHours || tool.function.name !== 'transfer_call')];
+    }
+    let escalated = false;
+    let quickReplies = [];
+    let callAction = null;
+
+    const messages = [
+      {
+        role: 'system',
+        content: `You are an AI receptionist for ${businessConfig.name}. Your role is to assist users with appointments, provide accurate responses, and ensure professionalism. Business-specific knowledge: ${businessConfig.ai_knowledge}. The current date and time is ${new Date().toISOString()} and the business is in the ${timeZone} time zone. Use the calendar tools to check availability and propose specific slots, quoting times in the customer's time zone when they have mentioned one; only book, reschedule or cancel after the customer confirms.${canEscalate ? ' If the customer is frustrated, asks for a person, or needs something outside your role, escalate to a human.' : ''}${callControls ? ` You are speaking on a phone call: keep replies to one or two short spoken sentences with no lists, links or formatting.${afterHours ? ' The business is closed right now, so no staff are available: help the caller book an appointment, or take a voicemail if they want someone to get back to them.' : ' If the caller asks for a person, transfer the call; if they want to leave a message, take a voicemail.'}` : ''}${platform === 'sms' ? ' You are replying by text message: keep replies short and in plain text.' : ''}`,
+      },
+      ...priorTurns,
+      { role: 'user', content: userMessage },
+    ];
+
+    // Generate the assistant's response using OpenAI, running any calendar tools it asks for
+    let responseMessage = null;
+    for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+      const openaiResponse = await openai.chat.completions.create({
+        model: 'gpt-4',
+        messages,
+        tools,
+        // You can adjust other parameters like temperature, max_tokens, etc., as needed
+      });
+
+      const choice = openaiResponse.choices[0]?.message;
+      if (!choice?.tool_calls?.length) {
+        responseMessage = choice?.content?.trim();
+        break;
+      }
+
+      messages.push(choice);
+      for (const toolCall of choice.tool_calls) {
+        const { name, arguments: rawArgs } = toolCall.function;
+        let result;
+        if (name === QUICK_REPLY_TOOL.function.name) {
+          quickReplies = parseQuickReplyOptions(rawArgs);
+          result = { shown: quickReplies };
+        } else if (CALL_TOOL_ACTIONS[name]) {
+          callAction = { type: CALL_TOOL_ACTIONS[name], reason: parseCallToolReason(rawArgs) };
+          result = { ok: true, note: 'This happens right after your reply; tell the caller what is about to happen.' };
+        } else if (HANDOFF_TOOL_NAMES.has(name)) {
+          result = await executeHandoffTool(name, rawArgs, toolContext);
+        } else {
+          result = await executeAppointmentTool(name, rawArgs, toolContext);
+        }
+        if (result.escalated) escalated = true;
+        messages.push({
+          role: 'tool',
+          tool_call_id: toolCall.id,
+          content: JSON.stringify(result),
+        });
+      }
+    }
 
-    const responseMessage = openaiResponse.choices[0]?.message?.content?.trim() || "I'm here to help!";
+    if (!responseMessage) responseMessage = "I'm here to help!";
     console.log(`[DEBUG] OpenAI response: "${responseMessage}"`);
 
-    return { message: responseMessage };
+    return { message: responseMessage, quickReplies, escalated, callAction };
   } catch (error) {
     console.error('[ERROR] Failed to process assistant request:', error);
     return { message: 'Something went wrong. Please try again later.' };
@@ -0,0 +1,391 @@
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import express from 'express';
+import cron from 'node-cron';
+import supabase from '../supabaseClient.js';
+import { requireBusinessAccess } from '../helpers.js';
+
+const router = express.Router();
+
+const GOOGLE_OAUTH_CLIENT_ID = process.env.GOOGLE_OAUTH_CLIENT_ID;
+const GOOGLE_OAUTH_CLIENT_SECRET = process.env.GOOGLE_OAUTH_CLIENT_SECRET;
+const GOOGLE_OAUTH_REDIRECT_URI = process.env.GOOGLE_OAUTH_REDIRECT_URI;
+const GOOGLE_CALENDAR_SCOPE = 'https://www.googleapis.com/auth/calendar';
+
+// Refresh access tokens this long before Google expires them
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Check if a Google access token is expired or about to expire.
+ * @param {string} expiresAt - Timestamp when the access token expires.
+ * @returns {boolean} True if the token should be refreshed.
+ */
+export const isGoogleTokenExpired = (expiresAt) => {
+  if (!expiresAt) return true;
+  return new Date(expiresAt).getTime() - EXPIRY_MARGIN_MS <= Date.now();
+};
+
+/**
+ * Sign the OAuth state so the callback can trust which business it belongs to.
+ * @param {number} businessId - The business starting the OAuth flow.
+ * @returns {string} - The signed state value.
+ */
+function signState(businessId) {
+  const payload = `${businessId}.${Date.now()}`;
+  const signature = crypto
+    .createHmac('sha256', GOOGLE_OAUTH_CLIENT_SECRET)
+    .update(payload)
+    .digest('hex');
+  return `${payload}.${signature}`;
+}
+
+/**
+ * Verify a signed OAuth state and extract the business ID.
+ * @param {string} state - The state returned by Google.
+ * @returns {number|null} - The business ID or null if the state is invalid or older than an hour.
+ */
+function verifyState(state) {
+  const [businessId, issuedAt, signature] = (state || '').split('.');
+  if (!businessId || !issuedAt || !signature) return null;
+
+  const expected = crypto
+    .createHmac('sha256', GOOGLE_OAUTH_CLIENT_SECRET)
+    .update(`${businessId}.${issuedAt}`)
+    .digest('hex');
+
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+  if (Date.now() - Number(issuedAt) > 60 * 60 * 1000) return null;
+
+  return parseInt(businessId, 10);
+}
+
+/**
+ * Exchange an OAuth authorization code for Google tokens.
+ * @param {string} code - The authorization code from the callback.
+ * @returns {Promise<object|null>} - The token response or null if the exchange fails.
+ */
+async function exchangeCodeForTokens(code) {
+  try {
+    const response = await fetch('https://oauth2.googleapis.com/token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        code,
+        client_id: GOOGLE_OAUTH_CLIENT_ID,
+        client_secret: GOOGLE_OAUTH_CLIENT_SECRET,
+        redirect_uri: GOOGLE_OAUTH_REDIRECT_URI,
+        grant_type: 'authorization_code',
+      }),
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.access_token) {
+      console.error('[ERROR] Failed to exchange Google authorization code:', data.error_description || data.error || 'Unknown error');
+      return null;
+    }
+    return data;
+  } catch (err) {
+    console.error('[ERROR] Exception while exchanging Google authorization code:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Refresh and store a Google access token for a business.
+ * @param {number} businessId - The business ID.
+ * @param {string} refreshToken - The stored refresh token.
+ * @returns {Promise<string|null>} The refreshed access token or null if the refresh fails.
+ */
+export async function refreshGoogleCalendarAccessToken(businessId, refreshToken) {
+  try {
+    const response = await fetch('https://oauth2.googleapis.com/token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: GOOGLE_OAUTH_CLIENT_ID,
+        client_secret: GOOGLE_OAUTH_CLIENT_SECRET,
+        refresh_token: refreshToken,
+        grant_type: 'refresh_token',
+      }),
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.access_token) {
+      console.error(`[ERROR] Failed to refresh Google access token for businessId=${businessId}:`, data.error_description || data.error || 'Unknown error');
+      return null;
+    }
+
+    const { error } = await supabase
+      .from('google_calendar_tokens')
+      .update({
+        access_token: data.access_token,
+        expires_at: new Date(Date.now() + data.expires_in * 1000).toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('business_id', businessId);
+
+    if (error) {
+      console.error('[ERROR] Failed to update Google access token in database:', error.message);
+      return null;
+    }
+
+    console.log(`[INFO] Google access token refreshed for businessId=${businessId}`);
+    return data.access_token;
+  } catch (err) {
+    console.error('[ERROR] Exception while refreshing Google access token:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Get a valid Google access token for a business's OAuth calendar connection.
+ * @param {number} businessId - The business ID.
+ * @returns {Promise<string|null>} The valid access token or null if unavailable.
+ */
+export async function getGoogleCalendarAccessToken(businessId) {
+  try {
+    const { data, error } = await supabase
+      .from('google_calendar_tokens')
+      .select('access_token, refresh_token, expires_at')
+      .eq('business_id', businessId)
+      .single();
+
+    if (error || !data) {
+      console.error(`[ERROR] No Google calendar token found for businessId=${businessId}:`, error?.message || 'No data found');
+      return null;
+    }
+
+    if (data.access_token && !isGoogleTokenExpired(data.expires_at)) {
+      return data.access_token;
+    }
+
+    console.log(`[INFO] Google access token expired for businessId=${businessId}. Attempting to refresh...`);
+    return await refreshGoogleCalendarAccessToken(businessId, data.refresh_token);
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching Google access token:', err.message);
+    return null;
+  }
+}
+
+/**
+ * GET /auth/google-calendar/connect
+ * Redirects the business owner to Google to grant calendar access.
+ */
+router.get('/connect', requireBusinessAccess, (req, res) => {
+  if (!GOOGLE_OAUTH_CLIENT_ID || !GOOGLE_OAUTH_CLIENT_SECRET || !GOOGLE_OAUTH_REDIRECT_URI) {
+    console.error('[ERROR] Missing Google OAuth environment variables.');
+    return res.status(500).json({ error: 'Google Calendar connection is not configured.' });
+  }
+
+  const params = new URLSearchParams({
+    client_id: GOOGLE_OAUTH_CLIENT_ID,
+    redirect_uri: GOOGLE_OAUTH_REDIRECT_URI,
+    response_type: 'code',
+    scope: GOOGLE_CALENDAR_SCOPE,
+    access_type: 'offline',
+    prompt: 'consent', // Always return a refresh token
+    state: signState(req.businessId),
+  });
+
+  return res.redirect(`https://accounts.google.com/o/oauth2/v2/auth?${params}`);
+});
+
+/**
+ * GET /auth/google-calendar/callback
+ * Stores the OAuth grant and switches the business to its own calendar.
+ */
+router.get('/callback', async (req, res) => {
+  try {
+    const { code, state, error: oauthError } = req.query;
+    if (oauthError) {
+      console.warn('[WARN] Google OAuth was declined:', oauthError);
+      return res.status(400).json({ error: 'Google Calendar access was not granted.' });
+    }
+
+    const businessId = verifyState(state);
+    if (!businessId || !code) {
+      console.error('[ERROR] Invalid Google OAuth callback state.');
+      return res.status(400).json({ error: 'Invalid or expired OAuth state.' });
+    }
+
+    const tokens = await exchangeCodeForTokens(code);
+    if (!tokens?.refresh_token) {
+      return res.status(502).json({ error: 'Failed to obtain Google Calendar credentials.' });
+    }
+
+    const { error: tokenError } = await supabase
+      .from('google_calendar_tokens')
+      .upsert({
+        business_id: businessId,
+        access_token: tokens.access_token,
+        refresh_token: tokens.refresh_token,
+        expires_at: new Date(Date.now() + tokens.expires_in * 1000).toISOString(),
+        updated_at: new Date().toISOString(),
+      }, { onConflict: ['business_id'] });
+
+    if (tokenError) {
+      console.error('[ERROR] Failed to store Google calendar token:', tokenError.message);
+      return res.status(500).json({ error: 'Failed to save Google Calendar connection.' });
+    }
+
+    const { error: businessError } = await supabase
+      .from('businesses')
+      .update({ google_calendar_mode: 'oauth', google_calendar_id: 'primary' })
+      .eq('id', businessId);
+
+    if (businessError) {
+      console.error('[ERROR] Failed to update business calendar connection:', businessError.message);
+      return res.status(500).json({ error: 'Failed to save Google Calendar connection.' });
+    }
+
+    console.log(`[INFO] Google Calendar connected via OAuth for businessId=${businessId}`);
+    return res.status(200).json({ message: 'Google Calendar connected successfully' });
+  } catch (err) {
+    console.error('[ERROR] Exception in Google OAuth callback:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Check that the business's own Google account owns a calendar.
+ * Only calendar owners can read its access control list, so a successful ACL request through the
+ * owner's OAuth grant proves the calendar is theirs and not someone else's calendar ID.
+ * @param {number} businessId - The business ID.
+ * @param {string} calendarId - The calendar ID to check.
+ * @returns {Promise<boolean>} - True if the business's Google account owns the calendar.
+ */
+async function ownsGoogleCalendar(businessId, calendarId) {
+  const accessToken = await getGoogleCalendarAccessToken(businessId);
+  if (!accessToken) return false;
+
+  const response = await fetch(
+    `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(calendarId)}/acl?maxResults=1`,
+    { headers: { Authorization: `Bearer ${accessToken}` } }
+  );
+
+  if (!response.ok) {
+    console.warn(`[WARN] Business ${businessId} could not read the ACL of calendar ${calendarId}: ${response.status}`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * POST /auth/google-calendar/shared
+ * Connects a calendar the business has shared with our service account.
+ * The business must first connect its Google account via /connect so we can confirm it owns the calendar.
+ * Body: { calendarId }
+ */
+router.post('/shared', requireBusinessAccess, async (req, res) => {
+  try {
+    const { calendarId } = req.body;
+    if (!calendarId || typeof calendarId !== 'string' || !calendarId.trim()) {
+      return res.status(400).json({ error: 'Missing required parameter: calendarId' });
+    }
+    const trimmedCalendarId = calendarId.trim();
+    // 'primary' means the service account's own calendar in shared mode, never the business's
+    if (trimmedCalendarId === 'primary') {
+      return res.status(400).json({ error: 'Use the calendar ID from the calendar settings, not "primary".' });
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('businesses')
+      .select('id')
+      .eq('google_calendar_mode', 'shared')
+      .eq('google_calendar_id', trimmedCalendarId)
+      .neq('id', req.businessId)
+      .limit(1);
+
+    if (existingError) {
+      console.error('[ERROR] Failed to check shared calendar ID:', existingError.message);
+      return res.status(500).json({ error: 'Failed to save Google Calendar connection.' });
+    }
+    if (existing?.length) {
+      console.warn(`[WARN] Business ${req.businessId} tried to connect calendar ${trimmedCalendarId} used by business ${existing[0].id}`);
+      return res.status(409).json({ error: 'This calendar is already connected to another business.' });
+    }
+
+    if (!(await ownsGoogleCalendar(req.businessId, trimmedCalendarId))) {
+      return res.status(403).json({
+        error: 'Connect your Google account first and make sure it owns this calendar.',
+      });
+    }
+
+    const { error } = await supabase
+      .from('businesses')
+      .update({ google_calendar_mode: 'shared', google_calendar_id: trimmedCalendarId })
+      .eq('id', req.businessId);
+
+    if (error) {
+      console.error('[ERROR] Failed to save shared calendar ID:', error.message);
+      return res.status(500).json({ error: 'Failed to save Google Calendar connection.' });
+    }
+
+    console.log(`[INFO] Shared Google Calendar connected for businessId=${req.businessId}`);
+    return res.status(200).json({ message: 'Google Calendar connected successfully' });
+  } catch (err) {
+    console.error('[ERROR] Exception while connecting shared calendar:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /auth/google-calendar
+ * Disconnects the business's calendar and forgets any stored OAuth grant.
+ */
+router.delete('/', requireBusinessAccess, async (req, res) => {
+  try {
+    await supabase.from('google_calendar_tokens').delete().eq('business_id', req.businessId);
+
+    const { error } = await supabase
+      .from('businesses')
+      .update({ google_calendar_mode: null, google_calendar_id: null })
+      .eq('id', req.businessId);
+
+    if (error) {
+      console.error('[ERROR] Failed to disconnect Google Calendar:', error.message);
+      return res.status(500).json({ error: 'Failed to disconnect Google Calendar.' });
+    }
+
+    return res.status(200).json({ message: 'Google Calendar disconnected' });
+  } catch (err) {
+    console.error('[ERROR] Exception while disconnecting Google Calendar:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Refresh Google access tokens for all OAuth-connected businesses at scheduled intervals.
+ */
+async function refreshAllGoogleCalendarTokens() {
+  console.log('[INFO] Starting scheduled Google Calendar token refresh...');
+
+  const { data: tokens, error } = await supabase
+    .from('google_calendar_tokens')
+    .select('business_id, refresh_token, expires_at');
+
+  if (error || !tokens) {
+    console.error('[ERROR] Failed to fetch Google calendar tokens:', error?.message || 'No data');
+    return;
+  }
+
+  for (const { business_id: businessId, refresh_token: refreshToken, expires_at: expiresAt } of tokens) {
+    if (isGoogleTokenExpired(expiresAt)) {
+      await refreshGoogleCalendarAccessToken(businessId, refreshToken);
+    }
+  }
+
+  console.log('[INFO] Scheduled Google Calendar token refresh completed.');
+}
+
+if (process.env.NODE_ENV !== 'test') {
+  cron.schedule('*/15 * * * *', refreshAllGoogleCalendarTokens); // Runs every 15 minutes
+  console.log('[INFO] Google Calendar token refresh scheduler initialized.');
+}
+
+export default router;
@@ -454,8 +454,10 @@ async function refreshAllTokens() {
 
 
 
-cron.schedule('*/15 * * * *', refreshAllTokens); // Runs every 15 minutes
-console.log('[INFO] Token refresh scheduler initialized.');
+if (process.env.NODE_ENV !== 'test') {
+  cron.schedule('*/15 * * * *', refreshAllTokens); // Runs every 15 minutes
+  console.log('[INFO] Token refresh scheduler initialized.');
+}
 
 
 
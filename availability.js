@@ -0,0 +1,406 @@
+// availability.js
+
+import express from 'express';
+import supabase from './supabaseClient.js';
+import { getBusyIntervals } from './google-calendar.js';
+import { requireBusinessAccess, parseLimit } from './helpers.js';
+
+const router = express.Router();
+
+export const DEFAULT_TIME_ZONE = 'America/Los_Angeles';
+const DEFAULT_APPOINTMENT_MINUTES = 30;
+export const MIN_APPOINTMENT_MINUTES = 5;
+export const MAX_APPOINTMENT_MINUTES = 8 * 60;
+const DEFAULT_BUFFER_MINUTES = 0;
+const DEFAULT_MIN_NOTICE_MINUTES = 60;
+const MAX_RANGE_DAYS = 31;
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Used when a business has not configured its opening hours yet
+const DEFAULT_BUSINESS_HOURS = {
+  mon: [{ open: '09:00', close: '17:00' }],
+  tue: [{ open: '09:00', close: '17:00' }],
+  wed: [{ open: '09:00', close: '17:00' }],
+  thu: [{ open: '09:00', close: '17:00' }],
+  fri: [{ open: '09:00', close: '17:00' }],
+  sat: [],
+  sun: [],
+};
+
+/**
+ * Check whether a string is a time zone Intl understands.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {boolean} - True if valid.
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return Boolean(timeZone);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Check whether an appointment length is a whole number of minutes in the allowed range.
+ * @param {number} minutes - Appointment length in minutes.
+ * @returns {boolean} - True if valid.
+ */
+export function isValidDurationMinutes(minutes) {
+  return Number.isInteger(minutes) && minutes >= MIN_APPOINTMENT_MINUTES && minutes <= MAX_APPOINTMENT_MINUTES;
+}
+
+/**
+ * Build an error the API can report with a specific status code.
+ * @param {string} message - The error message.
+ * @param {number} status - HTTP status for the response.
+ * @returns {Error} - Error with a `status` property.
+ */
+function availabilityError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the wall-clock parts of an instant in a time zone.
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {object} - { year, month, day, hour, minute, second, weekday }.
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+  }).formatToParts(date);
+
+  const values = Object.fromEntries(parts.map(({ type, value }) => [type, value]));
+  return {
+    year: Number(values.year),
+    month: Number(values.month),
+    day: Number(values.day),
+    hour: Number(values.hour),
+    minute: Number(values.minute),
+    second: Number(values.second),
+    weekday: values.weekday.toLowerCase().slice(0, 3),
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds.
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {number} - Offset in milliseconds (negative west of UTC).
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock date and time in a time zone to a UTC instant.
+ * @param {string} dateString - Local date, 'YYYY-MM-DD'.
+ * @param {string} timeString - Local time, 'HH:MM'.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {Date} - The instant.
+ */
+export function zonedTimeToUtc(dateString, timeString, timeZone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute] = timeString.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Apply the offset twice so wall times next to a DST change land on the right side
+  const firstPass = guess - getTimeZoneOffset(new Date(guess), timeZone);
+  return new Date(guess - getTimeZoneOffset(new Date(firstPass), timeZone));
+}
+
+/**
+ * Format an instant as an ISO 8601 string with the offset of a time zone.
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {string} - e.g. '2024-05-02T14:30:00-07:00'.
+ */
+export function formatInTimeZone(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const offsetMinutes = Math.round(getTimeZoneOffset(date, timeZone) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const pad = (value) => String(Math.abs(value)).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+}
+
+/**
+ * List the local dates in a time zone that a UTC range touches.
+ * @param {Date} from - Range start.
+ * @param {Date} to - Range end.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {Array<{date: string, weekday: string}>} - Local dates.
+ */
+function listLocalDates(from, to, timeZone) {
+  const dates = [];
+  const seen = new Set();
+  // Step in 12 hour increments so no local date is skipped across DST changes
+  for (let t = from.getTime(); t <= to.getTime() + 12 * 60 * 60 * 1000; t += 12 * 60 * 60 * 1000) {
+    const { year, month, day, weekday } = getZonedParts(new Date(Math.min(t, to.getTime())), timeZone);
+    const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    if (!seen.has(date)) {
+      seen.add(date);
+      dates.push({ date, weekday });
+    }
+  }
+  return dates;
+}
+
+/**
+ * Fetch the scheduling settings for a business.
+ * @param {number} businessId - The business ID.
+ * @returns {Promise<object|null>} - Normalized settings or null if the business is not found.
+ */
+export async function getSchedulingSettings(businessId) {
+  try {
+    const { data, error } = await supabase
+      .from('businesses')
+      .select('time_zone, business_hours, closed_dates, appointment_duration_minutes, buffer_minutes, min_notice_minutes')
+      .eq('id', businessId)
+      .single();
+
+    if (error || !data) {
+      console.error(`[ERROR] Failed to fetch scheduling settings for businessId=${businessId}:`, error?.message || 'No data found');
+      return null;
+    }
+
+    return {
+      timeZone: isValidTimeZone(data.time_zone) ? data.time_zone : DEFAULT_TIME_ZONE,
+      businessHours: data.business_hours || DEFAULT_BUSINESS_HOURS,
+      closedDates: new Set(data.closed_dates || []),
+      durationMinutes: data.appointment_duration_minutes || DEFAULT_APPOINTMENT_MINUTES,
+      bufferMinutes: data.buffer_minutes ?? DEFAULT_BUFFER_MINUTES,
+      minNoticeMinutes: data.min_notice_minutes ?? DEFAULT_MIN_NOTICE_MINUTES,
+    };
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching scheduling settings:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Lay out appointment slots inside opening hours, skipping closed dates and anything too close to a busy interval.
+ * @param {object} settings - Scheduling settings from getSchedulingSettings.
+ * @param {object} options - Slot options.
+ * @param {Date} options.rangeStart - Earliest slot start.
+ * @param {Date} options.rangeEnd - Latest slot end.
+ * @param {Array<{start: number, end: number}>} options.busy - Busy intervals in epoch milliseconds.
+ * @param {number} options.durationMinutes - Appointment length.
+ * @param {string} options.outputTimeZone - Time zone to express slots in.
+ * @param {number} options.limit - Maximum number of slots to return.
+ * @returns {Array<{start: string, end: string}>} - The free slots.
+ * @throws {Error} - With status 400 if the appointment length is out of range.
+ */
+export function generateSlots(settings, { rangeStart, rangeEnd, busy, durationMinutes, outputTimeZone, limit }) {
+  // A zero or negative length would never move the loop below forward
+  if (!isValidDurationMinutes(durationMinutes)) {
+    throw availabilityError(
+      `Appointment length must be a whole number of minutes between ${MIN_APPOINTMENT_MINUTES} and ${MAX_APPOINTMENT_MINUTES}.`,
+      400
+    );
+  }
+  const duration = durationMinutes * 60000;
+  const buffer = settings.bufferMinutes * 60000;
+
+  const slots = [];
+  for (const { date, weekday } of listLocalDates(rangeStart, rangeEnd, settings.timeZone)) {
+    if (settings.closedDates.has(date)) continue;
+
+    for (const window of settings.businessHours[weekday] || []) {
+      const windowStart = zonedTimeToUtc(date, window.open, settings.timeZone).getTime();
+      const windowEnd = zonedTimeToUtc(date, window.close, settings.timeZone).getTime();
+
+      for (let start = windowStart; start + duration <= windowEnd; start += duration + buffer) {
+        const end = start + duration;
+        if (start < rangeStart.getTime() || end > rangeEnd.getTime()) continue;
+
+        const overlapsBusy = busy.some(
+          (interval) => start - buffer < interval.end && end + buffer > interval.start
+        );
+        if (overlapsBusy) continue;
+
+        slots.push({
+          start: formatInTimeZone(new Date(start), outputTimeZone),
+          end: formatInTimeZone(new Date(end), outputTimeZone),
+        });
+        if (slots.length >= limit) return slots;
+      }
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Find bookable appointment slots for a business.
+ * Combines opening hours, closed dates, Google free/busy data, appointment length and buffers.
+ * @param {number} businessId - The business ID.
+ * @param {object} options - Search options.
+ * @param {string|Date} options.from - Start of the search range.
+ * @param {string|Date} options.to - End of the search range.
+ * @param {string} [options.customerTimeZone] - Time zone to express slots in; defaults to the business's.
+ * @param {number} [options.durationMinutes] - Appointment length; defaults to the business's.
+ * @param {number} [options.limit] - Maximum number of slots to return.
+ * @returns {Promise<object>} - { time_zone, duration_minutes, slots: [{ start, end }] }.
+ * @throws {Error} - If the business or its calendar cannot be loaded, or with status 400 if the length is out of range.
+ */
+export async function getAvailableSlots(businessId, {
+  from,
+  to,
+  customerTimeZone = null,
+  durationMinutes = null,
+  limit = 20,
+}) {
+  if (durationMinutes != null && !isValidDurationMinutes(durationMinutes)) {
+    throw availabilityError(
+      `duration must be a whole number of minutes between ${MIN_APPOINTMENT_MINUTES} and ${MAX_APPOINTMENT_MINUTES}.`,
+      400
+    );
+  }
+
+  const settings = await getSchedulingSettings(businessId);
+  if (!settings) throw new Error(`Scheduling settings not found for business ${businessId}`);
+
+  const outputTimeZone = isValidTimeZone(customerTimeZone) ? customerTimeZone : settings.timeZone;
+  const slotMinutes = durationMinutes ?? settings.durationMinutes;
+  const buffer = settings.bufferMinutes * 60000;
+
+  const earliest = new Date(Date.now() + settings.minNoticeMinutes * 60000);
+  const rangeStart = new Date(Math.max(new Date(from).getTime(), earliest.getTime()));
+  const rangeEnd = new Date(Math.min(
+    new Date(to).getTime(),
+    rangeStart.getTime() + MAX_RANGE_DAYS * 24 * 60 * 60 * 1000
+  ));
+
+  if (isNaN(rangeStart) || isNaN(rangeEnd) || rangeEnd <= rangeStart) {
+    return { time_zone: outputTimeZone, duration_minutes: slotMinutes, slots: [] };
+  }
+
+  // Pad the free/busy window by the buffer so events just outside the range still block slots
+  const busy = (await getBusyIntervals(
+    businessId,
+    new Date(rangeStart.getTime() - buffer).toISOString(),
+    new Date(rangeEnd.getTime() + buffer).toISOString(),
+    settings.timeZone
+  )).map(({ start, end }) => ({ start: new Date(start).getTime(), end: new Date(end).getTime() }));
+
+  const slots = generateSlots(settings, {
+    rangeStart,
+    rangeEnd,
+    busy,
+    durationMinutes: slotMinutes,
+    outputTimeZone,
+    limit,
+  });
+
+  return { time_zone: outputTimeZone, duration_minutes: slotMinutes, slots };
+}
+
+/**
+ * Check a requested appointment time against the business's scheduling rules before booking it.
+ * The slot must start after the minimum notice, fall inside one opening-hours window on a day the business
+ * is open, and keep the buffer clear of every busy interval.
+ * @param {number} businessId - The business ID.
+ * @param {string|Date} startTime - Requested start.
+ * @param {string|Date} endTime - Requested end.
+ * @param {object} [options] - Check options.
+ * @param {{start: string, end: string}} [options.ignore] - An existing booking to ignore, e.g. the one being rescheduled.
+ * @returns {Promise<object>} - { available: true } or { available: false, reason, busy? }.
+ * @throws {Error} - If the business or its calendar cannot be loaded.
+ */
+export async function checkSlotAvailable(businessId, startTime, endTime, { ignore = null } = {}) {
+  const settings = await getSchedulingSettings(businessId);
+  if (!settings) throw new Error(`Scheduling settings not found for business ${businessId}`);
+
+  const start = new Date(startTime).getTime();
+  const end = new Date(endTime).getTime();
+  const buffer = settings.bufferMinutes * 60000;
+
+  if (start < Date.now() + settings.minNoticeMinutes * 60000) {
+    return { available: false, reason: `Appointments need at least ${settings.minNoticeMinutes} minutes' notice.` };
+  }
+
+  const { year, month, day, weekday } = getZonedParts(new Date(start), settings.timeZone);
+  const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  if (settings.closedDates.has(date)) {
+    return { available: false, reason: 'The business is closed that day.' };
+  }
+
+  const withinHours = (settings.businessHours[weekday] || []).some((window) => (
+    start >= zonedTimeToUtc(date, window.open, settings.timeZone).getTime()
+    && end <= zonedTimeToUtc(date, window.close, settings.timeZone).getTime()
+  ));
+  if (!withinHours) {
+    return { available: false, reason: 'That time is outside opening hours.' };
+  }
+
+  const busy = (await getBusyIntervals(
+    businessId,
+    new Date(start - buffer).toISOString(),
+    new Date(end + buffer).toISOString(),
+    settings.timeZone
+  )).filter((interval) => !(
+    ignore
+    && new Date(interval.start) >= new Date(ignore.start)
+    && new Date(interval.end) <= new Date(ignore.end)
+  )).filter((interval) => (
+    start - buffer < new Date(interval.end).getTime() && end + buffer > new Date(interval.start).getTime()
+  ));
+  if (busy.length) {
+    return { available: false, reason: 'That time is no longer available.', busy };
+  }
+
+  return { available: true };
+}
+
+/**
+ * GET /availability?from=...&to=...&time_zone=...
+ * Lists bookable slots for the logged-in owner's business.
+ */
+router.get('/', requireBusinessAccess, async (req, res) => {
+  try {
+    const { from, to, time_zone: timeZone, duration, limit } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Missing required parameters: from and to' });
+    }
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Invalid time_zone: ${timeZone}` });
+    }
+    if (duration !== undefined && !(/^\d+$/.test(duration) && isValidDurationMinutes(Number(duration)))) {
+      return res.status(400).json({
+        error: `duration must be a whole number of minutes between ${MIN_APPOINTMENT_MINUTES} and ${MAX_APPOINTMENT_MINUTES}`,
+      });
+    }
+
+    const availability = await getAvailableSlots(req.businessId, {
+      from,
+      to,
+      customerTimeZone: timeZone,
+      durationMinutes: duration !== undefined ? Number(duration) : null,
+      limit: parseLimit(limit, 50, 200),
+    });
+
+    return res.status(200).json(availability);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('[ERROR] Failed to compute availability:', err.message);
+    return res.status(500).json({ error: 'Failed to compute availability' });
+  }
+});
+
+export default router;
@@ -0,0 +1,509 @@
+// call-flows.js
+
+import express from 'express';
+import Joi from 'joi';
+import supabase from './supabaseClient.js';
+import { getSchedulingSettings, getZonedParts, DEFAULT_TIME_ZONE } from './availability.js';
+import { getBusinessPhoneCountry, toE164, toVonageNumber } from './phone-numbers.js';
+import {
+  answerVoiceCall,
+  startVoiceCall,
+  recordingNcco,
+  assistantNcco,
+  voicemailNcco,
+  fetchVoiceCall,
+  updateVoiceCall,
+  recordVoiceTurn,
+  getVoiceSettings,
+  getWebhookBaseUrl,
+} from './voice-assistant.js';
+import { requireBusinessAccess } from './helpers.js';
+import { requireVonageCallbackJwt } from './vonage-signatures.js';
+
+const router = express.Router();
+
+// Vonage webhooks for menus and ring groups, mounted under /voice/flow
+export const callFlowWebhookRouter = express.Router();
+callFlowWebhookRouter.use(requireVonageCallbackJwt);
+
+export const CALL_FLOW_ACTIONS = ['assistant', 'menu', 'ring_group', 'voicemail', 'message'];
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MAX_MENU_ATTEMPTS = 3;
+const MENU_INPUT_SECONDS = 6;
+const DEFAULT_RING_SECONDS = 20;
+
+// Connect statuses meaning the staff phone did not pick up
+const RING_FAILED_STATUSES = ['busy', 'timeout', 'unanswered', 'failed', 'rejected', 'cancelled'];
+
+// Flows stay off until a business turns them on; until then every call goes to the assistant
+export const DEFAULT_CALL_FLOW = {
+  enabled: false,
+  schedule: { use_business_hours: true, hours: null, closed_dates: [] },
+  open_action: { type: 'assistant' },
+  closed_action: { type: 'assistant', after_hours: true },
+  menus: {},
+  ring_groups: {},
+};
+
+const nameSchema = Joi.string().pattern(/^[a-z0-9_-]{1,40}$/i);
+const timeSchema = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/);
+
+const actionFields = {
+  after_hours: Joi.boolean(),
+  menu: nameSchema.when('type', { is: 'menu', then: Joi.required(), otherwise: Joi.forbidden() }),
+  group: nameSchema.when('type', { is: 'ring_group', then: Joi.required(), otherwise: Joi.forbidden() }),
+  text: Joi.string().trim().max(500).when('type', { is: 'message', then: Joi.required() }),
+};
+
+const actionSchema = Joi.object({
+  type: Joi.string().valid(...CALL_FLOW_ACTIONS).required(),
+  ...actionFields,
+});
+
+// A ring group cannot fall back to another ring group, so a flow always ends somewhere
+const fallbackSchema = Joi.object({
+  type: Joi.string().valid(...CALL_FLOW_ACTIONS.filter((type) => type !== 'ring_group')).required(),
+  ...actionFields,
+});
+
+const hoursSchema = Joi.object(Object.fromEntries(DAY_KEYS.map((day) => [
+  day,
+  Joi.array().items(Joi.object({ open: timeSchema.required(), close: timeSchema.required() })).max(6),
+])));
+
+const callFlowSchema = Joi.object({
+  business_id: Joi.any(),
+  enabled: Joi.boolean().required(),
+  schedule: Joi.object({
+    use_business_hours: Joi.boolean().default(true),
+    hours: hoursSchema.allow(null).default(null),
+    closed_dates: Joi.array().items(Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)).max(366).default([]),
+  }).default(DEFAULT_CALL_FLOW.schedule),
+  open_action: actionSchema.required(),
+  closed_action: actionSchema.required(),
+  menus: Joi.object().pattern(nameSchema, Joi.object({
+    prompt: Joi.string().trim().max(1000).required(),
+    options: Joi.object().pattern(Joi.string().pattern(/^[0-9*#]$/), actionSchema.keys({
+      label: Joi.string().trim().max(60),
+    })).min(1).required(),
+    no_input: actionSchema,
+    max_attempts: Joi.number().integer().min(1).max(5).default(MAX_MENU_ATTEMPTS),
+  })).max(20).default({}),
+  ring_groups: Joi.object().pattern(nameSchema, Joi.object({
+    numbers: Joi.array().items(Joi.string().trim().max(30)).min(1).max(10).required(),
+    ring_seconds: Joi.number().integer().min(5).max(60).default(DEFAULT_RING_SECONDS),
+    message: Joi.string().trim().max(300),
+    fallback: fallbackSchema,
+  })).max(20).default({}),
+});
+
+/**
+ * List the actions of a flow together with where they appear, for reference checks.
+ * @param {object} flow - The call flow.
+ * @returns {Array<{path: string, action: object}>} - Every action in the flow.
+ */
+function listFlowActions(flow) {
+  const actions = [
+    { path: 'open_action', action: flow.open_action },
+    { path: 'closed_action', action: flow.closed_action },
+  ];
+  Object.entries(flow.menus || {}).forEach(([name, menu]) => {
+    Object.entries(menu.options).forEach(([key, action]) => actions.push({ path: `menus.${name}.options.${key}`, action }));
+    if (menu.no_input) actions.push({ path: `menus.${name}.no_input`, action: menu.no_input });
+  });
+  Object.entries(flow.ring_groups || {}).forEach(([name, group]) => {
+    if (group.fallback) actions.push({ path: `ring_groups.${name}.fallback`, action: group.fallback });
+  });
+  return actions.filter(({ action }) => action);
+}
+
+/**
+ * Check that a flow can be followed: it has opening hours to route on and every menu and ring group it points to exists.
+ * @param {object} flow - The call flow.
+ * @returns {string|null} - The first problem found, or null if the flow is complete.
+ */
+export function findCallFlowProblem(flow) {
+  if (flow.schedule.use_business_hours === false && !flow.schedule.hours) {
+    return 'schedule.hours is required when use_business_hours is false';
+  }
+  for (const { path, action } of listFlowActions(flow)) {
+    if (action.type === 'menu' && !flow.menus?.[action.menu]) {
+      return `${path} uses menu "${action.menu}", which does not exist`;
+    }
+    if (action.type === 'ring_group' && !flow.ring_groups?.[action.group]) {
+      return `${path} uses ring group "${action.group}", which does not exist`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get a business's call flow.
+ * @param {number} businessId - The business ID.
+ * @returns {Promise<object>} - The flow, or DEFAULT_CALL_FLOW if none is stored.
+ */
+export async function getCallFlow(businessId) {
+  try {
+    const { data, error } = await supabase
+      .from('call_flows')
+      .select('enabled, schedule, open_action, closed_action, menus, ring_groups')
+      .eq('business_id', businessId)
+      .maybeSingle();
+
+    if (error) {
+      console.error(`[ERROR] Failed to fetch call flow for business ${businessId}:`, error.message);
+      return DEFAULT_CALL_FLOW;
+    }
+    return data ? { ...DEFAULT_CALL_FLOW, ...data } : DEFAULT_CALL_FLOW;
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching call flow:', err.message);
+    return DEFAULT_CALL_FLOW;
+  }
+}
+
+/**
+ * Save a business's call flow, replacing the stored one.
+ * @param {number} businessId - The business ID.
+ * @param {object} flow - A flow validated against callFlowSchema.
+ * @returns {Promise<object|null>} - The stored flow or null if it could not be saved.
+ */
+export async function saveCallFlow(businessId, flow) {
+  try {
+    const { data, error } = await supabase
+      .from('call_flows')
+      .upsert({
+        business_id: businessId,
+        ...flow,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: ['business_id'] })
+      .select('enabled, schedule, open_action, closed_action, menus, ring_groups')
+      .single();
+
+    if (error) {
+      console.error(`[ERROR] Failed to save call flow for business ${businessId}:`, error.message);
+      return null;
+    }
+    return data;
+  } catch (err) {
+    console.error('[ERROR] Exception while saving call flow:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Check whether a weekly schedule is open at an instant.
+ * @param {object} hours - Opening hours by day, e.g. { mon: [{ open: '09:00', close: '17:00' }], ... }.
+ * @param {Set<string>} closedDates - Local dates ('YYYY-MM-DD') the business is closed all day.
+ * @param {string} timeZone - IANA time zone of the schedule.
+ * @param {Date} [date] - The instant to check.
+ * @returns {boolean} - True if open.
+ */
+export function isOpenAt(hours, closedDates, timeZone, date = new Date()) {
+  const { year, month, day, hour, minute, weekday } = getZonedParts(date, timeZone);
+  const localDate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  if (closedDates.has(localDate)) return false;
+
+  const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  return (hours?.[weekday] || []).some(({ open, close }) => open <= time && time < close);
+}
+
+/**
+ * Check whether a business's call flow should treat a call as within opening hours.
+ * The flow either follows the business's appointment opening hours or has its own; closed dates from both apply.
+ * @param {number} businessId - The business ID.
+ * @param {object} schedule - The flow's schedule.
+ * @param {Date} [date] - The instant to check.
+ * @returns {Promise<{open: boolean, timeZone: string}>} - Whether the business is open, and its time zone.
+ */
+export async function checkBusinessOpen(businessId, schedule, date = new Date()) {
+  const scheduling = await getSchedulingSettings(businessId);
+  const timeZone = scheduling?.timeZone || DEFAULT_TIME_ZONE;
+
+  // Without opening hours there is nothing to route on, so the call is treated as open
+  if (!scheduling && schedule.use_business_hours !== false) {
+    return { open: true, timeZone };
+  }
+
+  const closedDates = new Set(schedule.closed_dates || []);
+  let hours = schedule.hours;
+  if (schedule.use_business_hours !== false) {
+    hours = scheduling.businessHours;
+    scheduling.closedDates.forEach((closedDate) => closedDates.add(closedDate));
+  }
+  return { open: isOpenAt(hours, closedDates, timeZone, date), timeZone };
+}
+
+/**
+ * Build a talk action the caller can interrupt with a key press.
+ * @param {string} text - What to say.
+ * @param {string} language - BCP-47 language.
+ * @returns {object} - The NCCO action.
+ */
+function say(text, language) {
+  return { action: 'talk', text, language, bargeIn: true };
+}
+
+/**
+ * Build the NCCO that reads a menu and waits for a key press.
+ * @param {string} name - The menu's name in the flow.
+ * @param {object} menu - The menu.
+ * @param {string} language - BCP-47 language.
+ * @param {string} baseUrl - Public base URL of this app.
+ * @param {number} [attempt] - How many times the menu has been read so far.
+ * @param {string} [preface] - What to say before the prompt, e.g. after an invalid key.
+ * @returns {Array<object>} - The NCCO.
+ */
+function menuNcco(name, menu, language, baseUrl, attempt = 0, preface = '') {
+  return [
+    say(`${preface}${menu.prompt}`, language),
+    {
+      action: 'input',
+      type: ['dtmf'],
+      dtmf: { maxDigits: 1, timeOut: MENU_INPUT_SECONDS },
+      eventUrl: [`${baseUrl}/voice/flow/menu?menu=${encodeURIComponent(name)}&attempt=${attempt + 1}`],
+    },
+  ];
+}
+
+/**
+ * Build the NCCO that rings one phone of a ring group.
+ * @param {object} call - The voice_calls row.
+ * @param {string} name - The ring group's name in the flow.
+ * @param {object} group - The ring group.
+ * @param {number} index - Which of the group's numbers to ring.
+ * @param {string} baseUrl - Public base URL of this app.
+ * @returns {Promise<Array<object>|null>} - The NCCO, or null if the group has no more valid numbers.
+ */
+async function ringNcco(call, name, group, index, baseUrl) {
+  const country = await getBusinessPhoneCountry(call.business_id);
+  for (let i = index; i < group.numbers.length; i++) {
+    const number = toE164(group.numbers[i], country);
+    if (!number) {
+      console.warn(`[WARN] Skipping invalid number in ring group "${name}" for business ${call.business_id}.`);
+      continue;
+    }
+
+    await updateVoiceCall(call.call_uuid, { outcome: 'transferring', transferred_to: number });
+    return [{
+      action: 'connect',
+      from: toVonageNumber(call.called),
+      timeout: group.ring_seconds || DEFAULT_RING_SECONDS,
+      eventType: 'synchronous',
+      eventUrl: [`${baseUrl}/voice/flow/ring?group=${encodeURIComponent(name)}&index=${i}`],
+      endpoint: [{ type: 'phone', number: toVonageNumber(number) }],
+    }];
+  }
+  return null;
+}
+
+/**
+ * Compile one step of a call flow into the NCCO that carries it out.
+ * @param {object} action - The flow action.
+ * @param {object} context - The call being routed.
+ * @param {object} context.flow - The business's call flow.
+ * @param {object} context.call - The voice_calls row (call_uuid, business_id, called).
+ * @param {object} context.settings - The business's voice settings.
+ * @param {string} context.baseUrl - Public base URL of this app.
+ * @returns {Promise<Array<object>>} - The NCCO.
+ */
+export async function compileCallAction(action, { flow, call, settings, baseUrl }) {
+  const language = settings.voice_language;
+
+  switch (action?.type) {
+    case 'menu': {
+      const menu = flow.menus?.[action.menu];
+      if (menu) return menuNcco(action.menu, menu, language, baseUrl);
+      break;
+    }
+    case 'ring_group': {
+      const group = flow.ring_groups?.[action.group];
+      if (!group) break;
+      const ncco = await ringNcco(call, action.group, group, 0, baseUrl);
+      if (ncco) return group.message ? [say(group.message, language), ...ncco] : ncco;
+      return compileCallAction(group.fallback || { type: 'voicemail' }, { flow, call, settings, baseUrl });
+    }
+    case 'voicemail':
+      await updateVoiceCall(call.call_uuid, { outcome: 'voicemail' });
+      return action.text ? voicemailNcco(baseUrl, language, action.text) : voicemailNcco(baseUrl, language);
+    case 'message':
+      await recordVoiceTurn(call, 'assistant', action.text);
+      return [{ action: 'talk', text: action.text, language }];
+    case 'assistant':
+      return assistantNcco(call, settings, baseUrl, { afterHours: Boolean(action.after_hours) });
+    default:
+      break;
+  }
+
+  // Flows are checked when saved, but one edited since the call started may no longer have this step
+  console.warn(`[WARN] Call flow step ${JSON.stringify(action)} cannot be followed, handing call ${call.call_uuid} to the assistant.`);
+  return assistantNcco(call, settings, baseUrl);
+}
+
+/**
+ * Answer an inbound call with the business's call flow: its open or closed step, compiled into an NCCO.
+ * Businesses without an enabled flow get the assistant.
+ * @param {object} params - The call, as for answerVoiceCall.
+ * @returns {Promise<Array<object>>} - The NCCO.
+ */
+export async function routeInboundCall(params) {
+  const flow = await getCallFlow(params.businessId);
+  if (!flow.enabled) return answerVoiceCall(params);
+
+  const settings = await startVoiceCall(params);
+  const { open } = await checkBusinessOpen(params.businessId, flow.schedule);
+  const action = open ? flow.open_action : flow.closed_action;
+  console.log(`[INFO] Routing call ${params.callUuid} for business ${params.businessId} while ${open ? 'open' : 'closed'}: ${action.type}.`);
+
+  const call = { call_uuid: params.callUuid, business_id: params.businessId, called: params.called };
+  return [
+    ...recordingNcco(settings, params.baseUrl),
+    ...await compileCallAction(action, { flow, call, settings, baseUrl: params.baseUrl }),
+  ];
+}
+
+/**
+ * Vonage input webhook for menus: follows the key the caller pressed.
+ * POST /voice/flow/menu?menu=main&attempt=1
+ */
+callFlowWebhookRouter.post('/menu', async (req, res) => {
+  const baseUrl = getWebhookBaseUrl(req);
+  const call = await fetchVoiceCall('call_uuid', req.body?.uuid);
+  if (!call) {
+    console.warn('[WARN] Menu input for unknown call:', req.body?.uuid);
+    return res.json([{ action: 'talk', text: 'Sorry, we cannot process your call at this time.' }]);
+  }
+
+  const settings = await getVoiceSettings(call.business_id);
+  try {
+    const flow = await getCallFlow(call.business_id);
+    const context = { flow, call, settings, baseUrl };
+    const menu = flow.menus?.[req.query.menu];
+    if (!menu) {
+      return res.json(await compileCallAction(null, context));
+    }
+
+    const digit = req.body.dtmf?.digits?.[0];
+    const option = digit ? menu.options[digit] : null;
+    if (option) {
+      await recordVoiceTurn(call, 'customer', `Pressed ${digit}${option.label ? ` (${option.label})` : ''}`);
+      return res.json(await compileCallAction(option, context));
+    }
+
+    const attempt = parseInt(req.query.attempt, 10) || 1;
+    if (attempt >= (menu.max_attempts || MAX_MENU_ATTEMPTS)) {
+      return res.json(await compileCallAction(menu.no_input || { type: 'assistant' }, context));
+    }
+    const preface = digit ? "Sorry, that isn't an option. " : "Sorry, I didn't get that. ";
+    return res.json(menuNcco(req.query.menu, menu, settings.voice_language, baseUrl, attempt, preface));
+  } catch (err) {
+    console.error(`[ERROR] Failed to handle menu input for call ${call.call_uuid}:`, err.message);
+    return res.json(voicemailNcco(baseUrl, settings.voice_language, 'Sorry, something went wrong. Please leave a message after the tone.'));
+  }
+});
+
+/**
+ * Vonage connect webhook for ring groups: rings the next phone, then the fallback, if nobody picks up.
+ * POST /voice/flow/ring?group=staff&index=0
+ */
+callFlowWebhookRouter.post('/ring', async (req, res) => {
+  try {
+    const { status, conversation_uuid: conversationUuid } = req.body || {};
+    const call = await fetchVoiceCall('conversation_uuid', conversationUuid);
+    if (!call) return res.sendStatus(204);
+
+    if (status === 'answered') {
+      await updateVoiceCall(call.call_uuid, { outcome: 'transferred' });
+      return res.sendStatus(204);
+    }
+    if (!RING_FAILED_STATUSES.includes(status)) return res.sendStatus(204);
+
+    const baseUrl = getWebhookBaseUrl(req);
+    const [flow, settings] = await Promise.all([getCallFlow(call.business_id), getVoiceSettings(call.business_id)]);
+    const group = flow.ring_groups?.[req.query.group];
+    const index = parseInt(req.query.index, 10) || 0;
+    const next = group ? await ringNcco(call, req.query.group, group, index + 1, baseUrl) : null;
+    if (next) return res.json(next);
+
+    console.log(`[INFO] Nobody in ring group "${req.query.group}" answered call ${call.call_uuid} (${status}).`);
+    return res.json(await compileCallAction(group?.fallback || { type: 'voicemail' }, { flow, call, settings, baseUrl }));
+  } catch (err) {
+    console.error('[ERROR] Failed to handle ring group event:', err.message);
+    return res.sendStatus(204);
+  }
+});
+
+/**
+ * GET /call-flows?business_id=123
+ * Returns the business's call flow.
+ */
+router.get('/', requireBusinessAccess, async (req, res) => {
+  const flow = await getCallFlow(req.businessId);
+  return res.status(200).json(flow);
+});
+
+/**
+ * GET /call-flows/status?business_id=123&at=2024-05-02T18:00:00Z
+ * Says whether the flow treats the given time (default now) as open, and which step a call would start with.
+ */
+router.get('/status', requireBusinessAccess, async (req, res) => {
+  try {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({ error: 'at must be an ISO 8601 date-time' });
+    }
+
+    const flow = await getCallFlow(req.businessId);
+    const { open, timeZone } = await checkBusinessOpen(req.businessId, flow.schedule, at);
+    return res.status(200).json({
+      enabled: flow.enabled,
+      open,
+      time_zone: timeZone,
+      action: flow.enabled ? (open ? flow.open_action : flow.closed_action) : { type: 'assistant' },
+    });
+  } catch (err) {
+    console.error('[ERROR] Exception while checking call flow status:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /call-flows
+ * Replaces the business's call flow.
+ * Body: { enabled, schedule, open_action, closed_action, menus, ring_groups }; ring group numbers are stored in E.164.
+ */
+router.put('/', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = callFlowSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const { business_id: _businessId, ...flow } = value;
+    const problem = findCallFlowProblem(flow);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const country = await getBusinessPhoneCountry(req.businessId);
+    for (const [name, group] of Object.entries(flow.ring_groups)) {
+      const numbers = group.numbers.map((number) => toE164(number, country));
+      const invalid = group.numbers.find((number, i) => !numbers[i]);
+      if (invalid) {
+        return res.status(400).json({ error: `Ring group "${name}" has an invalid phone number: ${invalid}` });
+      }
+      group.numbers = numbers;
+    }
+
+    const saved = await saveCallFlow(req.businessId, flow);
+    if (!saved) {
+      return res.status(500).json({ error: 'Failed to update call flow' });
+    }
+    return res.status(200).json(saved);
+  } catch (err) {
+    console.error('[ERROR] Exception while updating call flow:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,464 @@
+// call-logs.js
+
+import express from 'express';
+import Joi from 'joi';
+import supabase from './supabaseClient.js';
+import { findVonageNumber } from './vonage.js';
+import { sendBusinessSms } from './sms-conversations.js';
+import { queueCallSummary } from './call-recordings.js';
+import { enqueueWebhookEvent, registerQueueHandler, kickQueueWorker } from './webhook-queue.js';
+import { fromVonageNumber, parsePhoneNumber, NON_SMS_PHONE_TYPES } from './phone-numbers.js';
+import {
+  requireBusinessAccess,
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  isIsoTimestamp,
+} from './helpers.js';
+
+const router = express.Router();
+
+export const CALL_OUTCOMES = ['missed', 'abandoned', 'no_response', 'completed', 'transferred', 'voicemail'];
+
+// Call statuses that end a call before anyone answered it
+const MISSED_STATUSES = ['busy', 'cancelled', 'unanswered', 'rejected', 'failed', 'timeout'];
+const FINAL_STATUSES = [...MISSED_STATUSES, 'completed'];
+
+// Text-backs stay off until a business turns them on
+export const DEFAULT_TEXTBACK_SETTINGS = {
+  enabled: false,
+  template: 'Sorry we missed your call to {business}! How can we help? Reply here and we will get right back to you.',
+  include_abandoned: true,
+};
+
+// One text-back per caller in this window, however many times they call
+const TEXTBACK_COOLDOWN_HOURS = 12;
+const MAX_TEXTBACK_LENGTH = 480;
+
+const textbackSettingsSchema = Joi.object({
+  business_id: Joi.any(),
+  enabled: Joi.boolean(),
+  template: Joi.string().trim().max(MAX_TEXTBACK_LENGTH),
+  include_abandoned: Joi.boolean(),
+}).or('enabled', 'template', 'include_abandoned');
+
+/**
+ * Get a business's missed-call text-back settings.
+ * @param {number} businessId - The business ID.
+ * @returns {Promise<object>} - { enabled, template, include_abandoned }.
+ */
+export async function getTextbackSettings(businessId) {
+  try {
+    const { data, error } = await supabase
+      .from('call_textback_settings')
+      .select('enabled, template, include_abandoned')
+      .eq('business_id', businessId)
+      .maybeSingle();
+
+    if (error) {
+      console.error(`[ERROR] Failed to fetch text-back settings for business ${businessId}:`, error.message);
+      return DEFAULT_TEXTBACK_SETTINGS;
+    }
+    return data ? { ...DEFAULT_TEXTBACK_SETTINGS, ...data } : DEFAULT_TEXTBACK_SETTINGS;
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching text-back settings:', err.message);
+    return DEFAULT_TEXTBACK_SETTINGS;
+  }
+}
+
+/**
+ * Save a business's missed-call text-back settings.
+ * @param {number} businessId - The business ID.
+ * @param {object} settings - Any of { enabled, template, include_abandoned }.
+ * @returns {Promise<object|null>} - The stored settings or null if they could not be saved.
+ */
+export async function saveTextbackSettings(businessId, settings) {
+  try {
+    const current = await getTextbackSettings(businessId);
+    const { data, error } = await supabase
+      .from('call_textback_settings')
+      .upsert({
+        business_id: businessId,
+        ...current,
+        ...settings,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: ['business_id'] })
+      .select('enabled, template, include_abandoned')
+      .single();
+
+    if (error) {
+      console.error(`[ERROR] Failed to save text-back settings for business ${businessId}:`, error.message);
+      return null;
+    }
+    return data;
+  } catch (err) {
+    console.error('[ERROR] Exception while saving text-back settings:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Fill in a text-back template. Supports {business} and {caller}.
+ * @param {string} template - The business's template.
+ * @param {object} values - { business, caller }.
+ * @returns {string} - The message text.
+ */
+export function renderTextbackTemplate(template, { business, caller }) {
+  return template
+    .replace(/\{business\}/g, business || 'us')
+    .replace(/\{caller\}/g, caller || '')
+    .trim()
+    .slice(0, MAX_TEXTBACK_LENGTH);
+}
+
+/**
+ * Count what the caller said during a call.
+ * @param {string} callUuid - The Vonage call UUID.
+ * @returns {Promise<number|null>} - The number of caller turns, or null if they could not be counted.
+ */
+async function countCallerTurns(callUuid) {
+  const { count, error } = await supabase
+    .from('voice_call_turns')
+    .select('id', { count: 'exact', head: true })
+    .eq('call_uuid', callUuid)
+    .eq('role', 'customer');
+
+  if (error) {
+    console.error(`[ERROR] Failed to count caller turns for call ${callUuid}:`, error.message);
+    return null;
+  }
+  return count;
+}
+
+/**
+ * Decide how a finished call went.
+ * Outcomes set during the call (voicemail, transfer, silence) are kept; a caller who hung up
+ * without saying anything counts as abandoned.
+ * @param {object} call - The voice_calls row.
+ * @param {string} status - The final Vonage status.
+ * @param {object} [options] - Options.
+ * @param {Function} [options.countTurns] - Counts the caller's turns; defaults to reading voice_call_turns.
+ * @returns {Promise<string>} - One of CALL_OUTCOMES.
+ */
+export async function decideCallOutcome(call, status, { countTurns = countCallerTurns } = {}) {
+  if (!call.answered_at && MISSED_STATUSES.includes(status)) return 'missed';
+  if (call.outcome === 'transferring') return 'abandoned';
+  if (call.outcome) return call.outcome;
+
+  const count = await countTurns(call.call_uuid);
+  // Assume the call went ahead when the turns cannot be counted
+  if (count === null) return 'completed';
+  return count ? 'completed' : 'abandoned';
+}
+
+/**
+ * Fetch a logged call, creating the log for inbound calls seen first through a status event.
+ * @param {object} event - The Vonage call event.
+ * @returns {Promise<object|null>} - The voice_calls row, or null for calls we do not log.
+ */
+async function fetchOrCreateCallLog(event) {
+  const { data: existing, error } = await supabase
+    .from('voice_calls')
+    .select('*')
+    .eq('call_uuid', event.uuid)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to fetch call ${event.uuid}: ${error.message}`);
+  if (existing) return existing;
+
+  // Transfer legs and outbound calls share the event URL but are not calls to the business
+  if (event.direction !== 'inbound') return null;
+
+  const called = fromVonageNumber(event.to);
+  const number = called ? await findVonageNumber(called) : null;
+  if (!number) {
+    console.warn('[WARN] Call event for a number no business owns:', event.to);
+    return null;
+  }
+
+  const { error: insertError } = await supabase
+    .from('voice_calls')
+    .upsert([{
+      call_uuid: event.uuid,
+      conversation_uuid: event.conversation_uuid || null,
+      business_id: number.business_id,
+      caller: fromVonageNumber(event.from) || event.from || null,
+      called,
+      tracking_label: number.label,
+      status: 'ringing',
+      started_at: event.timestamp || new Date().toISOString(),
+    }], { onConflict: ['call_uuid'], ignoreDuplicates: true });
+
+  if (insertError) throw new Error(`Failed to log call ${event.uuid}: ${insertError.message}`);
+
+  const { data: created, error: refetchError } = await supabase
+    .from('voice_calls')
+    .select('*')
+    .eq('call_uuid', event.uuid)
+    .single();
+
+  if (refetchError) throw new Error(`Failed to fetch call ${event.uuid}: ${refetchError.message}`);
+  return created;
+}
+
+/**
+ * Record a Vonage call status event against the call log.
+ * When the call ends, its duration and outcome are stored, the summary is queued for calls
+ * without a recording, and missed or abandoned calls are queued for a text-back.
+ * @param {object} event - Vonage event payload (uuid, status, direction, from, to, timestamp, duration, ...).
+ * @returns {Promise<object|null>} - The updated call, or null if the event is not for a logged call.
+ */
+export async function recordCallEvent(event) {
+  const status = String(event.status || '').toLowerCase();
+  if (!event.uuid || !status) return null;
+
+  const call = await fetchOrCreateCallLog(event);
+  if (!call) return null;
+
+  const now = new Date().toISOString();
+  const fields = { last_event: status, updated_at: now };
+  if (status === 'answered' && !call.answered_at) {
+    fields.answered_at = event.timestamp || now;
+  }
+
+  const isFinal = FINAL_STATUSES.includes(status) && !call.ended_at;
+  if (isFinal) {
+    const duration = parseInt(event.duration, 10);
+    fields.status = 'completed';
+    fields.ended_at = event.end_time || event.timestamp || now;
+    fields.duration_seconds = isNaN(duration) ? null : duration;
+    fields.outcome = await decideCallOutcome(call, status);
+  }
+
+  const { data: updated, error } = await supabase
+    .from('voice_calls')
+    .update(fields)
+    .eq('call_uuid', call.call_uuid)
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to record ${status} event for call ${call.call_uuid}: ${error.message}`);
+
+  if (isFinal) {
+    console.log(`[INFO] Call ${call.call_uuid} ended: ${fields.outcome} after ${fields.duration_seconds ?? '?'}s.`);
+    // Recorded calls are summarized once their transcript is ready
+    if (!updated.recorded && fields.outcome !== 'missed') await queueCallSummary(updated.call_uuid);
+    if (['missed', 'abandoned', 'no_response'].includes(fields.outcome)) {
+      await enqueueWebhookEvent('missed_call_textback', { callUuid: updated.call_uuid });
+      kickQueueWorker();
+    }
+  }
+  return updated;
+}
+
+/**
+ * Text a caller back after a missed or abandoned call, from the number they called.
+ * Runs as the `missed_call_textback` queue job; throws on send failures so the queue retries.
+ * @param {object} params - Job payload.
+ * @param {string} params.callUuid - The Vonage call UUID.
+ * @returns {Promise<object>} - { status } describing what happened.
+ */
+export async function sendMissedCallTextback({ callUuid }) {
+  const { data: call, error } = await supabase
+    .from('voice_calls')
+    .select('call_uuid, business_id, caller, called, outcome, textback_status')
+    .eq('call_uuid', callUuid)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to fetch call ${callUuid}: ${error.message}`);
+  if (!call || call.textback_status === 'sent') return { status: 'skipped' };
+
+  const settings = await getTextbackSettings(call.business_id);
+  if (!settings.enabled) return { status: 'disabled' };
+  if (call.outcome !== 'missed' && !settings.include_abandoned) return { status: 'disabled' };
+
+  const skip = async (reason) => {
+    await supabase.from('voice_calls').update({ textback_status: 'skipped', textback_error: reason }).eq('call_uuid', callUuid);
+    console.log(`[INFO] No text-back for call ${callUuid}: ${reason}.`);
+    return { status: 'skipped' };
+  };
+
+  const caller = parsePhoneNumber(call.caller);
+  if (!caller?.valid) return skip('caller number withheld or invalid');
+  if (NON_SMS_PHONE_TYPES.includes(caller.type)) return skip('caller number cannot receive SMS');
+
+  const cutoff = new Date(Date.now() - TEXTBACK_COOLDOWN_HOURS * 60 * 60 * 1000).toISOString();
+  const { count, error: recentError } = await supabase
+    .from('voice_calls')
+    .select('call_uuid', { count: 'exact', head: true })
+    .eq('business_id', call.business_id)
+    .eq('caller', caller.e164)
+    .eq('textback_status', 'sent')
+    .gte('textback_sent_at', cutoff);
+
+  if (recentError) throw new Error(`Failed to check recent text-backs: ${recentError.message}`);
+  if (count) return skip('caller was texted recently');
+
+  const { data: business } = await supabase
+    .from('businesses')
+    .select('name')
+    .eq('id', call.business_id)
+    .maybeSingle();
+
+  const text = renderTextbackTemplate(settings.template, { business: business?.name, caller: caller.e164 });
+  try {
+    const { messageId } = await sendBusinessSms({
+      businessId: call.business_id,
+      to: caller.e164,
+      text,
+      from: call.called,
+    });
+
+    await supabase
+      .from('voice_calls')
+      .update({ textback_status: 'sent', textback_sent_at: new Date().toISOString(), textback_message_id: messageId, textback_error: null })
+      .eq('call_uuid', callUuid);
+
+    console.log(`[INFO] Sent missed-call text-back for call ${callUuid}.`);
+    return { status: 'sent' };
+  } catch (err) {
+    await supabase
+      .from('voice_calls')
+      .update({ textback_status: 'failed', textback_error: err.message })
+      .eq('call_uuid', callUuid);
+    throw err;
+  }
+}
+
+registerQueueHandler('missed_call_textback', sendMissedCallTextback);
+
+/**
+ * GET /calls/textback/settings?business_id=123
+ * Returns the missed-call text-back settings.
+ */
+router.get('/textback/settings', requireBusinessAccess, async (req, res) => {
+  const settings = await getTextbackSettings(req.businessId);
+  return res.status(200).json(settings);
+});
+
+/**
+ * PUT /calls/textback/settings
+ * Updates the missed-call text-back settings. Body: any of { enabled, template, include_abandoned }.
+ * The template may use {business} and {caller}.
+ */
+router.put('/textback/settings', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = textbackSettingsSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const { business_id: _businessId, ...settings } = value;
+    const saved = await saveTextbackSettings(req.businessId, settings);
+    if (!saved) {
+      return res.status(500).json({ error: 'Failed to update text-back settings' });
+    }
+    return res.status(200).json(saved);
+  } catch (err) {
+    console.error('[ERROR] Exception while updating text-back settings:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /calls?business_id=123&outcome=missed&tracking_label=...&since=...&until=...&limit=20&cursor=...
+ * Lists the business's call log, newest first.
+ */
+router.get('/', requireBusinessAccess, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor, { startedAt: 'timestamp', callUuid: 'id' });
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    if (req.query.outcome && !CALL_OUTCOMES.includes(req.query.outcome)) {
+      return res.status(400).json({ error: `outcome must be one of: ${CALL_OUTCOMES.join(', ')}` });
+    }
+    for (const param of ['since', 'until']) {
+      const value = req.query[param];
+      const isDate = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+      if (value !== undefined && !isDate && !isIsoTimestamp(value)) {
+        return res.status(400).json({ error: `${param} must be an ISO 8601 date or date-time with a time zone` });
+      }
+    }
+
+    let query = supabase
+      .from('voice_calls')
+      .select('call_uuid, caller, called, tracking_label, status, outcome, started_at, answered_at, ended_at, duration_seconds, summary, callback_needed, textback_status, contact_id')
+      .eq('business_id', req.businessId)
+      .order('started_at', { ascending: false })
+      .order('call_uuid', { ascending: false })
+      .limit(limit + 1);
+
+    if (req.query.outcome) query = query.eq('outcome', req.query.outcome);
+    if (req.query.tracking_label) query = query.eq('tracking_label', req.query.tracking_label);
+    if (req.query.since) query = query.gte('started_at', req.query.since);
+    if (req.query.until) query = query.lt('started_at', req.query.until);
+    if (cursor) {
+      query = query.or(`started_at.lt.${cursor.startedAt},and(started_at.eq.${cursor.startedAt},call_uuid.lt.${cursor.callUuid})`);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.error(`[ERROR] Failed to fetch calls for business_id=${req.businessId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch calls' });
+    }
+
+    const calls = data.slice(0, limit);
+    const last = calls[calls.length - 1];
+    return res.status(200).json({
+      calls,
+      next_cursor: data.length > limit && last ? encodeCursor({ startedAt: last.started_at, callUuid: last.call_uuid }) : null,
+    });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching calls:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /calls/:callUuid?business_id=123
+ * Returns one call with what was said, its recordings and voicemails.
+ */
+router.get('/:callUuid', requireBusinessAccess, async (req, res) => {
+  try {
+    const { data: call, error } = await supabase
+      .from('voice_calls')
+      .select('*')
+      .eq('business_id', req.businessId)
+      .eq('call_uuid', req.params.callUuid)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch call:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch call' });
+    }
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    const [turns, recordings, voicemails] = await Promise.all([
+      supabase.from('voice_call_turns').select('role, message, created_at').eq('call_uuid', call.call_uuid).order('created_at', { ascending: true }),
+      supabase.from('call_recordings').select('recording_uuid, duration_seconds, status, transcript, transcribed_at, created_at').eq('call_uuid', call.call_uuid),
+      supabase.from('voicemails').select('recording_uuid, recording_url, duration_seconds, created_at').eq('call_uuid', call.call_uuid),
+    ]);
+
+    const failed = [turns, recordings, voicemails].find((result) => result.error);
+    if (failed) {
+      console.error('[ERROR] Failed to fetch call details:', failed.error.message);
+      return res.status(500).json({ error: 'Failed to fetch call' });
+    }
+
+    return res.status(200).json({
+      ...call,
+      turns: turns.data,
+      recordings: recordings.data,
+      voicemails: voicemails.data,
+    });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching call:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
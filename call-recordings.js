@@ -0,0 +1,239 @@
+// call-recordings.js
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import openai from './openaiClient.js';
+import supabase from './supabaseClient.js';
+import { downloadCallRecording } from './vonage.js';
+import { transcribeRecording } from './transcription.js';
+import { resolveContact } from './contact-identity.js';
+import { enqueueWebhookEvent, registerQueueHandler, kickQueueWorker } from './webhook-queue.js';
+
+// Longest transcript sent to the model for a summary
+const MAX_SUMMARY_TRANSCRIPT_LENGTH = 12000;
+
+/**
+ * Store a finished call recording and queue its transcription.
+ * Vonage may send the recording event more than once; the recording UUID keeps it to one row.
+ * @param {object} call - The voice_calls row.
+ * @param {object} recording - From the record event.
+ * @param {string} recording.recordingUrl - Vonage URL of the recording.
+ * @param {string} recording.recordingUuid - Vonage recording UUID.
+ * @param {string} [recording.startTime] - When recording started.
+ * @param {string} [recording.endTime] - When recording ended.
+ * @returns {Promise<object>} - The stored recording.
+ * @throws {Error} - If the recording cannot be stored.
+ */
+export async function storeCallRecording(call, { recordingUrl, recordingUuid, startTime = null, endTime = null }) {
+  const durationSeconds = startTime && endTime
+    ? Math.max(0, Math.round((new Date(endTime) - new Date(startTime)) / 1000))
+    : null;
+
+  const { data, error } = await supabase
+    .from('call_recordings')
+    .upsert([{
+      business_id: call.business_id,
+      call_uuid: call.call_uuid,
+      recording_uuid: recordingUuid,
+      recording_url: recordingUrl,
+      duration_seconds: durationSeconds,
+      status: 'pending',
+    }], { onConflict: ['recording_uuid'], ignoreDuplicates: true })
+    .select();
+
+  if (error) throw new Error(`Failed to store recording ${recordingUuid}: ${error.message}`);
+
+  // A repeated event matches no new row and must not transcribe twice
+  if (data?.length) {
+    await enqueueWebhookEvent('call_transcription', { recordingUuid });
+    kickQueueWorker();
+  }
+  return data?.[0] || null;
+}
+
+/**
+ * Transcribe a stored call recording, then queue the call's summary.
+ * Runs as the `call_transcription` queue job; throws so the queue retries failed transcriptions.
+ * @param {object} params - Job payload.
+ * @param {string} params.recordingUuid - Vonage recording UUID.
+ */
+export async function transcribeCallRecording({ recordingUuid }) {
+  const { data: recording, error } = await supabase
+    .from('call_recordings')
+    .select('*')
+    .eq('recording_uuid', recordingUuid)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to fetch recording ${recordingUuid}: ${error.message}`);
+  if (!recording) {
+    console.warn(`[WARN] Recording ${recordingUuid} not found for transcription.`);
+    return;
+  }
+  if (recording.status === 'transcribed') return;
+
+  const filePath = path.join(os.tmpdir(), `${recordingUuid}.mp3`);
+  try {
+    const { text, provider } = await transcribeRecording({
+      recordingUrl: recording.recording_url,
+      fetchAudio: () => downloadCallRecording(recording.recording_url, filePath),
+    });
+
+    const { error: updateError } = await supabase
+      .from('call_recordings')
+      .update({
+        status: 'transcribed',
+        transcript: text,
+        transcription_provider: provider,
+        transcribed_at: new Date().toISOString(),
+        error: null,
+      })
+      .eq('recording_uuid', recordingUuid);
+
+    if (updateError) throw new Error(`Failed to store transcript for ${recordingUuid}: ${updateError.message}`);
+    console.log(`[INFO] Transcribed recording ${recordingUuid} for call ${recording.call_uuid}.`);
+  } catch (err) {
+    await supabase
+      .from('call_recordings')
+      .update({ status: 'failed', error: err.message })
+      .eq('recording_uuid', recordingUuid);
+    throw err;
+  } finally {
+    await fs.rm(filePath, { force: true });
+  }
+
+  await queueCallSummary(recording.call_uuid);
+}
+
+registerQueueHandler('call_transcription', transcribeCallRecording);
+
+/**
+ * Queue the AI summary of a finished call.
+ * @param {string} callUuid - The Vonage call UUID.
+ */
+export async function queueCallSummary(callUuid) {
+  try {
+    await enqueueWebhookEvent('call_summary', { callUuid });
+    kickQueueWorker();
+  } catch (err) {
+    console.error(`[ERROR] Failed to queue summary for call ${callUuid}:`, err.message);
+  }
+}
+
+/**
+ * Build the best available transcript of a call.
+ * A full recording transcript covers transfers and voicemails; otherwise the assistant's own turns are used.
+ * @param {string} callUuid - The Vonage call UUID.
+ * @returns {Promise<string>} - The transcript, or an empty string if nothing was said.
+ */
+async function fetchCallTranscript(callUuid) {
+  const { data: recordings, error } = await supabase
+    .from('call_recordings')
+    .select('transcript')
+    .eq('call_uuid', callUuid)
+    .eq('status', 'transcribed')
+    .order('created_at', { ascending: true });
+
+  if (error) throw new Error(`Failed to fetch transcripts for call ${callUuid}: ${error.message}`);
+  const recorded = (recordings || []).map((recording) => recording.transcript).filter(Boolean).join('\n');
+  if (recorded) return recorded;
+
+  const { data: turns, error: turnsError } = await supabase
+    .from('voice_call_turns')
+    .select('role, message')
+    .eq('call_uuid', callUuid)
+    .order('created_at', { ascending: true });
+
+  if (turnsError) throw new Error(`Failed to fetch turns for call ${callUuid}: ${turnsError.message}`);
+  return (turns || [])
+    .map((turn) => `${turn.role === 'customer' ? 'Caller' : 'Receptionist'}: ${turn.message}`)
+    .join('\n');
+}
+
+/**
+ * Parse the model's JSON call summary, tolerating stray text around it.
+ * @param {string} content - The model output.
+ * @returns {object} - { summary, intent, requested_appointment, callback_needed }.
+ */
+function parseCallSummary(content) {
+  const match = content.match(/\{[\s\S]*\}/);
+  try {
+    const parsed = JSON.parse(match ? match[0] : content);
+    return {
+      summary: typeof parsed.summary === 'string' ? parsed.summary.trim() : null,
+      intent: typeof parsed.intent === 'string' ? parsed.intent.trim() : null,
+      requested_appointment: parsed.requested_appointment && typeof parsed.requested_appointment === 'object'
+        ? parsed.requested_appointment
+        : null,
+      callback_needed: parsed.callback_needed === true,
+    };
+  } catch (err) {
+    console.warn('[WARN] Call summary was not valid JSON, keeping it as text.');
+    return { summary: content.trim(), intent: null, requested_appointment: null, callback_needed: false };
+  }
+}
+
+/**
+ * Summarize a finished call and attach the summary to the caller's contact.
+ * Runs as the `call_summary` queue job; throws so the queue retries.
+ * @param {object} params - Job payload.
+ * @param {string} params.callUuid - The Vonage call UUID.
+ * @returns {Promise<object|null>} - The summary, or null if there was nothing to summarize.
+ */
+export async function summarizeCall({ callUuid }) {
+  const { data: call, error } = await supabase
+    .from('voice_calls')
+    .select('call_uuid, business_id, caller, started_at')
+    .eq('call_uuid', callUuid)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to fetch call ${callUuid}: ${error.message}`);
+  if (!call) {
+    console.warn(`[WARN] Call ${callUuid} not found for summary.`);
+    return null;
+  }
+
+  const transcript = await fetchCallTranscript(callUuid);
+  if (!transcript.trim()) {
+    console.log(`[INFO] Call ${callUuid} has no transcript to summarize.`);
+    return null;
+  }
+
+  const response = await openai.chat.completions.create({
+    model: 'gpt-4',
+    messages: [
+      {
+        role: 'system',
+        content: 'Summarize this phone call to a business for its staff. Reply with JSON only: {"summary": "two or three sentences", "intent": "what the caller wanted, in a few words", "requested_appointment": {"date": "...", "time": "...", "service": "..."} or null, "callback_needed": true or false}. Set callback_needed when the caller asked to be called back or their request was left unresolved.',
+      },
+      { role: 'user', content: transcript.slice(0, MAX_SUMMARY_TRANSCRIPT_LENGTH) },
+    ],
+  });
+
+  const content = response.choices[0]?.message?.content?.trim();
+  if (!content) throw new Error(`Empty summary for call ${callUuid}`);
+  const summary = parseCallSummary(content);
+
+  const contactId = call.caller
+    ? await resolveContact({ businessId: call.business_id, sourceType: 'caller', sourceId: call.caller, phone: call.caller })
+    : null;
+
+  const { error: updateError } = await supabase
+    .from('voice_calls')
+    .update({
+      summary: summary.summary,
+      intent: summary.intent,
+      requested_appointment: summary.requested_appointment,
+      callback_needed: summary.callback_needed,
+      contact_id: contactId,
+      summarized_at: new Date().toISOString(),
+    })
+    .eq('call_uuid', callUuid);
+
+  if (updateError) throw new Error(`Failed to store summary for call ${callUuid}: ${updateError.message}`);
+
+  console.log(`[INFO] Summarized call ${callUuid}${summary.callback_needed ? ' (callback needed)' : ''}.`);
+  return summary;
+}
+
+registerQueueHandler('call_summary', summarizeCall);
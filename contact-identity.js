@@ -0,0 +1,380 @@
+// contact-identity.js
+
+import supabase from './supabaseClient.js';
+import { DEFAULT_PHONE_COUNTRY, fromVonageNumber, getBusinessPhoneCountry, parsePhoneNumber, toE164 } from './phone-numbers.js';
+
+export const CONTACT_SOURCE_TYPES = ['lead', 'instagram_user', 'caller'];
+
+// Identifier columns on contact_links that auto-merge matches on
+const MATCH_FIELDS = ['phone', 'email', 'ig_id'];
+
+// Guards against cycles if merged_into rows are ever edited by hand
+const MAX_MERGE_CHAIN = 10;
+
+/**
+ * Build an error the API can report with a specific status code.
+ * @param {string} message - The error message.
+ * @param {number} status - HTTP status for the response.
+ * @returns {Error} - Error with a `status` property.
+ */
+function contactError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Normalize a phone number for matching: E.164, so "(415) 555-0100" on a US form matches a caller's "+14155550100".
+ * @param {string} phone - The raw phone number.
+ * @param {string} [country] - Country to assume when the number has no country code.
+ * @returns {string|null} - The normalized number or null if it is not a valid number.
+ */
+export function normalizeContactPhone(phone, country = DEFAULT_PHONE_COUNTRY) {
+  if (!phone || typeof phone !== 'string') return null;
+  return toE164(phone, country);
+}
+
+/**
+ * Values a phone number may be stored as on contact_links. Links created before phones were
+ * normalized to E.164 hold bare digits, with or without the country code.
+ * @param {string} e164 - The number in E.164.
+ * @param {string} [country] - The business's default phone country.
+ * @returns {Array<string>} - The E.164 number followed by its legacy digit forms.
+ */
+export function contactPhoneMatchValues(e164, country = DEFAULT_PHONE_COUNTRY) {
+  const nationalNumber = parsePhoneNumber(e164, country)?.nationalNumber;
+  return [...new Set([e164, e164.slice(1), nationalNumber].filter(Boolean))];
+}
+
+/**
+ * Convert a phone stored on contact_links to E.164, including legacy digit-only values.
+ * @param {string} phone - The stored phone.
+ * @param {string} [country] - The business's default phone country.
+ * @returns {string|null} - The number in E.164 or null if it is not a valid number.
+ */
+export function storedContactPhoneToE164(phone, country = DEFAULT_PHONE_COUNTRY) {
+  if (!phone) return null;
+  if (phone.startsWith('+')) return phone;
+  // National digits are tried first; digits that only make sense with a country code came from Vonage
+  return normalizeContactPhone(phone, country) || fromVonageNumber(phone);
+}
+
+/**
+ * Normalize an email address for matching.
+ * @param {string} email - The raw email address.
+ * @returns {string|null} - The lowercased address or null if it is not an email.
+ */
+export function normalizeContactEmail(email) {
+  if (!email || typeof email !== 'string') return null;
+  const normalized = email.trim().toLowerCase();
+  // Characters that would break a PostgREST filter expression are rejected along with malformed addresses
+  return /^[^\s@",()]+@[^\s@",()]+\.[^\s@",()]+$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Follow merged_into pointers to the contact that now holds a merged contact's records.
+ * @param {number} contactId - Any contact ID, merged or not.
+ * @returns {Promise<object|null>} - The active contact or null if it does not exist.
+ */
+export async function fetchActiveContact(contactId) {
+  let currentId = contactId;
+  for (let hop = 0; hop < MAX_MERGE_CHAIN; hop++) {
+    const { data, error } = await supabase
+      .from('contacts')
+      .select('*')
+      .eq('id', currentId)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to fetch contact ${currentId}: ${error.message}`);
+    if (!data) return null;
+    if (!data.merged_into) return data;
+    currentId = data.merged_into;
+  }
+  throw new Error(`Merge chain for contact ${contactId} is too long`);
+}
+
+/**
+ * Check whether staff undid an earlier merge of two contacts, in which case they stay apart.
+ * @param {number} businessId - The business ID.
+ * @param {number} contactA - One contact ID.
+ * @param {number} contactB - The other contact ID.
+ * @returns {Promise<boolean>} - True if a reverted merge exists between them.
+ */
+async function wasMergeReverted(businessId, contactA, contactB) {
+  const { data, error } = await supabase
+    .from('contact_merges')
+    .select('id')
+    .eq('business_id', businessId)
+    .not('reverted_at', 'is', null)
+    .or(`and(survivor_id.eq.${contactA},merged_id.eq.${contactB}),and(survivor_id.eq.${contactB},merged_id.eq.${contactA})`)
+    .limit(1);
+
+  if (error) throw new Error(`Failed to check reverted merges: ${error.message}`);
+  return Boolean(data?.length);
+}
+
+/**
+ * Merge one contact into another, moving its linked records and recording an audit row.
+ * @param {number} businessId - The business ID.
+ * @param {number} survivorId - The contact that keeps the records.
+ * @param {number} mergedId - The contact folded into the survivor.
+ * @param {object} details - Audit details.
+ * @param {string} details.reason - Why the merge happened, e.g. 'auto' or 'manual'.
+ * @param {object} [details.matchedOn] - The identifier that matched, e.g. { field: 'phone', value: '+15551234567' }.
+ * @param {number} [details.actorId] - Business owner who merged them; null for automatic merges.
+ * @returns {Promise<object>} - The contact_merges row.
+ * @throws {Error} - If either contact is missing or the merge could not be stored.
+ */
+export async function mergeContacts(businessId, survivorId, mergedId, { reason, matchedOn = null, actorId = null }) {
+  if (survivorId === mergedId) throw contactError('Cannot merge a contact into itself', 400);
+
+  const { data: contacts, error: contactsError } = await supabase
+    .from('contacts')
+    .select('id, merged_into')
+    .eq('business_id', businessId)
+    .in('id', [survivorId, mergedId]);
+
+  if (contactsError) throw new Error(`Failed to fetch contacts: ${contactsError.message}`);
+  if (contacts?.length !== 2 || contacts.some((contact) => contact.merged_into)) {
+    throw contactError('Both contacts must exist and be active', 409);
+  }
+
+  const { data: links, error: linksError } = await supabase
+    .from('contact_links')
+    .update({ contact_id: survivorId })
+    .eq('business_id', businessId)
+    .eq('contact_id', mergedId)
+    .select('id');
+
+  if (linksError) throw new Error(`Failed to move contact links: ${linksError.message}`);
+
+  const now = new Date().toISOString();
+  const { error: mergedError } = await supabase
+    .from('contacts')
+    .update({ merged_into: survivorId, updated_at: now })
+    .eq('id', mergedId);
+
+  if (mergedError) throw new Error(`Failed to mark contact ${mergedId} as merged: ${mergedError.message}`);
+
+  const { data: merge, error: mergeError } = await supabase
+    .from('contact_merges')
+    .insert([{
+      business_id: businessId,
+      survivor_id: survivorId,
+      merged_id: mergedId,
+      reason,
+      matched_on: matchedOn,
+      moved_link_ids: (links || []).map((link) => link.id),
+      actor_id: actorId,
+      created_at: now,
+    }])
+    .select()
+    .single();
+
+  if (mergeError) throw new Error(`Failed to record merge: ${mergeError.message}`);
+
+  console.log(`[INFO] Merged contact ${mergedId} into ${survivorId} (${reason}${matchedOn ? ` on ${matchedOn.field}` : ''})`);
+  return merge;
+}
+
+/**
+ * Undo a merge: move the records that came with the merged contact back and reactivate it.
+ * Records linked to the survivor after the merge stay where they are.
+ * @param {number} businessId - The business ID.
+ * @param {number} mergeId - The contact_merges row to undo.
+ * @param {number} [actorId] - Business owner undoing the merge.
+ * @returns {Promise<object|null>} - The updated merge row, or null if it does not exist.
+ * @throws {Error} - If the merge was already undone, a later merge depends on it, or the update failed.
+ */
+export async function revertContactMerge(businessId, mergeId, actorId = null) {
+  const { data: merge, error } = await supabase
+    .from('contact_merges')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('id', mergeId)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to fetch merge ${mergeId}: ${error.message}`);
+  if (!merge) return null;
+  if (merge.reverted_at) throw contactError('This merge was already undone', 409);
+
+  const { data: survivor, error: survivorError } = await supabase
+    .from('contacts')
+    .select('merged_into')
+    .eq('id', merge.survivor_id)
+    .single();
+
+  if (survivorError) throw new Error(`Failed to fetch contact ${merge.survivor_id}: ${survivorError.message}`);
+  if (survivor.merged_into) {
+    throw contactError('The surviving contact was merged again since; undo that merge first', 409);
+  }
+
+  if (merge.moved_link_ids?.length) {
+    const { error: linksError } = await supabase
+      .from('contact_links')
+      .update({ contact_id: merge.merged_id })
+      .eq('contact_id', merge.survivor_id)
+      .in('id', merge.moved_link_ids);
+
+    if (linksError) throw new Error(`Failed to move contact links back: ${linksError.message}`);
+  }
+
+  const now = new Date().toISOString();
+  const { error: reactivateError } = await supabase
+    .from('contacts')
+    .update({ merged_into: null, updated_at: now })
+    .eq('id', merge.merged_id);
+
+  if (reactivateError) throw new Error(`Failed to reactivate contact ${merge.merged_id}: ${reactivateError.message}`);
+
+  const { data: reverted, error: revertError } = await supabase
+    .from('contact_merges')
+    .update({ reverted_at: now, reverted_by: actorId })
+    .eq('id', mergeId)
+    .select()
+    .single();
+
+  if (revertError) throw new Error(`Failed to record merge revert: ${revertError.message}`);
+
+  console.log(`[INFO] Undid merge ${mergeId}: contact ${merge.merged_id} split from ${merge.survivor_id}`);
+  return reverted;
+}
+
+/**
+ * Link a lead, Instagram user or caller to a contact profile, creating or merging profiles as needed.
+ * Records sharing a normalized phone, email or IG id with this one are merged into the oldest matching
+ * contact, unless staff previously undid a merge between the two.
+ * @param {object} params - The record to link.
+ * @param {number} params.businessId - The business ID.
+ * @param {string} params.sourceType - One of CONTACT_SOURCE_TYPES.
+ * @param {string} params.sourceId - The record's ID (lead_id, Instagram ID, or caller number).
+ * @param {string} [params.name] - Display name, if known.
+ * @param {string} [params.phone] - Phone number, if known.
+ * @param {string} [params.email] - Email address, if known.
+ * @param {string} [params.igId] - Instagram-scoped ID, if known.
+ * @returns {Promise<number|null>} - The contact ID, or null if the record could not be linked.
+ */
+export async function resolveContact({ businessId, sourceType, sourceId, name = null, phone = null, email = null, igId = null }) {
+  try {
+    if (!businessId || !CONTACT_SOURCE_TYPES.includes(sourceType) || !sourceId) {
+      console.warn('[WARN] Missing required fields for contact resolution:', { businessId, sourceType, sourceId });
+      return null;
+    }
+
+    const country = phone ? await getBusinessPhoneCountry(businessId) : DEFAULT_PHONE_COUNTRY;
+    const identifiers = {
+      phone: phone ? normalizeContactPhone(phone, country) : null,
+      email: normalizeContactEmail(email),
+      ig_id: igId ? String(igId).trim() : null,
+    };
+
+    const { data: existingLink, error: linkError } = await supabase
+      .from('contact_links')
+      .select('id, contact_id')
+      .eq('business_id', businessId)
+      .eq('source_type', sourceType)
+      .eq('source_id', String(sourceId))
+      .maybeSingle();
+
+    if (linkError) throw new Error(`Failed to fetch contact link: ${linkError.message}`);
+
+    // Contacts already holding any of these identifiers; phones also match their legacy digit forms
+    const phoneValues = identifiers.phone ? contactPhoneMatchValues(identifiers.phone, country) : [];
+    const matchesIdentifier = (field, value) => (field === 'phone'
+      ? phoneValues.includes(value)
+      : Boolean(identifiers[field]) && value === identifiers[field]);
+    const filters = MATCH_FIELDS
+      .filter((field) => identifiers[field])
+      .map((field) => (field === 'phone' ? `phone.in.(${phoneValues.join(',')})` : `${field}.eq.${identifiers[field]}`));
+    let matches = [];
+    if (filters.length) {
+      const { data, error } = await supabase
+        .from('contact_links')
+        .select('contact_id, phone, email, ig_id')
+        .eq('business_id', businessId)
+        .or(filters.join(','));
+
+      if (error) throw new Error(`Failed to match contact links: ${error.message}`);
+      matches = data || [];
+
+      // Rewrite legacy digit-only phones that matched, so they are stored like every new link
+      if (matches.some((match) => match.phone && match.phone !== identifiers.phone && matchesIdentifier('phone', match.phone))) {
+        const { error: phoneError } = await supabase
+          .from('contact_links')
+          .update({ phone: identifiers.phone, updated_at: new Date().toISOString() })
+          .eq('business_id', businessId)
+          .in('phone', phoneValues.slice(1));
+
+        if (phoneError) {
+          console.error('[ERROR] Failed to normalize legacy contact link phones:', phoneError.message);
+        }
+      }
+    }
+
+    const candidateIds = [...new Set([
+      ...(existingLink ? [existingLink.contact_id] : []),
+      ...matches.map((match) => match.contact_id),
+    ])];
+
+    let contactId;
+    if (!candidateIds.length) {
+      const { data: contact, error } = await supabase
+        .from('contacts')
+        .insert([{ business_id: businessId, name, created_at: new Date().toISOString() }])
+        .select('id')
+        .single();
+
+      if (error) throw new Error(`Failed to create contact: ${error.message}`);
+      contactId = contact.id;
+    } else {
+      // Oldest contact survives so IDs the dashboard already holds keep working
+      const activeContacts = [];
+      for (const candidateId of candidateIds) {
+        const contact = await fetchActiveContact(candidateId);
+        if (contact && !activeContacts.some((active) => active.id === contact.id)) {
+          activeContacts.push(contact);
+        }
+      }
+      activeContacts.sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+
+      const survivor = activeContacts[0];
+      contactId = survivor.id;
+      for (const other of activeContacts.slice(1)) {
+        if (await wasMergeReverted(businessId, survivor.id, other.id)) continue;
+
+        const shared = matches.find((match) => match.contact_id === other.id);
+        const field = shared ? MATCH_FIELDS.find((key) => identifiers[key] && matchesIdentifier(key, shared[key])) : null;
+        await mergeContacts(businessId, survivor.id, other.id, {
+          reason: 'auto',
+          matchedOn: field ? { field, value: identifiers[field] } : { field: 'source', value: `${sourceType}:${sourceId}` },
+        });
+      }
+
+      if (name && !survivor.name) {
+        await supabase.from('contacts').update({ name, updated_at: new Date().toISOString() }).eq('id', survivor.id);
+      }
+    }
+
+    // A record already linked stays with its contact if a reverted merge kept that contact apart
+    if (existingLink) {
+      contactId = (await fetchActiveContact(existingLink.contact_id))?.id || contactId;
+    }
+
+    const { error: upsertError } = await supabase
+      .from('contact_links')
+      .upsert({
+        business_id: businessId,
+        contact_id: contactId,
+        source_type: sourceType,
+        source_id: String(sourceId),
+        ...identifiers,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: ['business_id', 'source_type', 'source_id'] });
+
+    if (upsertError) throw new Error(`Failed to link ${sourceType} ${sourceId}: ${upsertError.message}`);
+    return contactId;
+  } catch (err) {
+    console.error(`[ERROR] Failed to resolve contact for ${sourceType} ${sourceId}:`, err.message);
+    return null;
+  }
+}
@@ -0,0 +1,394 @@
+import express from 'express';
+import Joi from 'joi';
+import supabase from './supabaseClient.js';
+import {
+  requireBusinessAccess,
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  sanitizeSearchTerm,
+} from './helpers.js';
+import {
+  fetchActiveContact,
+  mergeContacts,
+  revertContactMerge,
+  storedContactPhoneToE164,
+} from './contact-identity.js';
+import { getBusinessPhoneCountry } from './phone-numbers.js';
+
+const router = express.Router();
+
+const mergeSchema = Joi.object({
+  business_id: Joi.any(),
+  contact_id: Joi.number().integer().required(),
+});
+
+/**
+ * Fetch the records linked to a set of contacts.
+ * @param {Array<number>} contactIds - Contact IDs.
+ * @returns {Promise<Array<object>>} - contact_links rows.
+ */
+async function fetchContactLinks(contactIds) {
+  if (!contactIds.length) return [];
+  const { data, error } = await supabase
+    .from('contact_links')
+    .select('id, contact_id, source_type, source_id, phone, email, ig_id, created_at')
+    .in('contact_id', contactIds);
+
+  if (error) throw new Error(`Failed to fetch contact links: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Summarize a contact's identifiers from its linked records.
+ * @param {object} contact - The contacts row.
+ * @param {Array<object>} links - The contact's links.
+ * @returns {object} - The contact with phones, emails, ig_ids and sources.
+ */
+function summarizeContact(contact, links) {
+  const unique = (field) => [...new Set(links.map((link) => link[field]).filter(Boolean))];
+  return {
+    id: contact.id,
+    name: contact.name,
+    phones: unique('phone'),
+    emails: unique('email'),
+    ig_ids: unique('ig_id'),
+    sources: [...new Set(links.map((link) => link.source_type))],
+    created_at: contact.created_at,
+  };
+}
+
+/**
+ * Load a contact for the request's business, following merges to the surviving profile.
+ * @param {object} req - Express request with businessId and params.contactId.
+ * @returns {Promise<object|null>} - The active contact or null if it does not belong to the business.
+ */
+async function loadContact(req) {
+  const contactId = parseInt(req.params.contactId, 10);
+  if (isNaN(contactId)) return null;
+
+  const contact = await fetchActiveContact(contactId);
+  if (!contact || contact.business_id !== req.businessId) return null;
+  return contact;
+}
+
+/**
+ * GET /contacts?business_id=123&q=...&limit=20&cursor=...
+ * Lists unified contact profiles, newest first.
+ */
+router.get('/', requireBusinessAccess, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor, { createdAt: 'timestamp', id: 'id' });
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    let query = supabase
+      .from('contacts')
+      .select('*')
+      .eq('business_id', req.businessId)
+      .is('merged_into', null)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    const term = sanitizeSearchTerm(req.query.q);
+    if (term) {
+      const digits = term.replace(/\D/g, '');
+      const linkFilters = [`email.ilike.%${term}%`, `ig_id.eq.${term}`];
+      if (digits.length >= 3) linkFilters.push(`phone.like.%${digits}%`);
+
+      const { data: matches, error: searchError } = await supabase
+        .from('contact_links')
+        .select('contact_id')
+        .eq('business_id', req.businessId)
+        .or(linkFilters.join(','))
+        .limit(500);
+
+      if (searchError) throw new Error(`Failed to search contacts: ${searchError.message}`);
+      const ids = [...new Set((matches || []).map((match) => match.contact_id))];
+      const filters = [`name.ilike.%${term}%`];
+      if (ids.length) filters.push(`id.in.(${ids.join(',')})`);
+      query = query.or(filters.join(','));
+    }
+    if (cursor) {
+      query = query.or(`created_at.lt.${cursor.createdAt},and(created_at.eq.${cursor.createdAt},id.lt.${cursor.id})`);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.error(`[ERROR] Failed to fetch contacts for business_id=${req.businessId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch contacts' });
+    }
+
+    const page = data.slice(0, limit);
+    const links = await fetchContactLinks(page.map((contact) => contact.id));
+    const last = page[page.length - 1];
+    return res.status(200).json({
+      contacts: page.map((contact) => summarizeContact(contact, links.filter((link) => link.contact_id === contact.id))),
+      next_cursor: data.length > limit && last ? encodeCursor({ createdAt: last.created_at, id: last.id }) : null,
+    });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching contacts:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /contacts/merges/:mergeId/revert
+ * Undoes a merge, splitting the merged contact back out with the records it brought.
+ */
+router.post('/merges/:mergeId/revert', requireBusinessAccess, async (req, res) => {
+  try {
+    const merge = await revertContactMerge(req.businessId, req.params.mergeId, req.businessOwnerId);
+    if (!merge) {
+      return res.status(404).json({ error: 'Merge not found' });
+    }
+    return res.status(200).json(merge);
+  } catch (err) {
+    console.error('[ERROR] Exception while undoing contact merge:', err.message);
+    return res.status(err.status || 500).json({ error: err.status ? err.message : 'Internal server error' });
+  }
+});
+
+/**
+ * GET /contacts/:contactId?business_id=123
+ * Returns a contact profile with every linked lead, Instagram user and caller record.
+ * A merged contact's ID returns the profile it was merged into.
+ */
+router.get('/:contactId', requireBusinessAccess, async (req, res) => {
+  try {
+    const contact = await loadContact(req);
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const links = await fetchContactLinks([contact.id]);
+    const leadIds = links.filter((link) => link.source_type === 'lead').map((link) => link.source_id);
+    const igIds = links.filter((link) => link.source_type === 'instagram_user').map((link) => link.source_id);
+
+    const [leads, instagramUsers] = await Promise.all([
+      leadIds.length
+        ? supabase.from('leads').select('*').eq('business_id', req.businessId).in('lead_id', leadIds)
+        : { data: [] },
+      igIds.length
+        ? supabase.from('instagram_users').select('*').eq('business_id', req.businessId).in('instagram_id', igIds)
+        : { data: [] },
+    ]);
+    if (leads.error || instagramUsers.error) {
+      throw new Error((leads.error || instagramUsers.error).message);
+    }
+
+    return res.status(200).json({
+      ...summarizeContact(contact, links),
+      requested_id: parseInt(req.params.contactId, 10),
+      links,
+      leads: leads.data,
+      instagram_users: instagramUsers.data,
+    });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching contact:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /contacts/:contactId/history?business_id=123&limit=50&before=...
+ * Returns one timeline across the contact's leads, lead activity, Instagram messages, calls and appointments, newest first.
+ */
+router.get('/:contactId/history', requireBusinessAccess, async (req, res) => {
+  try {
+    const contact = await loadContact(req);
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const limit = parseLimit(req.query.limit, 50);
+    const before = req.query.before ? new Date(req.query.before) : null;
+    if (before && isNaN(before.getTime())) {
+      return res.status(400).json({ error: 'before must be a valid date' });
+    }
+    const beforeIso = before?.toISOString();
+
+    const links = await fetchContactLinks([contact.id]);
+    const leadIds = links.filter((link) => link.source_type === 'lead').map((link) => link.source_id);
+    const igIds = [...new Set(links.map((link) => link.ig_id).filter(Boolean))];
+    // Links from before E.164 normalization hold bare digits, while calls and appointments are stored in E.164
+    const phoneCountry = await getBusinessPhoneCountry(req.businessId);
+    const phones = [...new Set(links.flatMap((link) => [link.phone, storedContactPhoneToE164(link.phone, phoneCountry)]).filter(Boolean))];
+
+    const requests = [];
+    if (leadIds.length) {
+      let leadQuery = supabase
+        .from('leads')
+        .select('lead_id, form_id, name, created_time')
+        .eq('business_id', req.businessId)
+        .in('lead_id', leadIds)
+        .order('created_time', { ascending: false });
+      if (beforeIso) leadQuery = leadQuery.lt('created_time', beforeIso);
+      requests.push(leadQuery.limit(limit).then(({ data, error }) => {
+        if (error) throw new Error(`Failed to fetch leads: ${error.message}`);
+        return (data || []).map((lead) => ({
+          type: 'lead_created', at: lead.created_time, lead_id: lead.lead_id, data: { form_id: lead.form_id },
+        }));
+      }));
+
+      let activityQuery = supabase
+        .from('lead_activities')
+        .select('lead_id, type, actor_id, data, created_at')
+        .eq('business_id', req.businessId)
+        .in('lead_id', leadIds)
+        .order('created_at', { ascending: false });
+      if (beforeIso) activityQuery = activityQuery.lt('created_at', beforeIso);
+      requests.push(activityQuery.limit(limit).then(({ data, error }) => {
+        if (error) throw new Error(`Failed to fetch lead activities: ${error.message}`);
+        return (data || []).map((activity) => ({
+          type: activity.type, at: activity.created_at, lead_id: activity.lead_id, actor_id: activity.actor_id, data: activity.data,
+        }));
+      }));
+    }
+
+    if (igIds.length) {
+      let messageQuery = supabase
+        .from('instagram_conversations')
+        .select('sender_id, recipient_id, role, message, content_type, created_at')
+        .eq('business_id', req.businessId)
+        .or(`sender_id.in.(${igIds.join(',')}),recipient_id.in.(${igIds.join(',')})`)
+        .order('created_at', { ascending: false });
+      if (beforeIso) messageQuery = messageQuery.lt('created_at', beforeIso);
+      requests.push(messageQuery.limit(limit).then(({ data, error }) => {
+        if (error) throw new Error(`Failed to fetch Instagram messages: ${error.message}`);
+        return (data || []).map((message) => ({
+          type: 'instagram_message',
+          at: message.created_at,
+          data: { role: message.role, message: message.message, content_type: message.content_type },
+        }));
+      }));
+    }
+
+    if (igIds.length || phones.length) {
+      const filters = [];
+      if (igIds.length) filters.push(`contact_ig_id.in.(${igIds.join(',')})`);
+      if (phones.length) filters.push(`contact_phone.in.(${phones.join(',')})`);
+      let appointmentQuery = supabase
+        .from('appointments')
+        .select('id, summary, start_time, end_time, status, created_at')
+        .eq('business_id', req.businessId)
+        .or(filters.join(','))
+        .order('created_at', { ascending: false });
+      if (beforeIso) appointmentQuery = appointmentQuery.lt('created_at', beforeIso);
+      requests.push(appointmentQuery.limit(limit).then(({ data, error }) => {
+        if (error) throw new Error(`Failed to fetch appointments: ${error.message}`);
+        return (data || []).map((appointment) => ({
+          type: 'appointment',
+          at: appointment.created_at,
+          data: {
+            id: appointment.id,
+            summary: appointment.summary,
+            start_time: appointment.start_time,
+            end_time: appointment.end_time,
+            status: appointment.status,
+          },
+        }));
+      }));
+    }
+
+    if (phones.length) {
+      let callQuery = supabase
+        .from('voice_calls')
+        .select('call_uuid, started_at, outcome, summary, intent, requested_appointment, callback_needed')
+        .eq('business_id', req.businessId)
+        .in('caller', phones)
+        .order('started_at', { ascending: false });
+      if (beforeIso) callQuery = callQuery.lt('started_at', beforeIso);
+      requests.push(callQuery.limit(limit).then(({ data, error }) => {
+        if (error) throw new Error(`Failed to fetch calls: ${error.message}`);
+        return (data || []).map((call) => ({
+          type: 'call',
+          at: call.started_at,
+          data: {
+            call_uuid: call.call_uuid,
+            outcome: call.outcome,
+            summary: call.summary,
+            intent: call.intent,
+            requested_appointment: call.requested_appointment,
+            callback_needed: call.callback_needed,
+          },
+        }));
+      }));
+    }
+
+    const events = (await Promise.all(requests))
+      .flat()
+      .sort((a, b) => new Date(b.at) - new Date(a.at))
+      .slice(0, limit);
+
+    return res.status(200).json({
+      contact_id: contact.id,
+      events,
+      next_before: events.length === limit ? events[events.length - 1].at : null,
+    });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching contact history:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /contacts/:contactId/merges?business_id=123
+ * Returns the merge audit trail for a contact, including undone merges.
+ */
+router.get('/:contactId/merges', requireBusinessAccess, async (req, res) => {
+  try {
+    const contactId = parseInt(req.params.contactId, 10);
+    if (isNaN(contactId)) {
+      return res.status(400).json({ error: 'Invalid contact ID' });
+    }
+
+    const { data, error } = await supabase
+      .from('contact_merges')
+      .select('*')
+      .eq('business_id', req.businessId)
+      .or(`survivor_id.eq.${contactId},merged_id.eq.${contactId}`)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch contact merges:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch contact merges' });
+    }
+    return res.status(200).json({ merges: data });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching contact merges:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /contacts/:contactId/merge
+ * Manually merges another contact into this one. Body: { business_id, contact_id }.
+ */
+router.post('/:contactId/merge', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = mergeSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const survivor = await loadContact(req);
+    if (!survivor) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const merge = await mergeContacts(req.businessId, survivor.id, value.contact_id, {
+      reason: 'manual',
+      actorId: req.businessOwnerId,
+    });
+    return res.status(201).json(merge);
+  } catch (err) {
+    console.error('[ERROR] Exception while merging contacts:', err.message);
+    return res.status(err.status || 500).json({ error: err.status ? err.message : 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,157 @@
+// conversation-memory.js
+
+import supabase from './supabaseClient.js';
+import openai from './openaiClient.js';
+
+// How many logged messages to pull for a single thread
+const HISTORY_FETCH_LIMIT = 50;
+
+// Rough token budget for the transcript sent alongside the system prompt
+const HISTORY_TOKEN_BUDGET = 1500;
+
+// Budget for the summary of older turns that no longer fit verbatim
+const SUMMARY_MAX_TOKENS = 200;
+
+/**
+ * Estimate the number of tokens in a piece of text.
+ * Uses the common ~4 characters per token heuristic, which is close enough for budgeting.
+ * @param {string} text - The text to measure.
+ * @returns {number} - Estimated token count.
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Fetch the most recent messages exchanged between a business and one customer.
+ * Reads the rows written by logMessage() in helpers.js.
+ * @param {number} businessId - The internal business ID.
+ * @param {string} senderId - The customer's Instagram ID.
+ * @param {number} limit - Maximum number of messages to return.
+ * @returns {Promise<Array>} - Messages in chronological order (oldest first).
+ */
+export async function fetchConversationHistory(businessId, senderId, limit = HISTORY_FETCH_LIMIT) {
+  try {
+    if (!businessId || !senderId) {
+      console.warn('[WARN] Missing businessId or senderId for conversation history:', { businessId, senderId });
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from('instagram_conversations')
+      .select('message, role, message_type, created_at')
+      .eq('business_id', businessId)
+      .or(`sender_id.eq.${senderId},recipient_id.eq.${senderId}`)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch conversation history:', error.message);
+      return [];
+    }
+
+    return (data || []).reverse();
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching conversation history:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Convert logged conversation rows into OpenAI chat messages.
+ * @param {Array} rows - Rows from instagram_conversations.
+ * @returns {Array<{role: string, content: string}>} - Chat messages.
+ */
+function toChatMessages(rows) {
+  return rows
+    .filter((row) => row.message && row.message.trim())
+    .map((row) => ({
+      role: row.role === 'customer' ? 'user' : 'assistant',
+      content: row.message.trim(),
+    }));
+}
+
+/**
+ * Summarize older turns of a conversation so they still inform the reply.
+ * @param {Array<{role: string, content: string}>} messages - Turns to summarize.
+ * @returns {Promise<string|null>} - The summary or null if summarization failed.
+ */
+async function summarizeTurns(messages) {
+  try {
+    const transcript = messages
+      .map(({ role, content }) => `${role === 'user' ? 'Customer' : 'Receptionist'}: ${content}`)
+      .join('\n');
+
+    const response = await openai.chat.completions.create({
+      model: 'gpt-4',
+      max_tokens: SUMMARY_MAX_TOKENS,
+      messages: [
+        {
+          role: 'system',
+          content: 'Summarize this conversation between a customer and a business receptionist. Keep names, dates, times, requested services and any commitments made. Be brief.',
+        },
+        { role: 'user', content: transcript },
+      ],
+    });
+
+    return response.choices[0]?.message?.content?.trim() || null;
+  } catch (err) {
+    console.error('[ERROR] Failed to summarize conversation history:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Build a token-budgeted transcript of prior turns for the assistant.
+ * Recent turns are kept verbatim; older turns that overflow the budget are summarized.
+ * @param {object} params - Parameters for building the transcript.
+ * @param {number} params.businessId - The internal business ID.
+ * @param {string} params.senderId - The customer's Instagram ID.
+ * @param {string} [params.currentMessage] - The message being answered, dropped from history if already logged.
+ * @param {number} [params.tokenBudget] - Token budget for the verbatim turns.
+ * @returns {Promise<Array<{role: string, content: string}>>} - Chat messages to place before the current message.
+ */
+export async function buildConversationContext({
+  businessId,
+  senderId,
+  currentMessage = null,
+  tokenBudget = HISTORY_TOKEN_BUDGET,
+}) {
+  const rows = await fetchConversationHistory(businessId, senderId);
+  const messages = toChatMessages(rows);
+
+  // processMessagingEvent logs the incoming message before asking the assistant
+  const last = messages[messages.length - 1];
+  if (currentMessage && last?.role === 'user' && last.content === currentMessage.trim()) {
+    messages.pop();
+  }
+
+  if (!messages.length) return [];
+
+  // Walk backwards keeping as many recent turns as fit in the budget
+  const recent = [];
+  let usedTokens = 0;
+  let index = messages.length - 1;
+  for (; index >= 0; index--) {
+    const cost = estimateTokens(messages[index].content);
+    if (usedTokens + cost > tokenBudget) break;
+    recent.unshift(messages[index]);
+    usedTokens += cost;
+  }
+
+  const older = messages.slice(0, index + 1);
+  if (!older.length) {
+    console.log(`[DEBUG] Using ${recent.length} prior messages as context (~${usedTokens} tokens).`);
+    return recent;
+  }
+
+  const summary = await summarizeTurns(older);
+  console.log(`[DEBUG] Summarized ${older.length} older messages; keeping ${recent.length} verbatim.`);
+  if (!summary) return recent;
+
+  return [
+    { role: 'system', content: `Summary of the earlier conversation with this customer: ${summary}` },
+    ...recent,
+  ];
+}
@@ -0,0 +1,154 @@
+// conversation-state.js
+
+import supabase from './supabaseClient.js';
+
+export const CONVERSATION_MODES = ['bot', 'human', 'paused'];
+
+// How long the bot stays quiet after staff reply from the Instagram app
+const HUMAN_REPLY_PAUSE_MINUTES = parseInt(process.env.HUMAN_REPLY_PAUSE_MINUTES, 10) || 60;
+
+/**
+ * Get the current handling mode for a conversation.
+ * Conversations without a stored state, or whose pause has run out, are handled by the bot.
+ * @param {number} businessId - The business ID.
+ * @param {string} customerId - The customer's Instagram ID.
+ * @returns {Promise<object>} - { mode, claimed_by, reason, paused_until }.
+ */
+export async function getConversationState(businessId, customerId) {
+  try {
+    const { data, error } = await supabase
+      .from('conversation_states')
+      .select('mode, claimed_by, reason, paused_until, updated_at')
+      .eq('business_id', businessId)
+      .eq('customer_id', customerId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch conversation state:', error.message);
+      return { mode: 'bot' };
+    }
+    if (!data) return { mode: 'bot' };
+
+    if (data.mode === 'paused' && data.paused_until && new Date(data.paused_until) <= new Date()) {
+      return { ...data, mode: 'bot' };
+    }
+    return data;
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching conversation state:', err.message);
+    return { mode: 'bot' };
+  }
+}
+
+/**
+ * Set the handling mode for a conversation.
+ * @param {number} businessId - The business ID.
+ * @param {string} customerId - The customer's Instagram ID.
+ * @param {object} state - The new state.
+ * @param {string} state.mode - One of CONVERSATION_MODES.
+ * @param {number} [state.claimedBy] - Business owner handling the thread.
+ * @param {string} [state.reason] - Why the mode changed.
+ * @param {string} [state.pausedUntil] - When a pause ends.
+ * @returns {Promise<object|null>} - The stored state or null if it could not be saved.
+ */
+export async function setConversationState(businessId, customerId, {
+  mode,
+  claimedBy = null,
+  reason = null,
+  pausedUntil = null,
+}) {
+  try {
+    if (!CONVERSATION_MODES.includes(mode)) {
+      console.error('[ERROR] Invalid conversation mode:', mode);
+      return null;
+    }
+
+    const { data, error } = await supabase
+      .from('conversation_states')
+      .upsert({
+        business_id: businessId,
+        customer_id: customerId,
+        mode,
+        claimed_by: claimedBy,
+        reason,
+        paused_until: pausedUntil,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: ['business_id', 'customer_id'] })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[ERROR] Failed to update conversation state:', error.message);
+      return null;
+    }
+
+    console.log(`[INFO] Conversation ${businessId}/${customerId} switched to ${mode}${reason ? ` (${reason})` : ''}`);
+    return data;
+  } catch (err) {
+    console.error('[ERROR] Exception while updating conversation state:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Pause the bot for a thread after staff replied from the Instagram app or the SMS inbox.
+ * Does not override a thread a staff member has explicitly claimed.
+ * @param {number} businessId - The business ID.
+ * @param {string} customerId - The customer's Instagram ID, or phone number for SMS threads.
+ * @param {string} [reason] - Why the bot was paused.
+ */
+export async function pauseForHumanReply(businessId, customerId, reason = 'Staff replied from Instagram') {
+  const current = await getConversationState(businessId, customerId);
+  if (current.mode === 'human') return current;
+
+  return setConversationState(businessId, customerId, {
+    mode: 'paused',
+    reason,
+    pausedUntil: new Date(Date.now() + HUMAN_REPLY_PAUSE_MINUTES * 60000).toISOString(),
+  });
+}
+
+/**
+ * OpenAI tool definitions that let the assistant hand a conversation to staff.
+ */
+export const HANDOFF_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'escalate_to_human',
+      description: 'Hand the conversation to a staff member. Use when the customer is frustrated, asks for a person, or needs something you cannot help with. After calling this, tell the customer a team member will follow up.',
+      parameters: {
+        type: 'object',
+        properties: {
+          reason: { type: 'string', description: 'Short reason for the handoff.' },
+        },
+        required: ['reason'],
+      },
+    },
+  },
+];
+
+export const HANDOFF_TOOL_NAMES = new Set(HANDOFF_TOOLS.map((tool) => tool.function.name));
+
+/**
+ * Run a handoff tool call requested by the model.
+ * @param {string} name - The tool name.
+ * @param {string} rawArgs - JSON-encoded arguments from the model.
+ * @param {object} context - Tool context ({ businessId, contact }).
+ * @returns {Promise<object>} - The tool result.
+ */
+export async function executeHandoffTool(name, rawArgs, { businessId, contact }) {
+  let reason = 'Escalated by assistant';
+  try {
+    reason = JSON.parse(rawArgs || '{}').reason || reason;
+  } catch (err) {
+    console.warn('[WARN] Invalid handoff tool arguments:', rawArgs);
+  }
+
+  const customerId = contact?.igId;
+  if (!customerId) return { error: 'This conversation cannot be handed off.' };
+
+  const state = await setConversationState(businessId, customerId, { mode: 'human', reason });
+  if (!state) return { error: 'Could not reach the team right now.' };
+
+  return { escalated: true };
+}
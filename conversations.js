@@ -0,0 +1,506 @@
+import express from 'express';
+import Joi from 'joi';
+import supabase from './supabaseClient.js';
+import {
+  requireBusinessAccess,
+  validateIgId,
+  fetchBusinessDetails,
+  sendInstagramMessage,
+  logMessage,
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  sanitizeSearchTerm,
+  backfillConversationThreads,
+} from './helpers.js';
+import { getPageAccessToken } from './auth/refresh-token.js';
+import { getConversationState, setConversationState, pauseForHumanReply } from './conversation-state.js';
+import {
+  buildImageMessage,
+  buildQuickReplyMessage,
+  buildGenericTemplate,
+  describeOutboundMessage,
+  setIceBreakers,
+} from './instagram-messages.js';
+import smsConversationsRouter from './sms-conversations.js';
+
+const router = express.Router();
+
+// SMS threads live under /conversations/sms, ahead of the Instagram /:customerId routes
+router.use('/sms', smsConversationsRouter);
+
+// Instagram only allows standard replies within 24 hours of the customer's last message
+const MESSAGING_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_MESSAGE_LENGTH = 1000;
+// Unread messages read per inbox page; counts beyond this are not exact
+const UNREAD_SCAN_LIMIT = 1000;
+
+// A manual reply is exactly one of: text (optionally with quick replies), an image, or cards
+const replySchema = Joi.object({
+  business_id: Joi.any(),
+  text: Joi.string().trim().max(MAX_MESSAGE_LENGTH),
+  quick_replies: Joi.array().items(Joi.string().trim().max(20)).max(13),
+  image_url: Joi.string().uri({ scheme: ['https'] }),
+  cards: Joi.array().items(Joi.object({
+    title: Joi.string().max(80).required(),
+    subtitle: Joi.string().max(80).allow(''),
+    image_url: Joi.string().uri({ scheme: ['https'] }),
+    buttons: Joi.array().items(Joi.object({
+      title: Joi.string().max(20).required(),
+      url: Joi.string().uri({ scheme: ['https'] }),
+      payload: Joi.string().max(1000),
+    }).xor('url', 'payload')).max(3),
+  })).min(1).max(10),
+}).xor('text', 'image_url', 'cards').with('quick_replies', 'text');
+
+const iceBreakerSchema = Joi.object({
+  business_id: Joi.any(),
+  ice_breakers: Joi.array().items(Joi.object({
+    question: Joi.string().trim().max(80).required(),
+    payload: Joi.string().trim().max(1000),
+  })).min(1).max(4).required(),
+});
+
+/**
+ * Build the Send API message for a validated manual reply.
+ * @param {object} reply - Validated request body.
+ * @returns {{message: object, contentType: string}} - The message payload and how to log it.
+ */
+function buildReplyMessage(reply) {
+  if (reply.image_url) {
+    return { message: buildImageMessage(reply.image_url), contentType: 'image' };
+  }
+  if (reply.cards) {
+    return {
+      message: buildGenericTemplate(reply.cards.map((card) => ({
+        title: card.title,
+        subtitle: card.subtitle,
+        imageUrl: card.image_url,
+        buttons: card.buttons,
+      }))),
+      contentType: 'template',
+    };
+  }
+  if (reply.quick_replies?.length) {
+    return { message: buildQuickReplyMessage(reply.text, reply.quick_replies), contentType: 'text' };
+  }
+  return { message: reply.text, contentType: 'text' };
+}
+
+/**
+ * Find customers whose messages contain a search term.
+ * @param {number} businessId - The business ID.
+ * @param {string} term - The sanitized search term.
+ * @returns {Promise<Array<string>>} - Matching customer IDs.
+ */
+async function findCustomersByMessage(businessId, term) {
+  const { data, error } = await supabase
+    .from('instagram_conversations')
+    .select('sender_id, recipient_id, role')
+    .eq('business_id', businessId)
+    .ilike('message', `%${term}%`)
+    .order('created_at', { ascending: false })
+    .limit(500);
+
+  if (error) throw new Error(`Failed to search messages: ${error.message}`);
+  return [...new Set((data || []).map((row) => (row.role === 'customer' ? row.sender_id : row.recipient_id)))];
+}
+
+/**
+ * Count customer messages a business has not read yet, for a page of threads in one query.
+ * @param {number} businessId - The business ID.
+ * @param {Array<object>} threads - Thread rows with customer_id and last_read_at.
+ * @returns {Promise<Map<string, number>>} - Unread message count per customer ID.
+ */
+async function countUnreadMessages(businessId, threads) {
+  const counts = new Map(threads.map((thread) => [thread.customer_id, 0]));
+  if (!threads.length) return counts;
+
+  const filters = threads.map((thread) => (thread.last_read_at
+    ? `and(sender_id.eq.${thread.customer_id},created_at.gt.${thread.last_read_at})`
+    : `sender_id.eq.${thread.customer_id}`));
+
+  const { data, error } = await supabase
+    .from('instagram_conversations')
+    .select('sender_id')
+    .eq('business_id', businessId)
+    .eq('role', 'customer')
+    .or(filters.join(','))
+    .limit(UNREAD_SCAN_LIMIT);
+
+  if (error) {
+    console.error(`[ERROR] Failed to count unread messages for business_id=${businessId}:`, error.message);
+    return counts;
+  }
+  for (const row of data) {
+    counts.set(row.sender_id, (counts.get(row.sender_id) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Fetch when a customer last messaged the business.
+ * @param {number} businessId - The business ID.
+ * @param {string} customerId - The customer's Instagram ID.
+ * @returns {Promise<Date|null>} - Time of the last customer message, or null if there is none.
+ */
+async function fetchLastCustomerMessageTime(businessId, customerId) {
+  const { data, error } = await supabase
+    .from('instagram_conversations')
+    .select('created_at')
+    .eq('business_id', businessId)
+    .eq('sender_id', customerId)
+    .eq('role', 'customer')
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw new Error(`Failed to fetch last customer message: ${error.message}`);
+  return data?.length ? new Date(data[0].created_at) : null;
+}
+
+/**
+ * GET /conversations?business_id=123&limit=20&cursor=...&q=...
+ * Lists customer threads, most recent first, with a last-message preview and unread count.
+ */
+router.get('/', requireBusinessAccess, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor, { lastMessageAt: 'timestamp', customerId: 'id' });
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    let query = supabase
+      .from('conversation_threads')
+      .select('customer_id, customer_username, last_message_at, last_message_preview, last_message_role, last_read_at')
+      .eq('business_id', req.businessId)
+      .order('last_message_at', { ascending: false })
+      .order('customer_id', { ascending: false })
+      .limit(limit + 1);
+
+    if (cursor) {
+      query = query.or(
+        `last_message_at.lt.${cursor.lastMessageAt},and(last_message_at.eq.${cursor.lastMessageAt},customer_id.lt.${cursor.customerId})`
+      );
+    }
+
+    const term = sanitizeSearchTerm(req.query.q);
+    if (term) {
+      const customerIds = await findCustomersByMessage(req.businessId, term);
+      const filters = [`customer_username.ilike.%${term}%`, `customer_id.eq.${term}`];
+      if (customerIds.length) filters.push(`customer_id.in.(${customerIds.join(',')})`);
+      query = query.or(filters.join(','));
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.error(`[ERROR] Failed to fetch conversation threads for business_id=${req.businessId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch conversations' });
+    }
+
+    const page = data.slice(0, limit);
+    const unreadCounts = await countUnreadMessages(req.businessId, page);
+    const threads = page.map((thread) => ({
+      customer_id: thread.customer_id,
+      customer_username: thread.customer_username,
+      last_message: {
+        text: thread.last_message_preview,
+        role: thread.last_message_role,
+        created_at: thread.last_message_at,
+      },
+      unread_count: unreadCounts.get(thread.customer_id) || 0,
+    }));
+
+    const last = page[page.length - 1];
+    return res.status(200).json({
+      threads,
+      next_cursor: data.length > limit && last
+        ? encodeCursor({ lastMessageAt: last.last_message_at, customerId: last.customer_id })
+        : null,
+    });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching conversations:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /conversations/backfill
+ * Builds inbox threads from Instagram messages logged before threads were tracked.
+ */
+router.post('/backfill', requireBusinessAccess, async (req, res) => {
+  try {
+    const threads = await backfillConversationThreads(req.businessId);
+    return res.status(200).json({ threads });
+  } catch (err) {
+    console.error(`[ERROR] Failed to backfill conversation threads for business_id=${req.businessId}:`, err.message);
+    return res.status(500).json({ error: 'Failed to backfill conversations' });
+  }
+});
+
+/**
+ * GET /conversations/:customerId/messages?business_id=123&limit=50&cursor=...
+ * Returns one thread's messages, newest first, paging backwards through history.
+ */
+router.get('/:customerId/messages', requireBusinessAccess, async (req, res) => {
+  try {
+    const customerId = validateIgId(req.params.customerId);
+    if (!customerId) {
+      return res.status(400).json({ error: 'Invalid customer ID' });
+    }
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor, { createdAt: 'timestamp', id: 'id' });
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    let query = supabase
+      .from('instagram_conversations')
+      .select('id, message_id, sender_id, recipient_id, message, message_type, role, sender_name, created_at')
+      .eq('business_id', req.businessId)
+      .or(`sender_id.eq.${customerId},recipient_id.eq.${customerId}`)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    if (cursor) {
+      query = query.or(`created_at.lt.${cursor.createdAt},and(created_at.eq.${cursor.createdAt},id.lt.${cursor.id})`);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.error(`[ERROR] Failed to fetch messages for customer ${customerId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch messages' });
+    }
+
+    const messages = data.slice(0, limit);
+    const last = messages[messages.length - 1];
+    return res.status(200).json({
+      messages,
+      next_cursor: data.length > limit && last ? encodeCursor({ createdAt: last.created_at, id: last.id }) : null,
+    });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching thread messages:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /conversations/:customerId/read
+ * Marks every message in the thread as read.
+ */
+router.post('/:customerId/read', requireBusinessAccess, async (req, res) => {
+  try {
+    const readAt = new Date().toISOString();
+    const { error } = await supabase
+      .from('conversation_threads')
+      .update({ last_read_at: readAt })
+      .eq('business_id', req.businessId)
+      .eq('customer_id', req.params.customerId);
+
+    if (error) {
+      console.error('[ERROR] Failed to mark conversation as read:', error.message);
+      return res.status(500).json({ error: 'Failed to mark conversation as read' });
+    }
+    return res.status(200).json({ customer_id: req.params.customerId, last_read_at: readAt });
+  } catch (err) {
+    console.error('[ERROR] Exception while marking conversation as read:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /conversations/:customerId/state?business_id=123
+ * Returns who is handling the thread: the bot, a human, or nobody (paused).
+ */
+router.get('/:customerId/state', requireBusinessAccess, async (req, res) => {
+  try {
+    const state = await getConversationState(req.businessId, req.params.customerId);
+    return res.status(200).json(state);
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching conversation state:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /conversations/:customerId/claim
+ * A staff member takes over the thread; the bot stops replying until it is released.
+ */
+router.post('/:customerId/claim', requireBusinessAccess, async (req, res) => {
+  try {
+    const state = await setConversationState(req.businessId, req.params.customerId, {
+      mode: 'human',
+      claimedBy: req.businessOwnerId,
+      reason: req.body?.reason || 'Claimed by staff',
+    });
+
+    if (!state) {
+      return res.status(500).json({ error: 'Failed to claim conversation' });
+    }
+    return res.status(200).json(state);
+  } catch (err) {
+    console.error('[ERROR] Exception while claiming conversation:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /conversations/:customerId/release
+ * Hands the thread back to the bot.
+ */
+router.post('/:customerId/release', requireBusinessAccess, async (req, res) => {
+  try {
+    const state = await setConversationState(req.businessId, req.params.customerId, {
+      mode: 'bot',
+      reason: 'Released by staff',
+    });
+
+    if (!state) {
+      return res.status(500).json({ error: 'Failed to release conversation' });
+    }
+    return res.status(200).json(state);
+  } catch (err) {
+    console.error('[ERROR] Exception while releasing conversation:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /conversations/:customerId/pause
+ * Silences the bot for a while without assigning the thread. Body: { minutes } (omit to pause until released).
+ */
+router.post('/:customerId/pause', requireBusinessAccess, async (req, res) => {
+  try {
+    const minutes = parseInt(req.body?.minutes, 10);
+    if (req.body?.minutes !== undefined && (isNaN(minutes) || minutes <= 0)) {
+      return res.status(400).json({ error: 'minutes must be a positive number' });
+    }
+
+    const state = await setConversationState(req.businessId, req.params.customerId, {
+      mode: 'paused',
+      reason: req.body?.reason || 'Paused by staff',
+      pausedUntil: isNaN(minutes) ? null : new Date(Date.now() + minutes * 60000).toISOString(),
+    });
+
+    if (!state) {
+      return res.status(500).json({ error: 'Failed to pause conversation' });
+    }
+    return res.status(200).json(state);
+  } catch (err) {
+    console.error('[ERROR] Exception while pausing conversation:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /conversations/:customerId/messages
+ * Sends a manual reply from the dashboard inbox.
+ * Body: { business_id, text, quick_replies } or { business_id, image_url } or { business_id, cards }.
+ * The bot is paused for the thread so it does not talk over staff.
+ */
+router.post('/:customerId/messages', requireBusinessAccess, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { error: validationError, value: reply } = replySchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+    const { message, contentType } = buildReplyMessage(reply);
+    const text = describeOutboundMessage(typeof message === 'string' ? { text: message } : message);
+
+    const lastCustomerMessageAt = await fetchLastCustomerMessageTime(req.businessId, customerId);
+    if (!lastCustomerMessageAt || Date.now() - lastCustomerMessageAt.getTime() > MESSAGING_WINDOW_MS) {
+      return res.status(422).json({
+        error: 'Messaging window closed',
+        details: 'Instagram only allows replies within 24 hours of the customer\'s last message.',
+        last_customer_message_at: lastCustomerMessageAt,
+      });
+    }
+
+    const businessDetails = await fetchBusinessDetails(req.businessId);
+    if (!businessDetails) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    const pageAccessToken = await getPageAccessToken(req.businessId, businessDetails.page_id);
+    if (!pageAccessToken) {
+      console.error(`[ERROR] Missing page access token for businessId=${req.businessId}`);
+      return res.status(502).json({ error: 'Instagram account is not connected' });
+    }
+
+    const result = await sendInstagramMessage(
+      customerId,
+      message,
+      pageAccessToken,
+      req.businessId,
+      businessDetails.page_id
+    );
+
+    if (!result) {
+      return res.status(502).json({ delivered: false, error: 'Failed to send Instagram message' });
+    }
+
+    const sentAt = new Date().toISOString();
+    await logMessage({
+      businessId: req.businessId,
+      messageId: result.message_id || null,
+      senderId: businessDetails.ig_id,
+      recipientId: customerId,
+      message: text,
+      type: 'sent',
+      role: 'business',
+      igId: businessDetails.ig_id,
+      username: 'Staff',
+      contentType,
+      attachments: typeof message === 'string' ? null : [{ type: 'outbound', payload: message }],
+    });
+    await pauseForHumanReply(req.businessId, customerId);
+
+    return res.status(200).json({
+      delivered: true,
+      message_id: result.message_id || null,
+      recipient_id: result.recipient_id || customerId,
+      text,
+      content_type: contentType,
+      role: 'business',
+      sent_at: sentAt,
+    });
+  } catch (err) {
+    console.error('[ERROR] Exception while sending manual reply:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /conversations/ice-breakers
+ * Sets the questions Instagram suggests when a customer opens a new chat.
+ * Body: { business_id, ice_breakers: [{ question, payload }] }. Taps arrive as postbacks.
+ */
+router.post('/ice-breakers', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = iceBreakerSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const businessDetails = await fetchBusinessDetails(req.businessId);
+    if (!businessDetails) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    const pageAccessToken = await getPageAccessToken(req.businessId, businessDetails.page_id);
+    if (!pageAccessToken) {
+      return res.status(502).json({ error: 'Instagram account is not connected' });
+    }
+
+    await setIceBreakers(pageAccessToken, value.ice_breakers);
+    console.log(`[INFO] Ice breakers updated for businessId=${req.businessId}`);
+    return res.status(200).json({ ice_breakers: value.ice_breakers });
+  } catch (err) {
+    console.error('[ERROR] Failed to set ice breakers:', err.message);
+    return res.status(502).json({ error: 'Failed to update ice breakers', details: err.message });
+  }
+});
+
+export default router;
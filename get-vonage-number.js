@@ -1,5 +1,6 @@
 import express from 'express';
 import supabase from './supabaseClient.js';
+import { getBusinessVonageNumber } from './vonage.js';
 
 const router = express.Router();
 
@@ -39,18 +40,15 @@ router.get('/', async (req, res) => {
     }
 
     // Now we definitely have a business_id
-    const { data: vonage, error: vonageError } = await supabase
-      .from('vonage_numbers')
-      .select('vonage_number')
-      .eq('business_id', business_id)
-      .single();
-
-    if (vonageError || !vonage) {
-      console.error('[ERROR] Failed to fetch Vonage number:', vonageError?.message || 'No Vonage number found');
+    // Businesses with several numbers get the primary one; /vonage-numbers lists them all
+    const vonageNumber = await getBusinessVonageNumber(business_id);
+
+    if (!vonageNumber) {
+      console.error('[ERROR] No Vonage number found for business:', business_id);
       return res.status(404).json({ error: 'No Vonage number found for the business' });
     }
 
-    return res.status(200).json({ vonage_number: vonage.vonage_number });
+    return res.status(200).json({ vonage_number: vonageNumber });
   } catch (error) {
     console.error('[ERROR] Internal server error:', error.message);
     return res.status(500).json({ error: 'Internal server error' });
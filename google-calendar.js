@@ -1,25 +1,31 @@
 import fetch from 'node-fetch';
 import { google } from 'googleapis';
+import supabase from './supabaseClient.js';
+import { getGoogleCalendarAccessToken } from './auth/google-calendar.js';
 
-// Decode and initialize Google credentials from the environment variable
-const serviceAccount = (() => {
+// Decode Google service account credentials on first use; only needed for shared calendars
+let serviceAccount = null;
+function getServiceAccount() {
+  if (serviceAccount) return serviceAccount;
   try {
-    return JSON.parse(
+    serviceAccount = JSON.parse(
       Buffer.from(process.env.GOOGLE_SERVICE_ACCOUNT, 'base64').toString('utf8')
     );
+    return serviceAccount;
   } catch (error) {
     console.error('Failed to parse Google service account credentials:', error);
     throw new Error('Invalid GOOGLE_SERVICE_ACCOUNT environment variable');
   }
-})();
+}
 
-// Function to generate a Google API access token
-async function getGoogleAccessToken() {
+// Function to generate a Google API access token for the service account
+async function getServiceAccountAccessToken() {
   try {
+    const { client_email, private_key } = getServiceAccount();
     const jwtClient = new google.auth.JWT(
-      serviceAccount.client_email,
+      client_email,
       null,
-      serviceAccount.private_key,
+      private_key,
       ['https://www.googleapis.com/auth/calendar']
     );
 
@@ -31,13 +37,42 @@ async function getGoogleAccessToken() {
   }
 }
 
+// Function to resolve the calendar and access token a business's events live in.
+// A business either granted us OAuth access ('oauth') or shared a calendar with our service account ('shared').
+async function getCalendarCredentials(businessId) {
+  const { data: business, error } = await supabase
+    .from('businesses')
+    .select('google_calendar_mode, google_calendar_id')
+    .eq('id', businessId)
+    .single();
+
+  if (error || !business) {
+    throw new Error(`Failed to load calendar connection for business ${businessId}: ${error?.message || 'No data found'}`);
+  }
+
+  const { google_calendar_mode: mode, google_calendar_id: calendarId } = business;
+
+  if (mode === 'oauth') {
+    const accessToken = await getGoogleCalendarAccessToken(businessId);
+    if (!accessToken) throw new Error(`Google Calendar authorization expired for business ${businessId}`);
+    return { accessToken, calendarId: calendarId || 'primary' };
+  }
+
+  if (mode === 'shared' && calendarId) {
+    const accessToken = await getServiceAccountAccessToken();
+    return { accessToken, calendarId };
+  }
+
+  throw new Error(`No Google Calendar connected for business ${businessId}`);
+}
+
 // Function to create a Google Calendar event
-export async function createGoogleCalendarEvent(eventDetails) {
+export async function createGoogleCalendarEvent(businessId, eventDetails) {
   try {
-    const accessToken = await getGoogleAccessToken();
+    const { accessToken, calendarId } = await getCalendarCredentials(businessId);
 
     const response = await fetch(
-      `https://www.googleapis.com/calendar/v3/calendars/${process.env.GOOGLE_CALENDAR_ID}/events`,
+      `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events`,
       {
         method: 'POST',
         headers: {
@@ -75,12 +110,12 @@ export async function createGoogleCalendarEvent(eventDetails) {
 }
 
 // Function to fetch upcoming events from Google Calendar
-export async function getUpcomingEvents(maxResults = 10) {
+export async function getUpcomingEvents(businessId, maxResults = 10) {
   try {
-    const accessToken = await getGoogleAccessToken();
+    const { accessToken, calendarId } = await getCalendarCredentials(businessId);
 
     const response = await fetch(
-      `https://www.googleapis.com/calendar/v3/calendars/${process.env.GOOGLE_CALENDAR_ID}/events?maxResults=${maxResults}&orderBy=startTime&singleEvents=true`,
+      `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events?maxResults=${maxResults}&orderBy=startTime&singleEvents=true&timeMin=${encodeURIComponent(new Date().toISOString())}`,
       {
         method: 'GET',
         headers: {
@@ -102,3 +137,118 @@ export async function getUpcomingEvents(maxResults = 10) {
     throw error;
   }
 }
+
+// Function to update (reschedule) an existing Google Calendar event
+export async function updateGoogleCalendarEvent(businessId, eventId, eventDetails) {
+  try {
+    const { accessToken, calendarId } = await getCalendarCredentials(businessId);
+
+    const body = {};
+    if (eventDetails.summary) body.summary = eventDetails.summary;
+    if (eventDetails.description) body.description = eventDetails.description;
+    if (eventDetails.startDateTime) {
+      body.start = {
+        dateTime: eventDetails.startDateTime,
+        timeZone: eventDetails.timeZone || 'America/Los_Angeles',
+      };
+    }
+    if (eventDetails.endDateTime) {
+      body.end = {
+        dateTime: eventDetails.endDateTime,
+        timeZone: eventDetails.timeZone || 'America/Los_Angeles',
+      };
+    }
+
+    const response = await fetch(
+      `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}`,
+      {
+        method: 'PATCH',
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      }
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Failed to update calendar event: ${errorText}`);
+    }
+
+    const event = await response.json();
+    console.log('Google Calendar event updated successfully:', event.id);
+    return event;
+  } catch (error) {
+    console.error('Error updating Google Calendar event:', error.message, error.stack);
+    throw error;
+  }
+}
+
+// Function to delete (cancel) a Google Calendar event
+export async function deleteGoogleCalendarEvent(businessId, eventId) {
+  try {
+    const { accessToken, calendarId } = await getCalendarCredentials(businessId);
+
+    const response = await fetch(
+      `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}`,
+      {
+        method: 'DELETE',
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      }
+    );
+
+    // 410 Gone means the event was already deleted
+    if (!response.ok && response.status !== 410) {
+      const errorText = await response.text();
+      throw new Error(`Failed to delete calendar event: ${errorText}`);
+    }
+
+    console.log('Google Calendar event deleted successfully:', eventId);
+    return true;
+  } catch (error) {
+    console.error('Error deleting Google Calendar event:', error.message, error.stack);
+    throw error;
+  }
+}
+
+// Function to fetch busy intervals from Google Calendar between two times
+export async function getBusyIntervals(businessId, timeMin, timeMax, timeZone = 'America/Los_Angeles') {
+  try {
+    const { accessToken, calendarId } = await getCalendarCredentials(businessId);
+
+    const response = await fetch('https://www.googleapis.com/calendar/v3/freeBusy', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        timeMin,
+        timeMax,
+        timeZone,
+        items: [{ id: calendarId }],
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Failed to fetch free/busy data: ${errorText}`);
+    }
+
+    const data = await response.json();
+    const calendar = data.calendars?.[calendarId];
+    if (calendar?.errors?.length) {
+      throw new Error(`Calendar ${calendarId} is not accessible: ${calendar.errors.map((e) => e.reason).join(', ')}`);
+    }
+
+    const busy = calendar?.busy || [];
+    console.log(`Fetched ${busy.length} busy intervals from Google Calendar`);
+    return busy;
+  } catch (error) {
+    console.error('Error fetching Google Calendar free/busy data:', error.message, error.stack);
+    throw error;
+  }
+}
@@ -10,8 +10,10 @@ import {
   validateUserAccessToken,
   getLongLivedUserAccessToken,
   refreshLongLivedUserAccessToken,
+  forceRefreshPageAccessToken,
   isExpired,
 } from './auth/refresh-token.js';
+import { resolveContact } from './contact-identity.js';
 
 /**
  * Validate and standardize an Instagram ID (ig_id).
@@ -196,10 +198,12 @@ export async function fetchBusinessDetails(businessId) {
 
 /**
  * Log a message into the database.
+ * Messages with a messageId are only stored once, so redelivered webhooks do not create duplicates.
  * @param {object} params - Parameters for logging the message.
  */
 export async function logMessage({
   businessId,
+  messageId = null,
   senderId,
   recipientId,
   message,
@@ -210,6 +214,8 @@ export async function logMessage({
   email = null,
   phone_number = null,
   location = null,
+  contentType = 'text',
+  attachments = null,
 }) {
   try {
     // Validate required fields
@@ -220,6 +226,7 @@ export async function logMessage({
 
     console.log('[DEBUG] Logging message with data:', {
       business_id: businessId,
+      message_id: messageId,
       sender_id: senderId,
       recipient_id: recipientId,
       message,
@@ -230,34 +237,133 @@ export async function logMessage({
       email,
       phone_number,
       location,
+      content_type: contentType,
+      attachments,
     });
 
-    const { error } = await supabase
-      .from('instagram_conversations')
-      .insert([{
-        business_id: businessId,
-        sender_id: senderId,
-        recipient_id: recipientId,
-        message,
-        message_type: type,
-        role,
-        ig_id: igId || null,
-        sender_name: username || null,
-        email: email || null,
-        phone_number: phone_number || null,
-        location: location || null,
-      }]);
+    const row = {
+      business_id: businessId,
+      message_id: messageId || null,
+      sender_id: senderId,
+      recipient_id: recipientId,
+      message,
+      message_type: type,
+      role,
+      ig_id: igId || null,
+      sender_name: username || null,
+      email: email || null,
+      phone_number: phone_number || null,
+      location: location || null,
+      content_type: contentType,
+      attachments: attachments?.length ? attachments : null,
+    };
+
+    const query = supabase.from('instagram_conversations');
+    const { error } = messageId
+      ? await query.upsert([row], { onConflict: ['message_id'], ignoreDuplicates: true })
+      : await query.insert([row]);
 
     if (error) {
       console.error('[ERROR] Failed to log message:', error.message);
     } else {
       console.log('[INFO] Message logged successfully.');
+      await touchConversationThread({
+        businessId,
+        customerId: role === 'customer' ? senderId : recipientId,
+        message,
+        role,
+        username: role === 'customer' ? username : null,
+      });
     }
   } catch (err) {
     console.error('[ERROR] Exception while logging message:', err.message);
   }
 }
 
+/**
+ * Update the per-customer thread summary used by the conversations inbox.
+ * @param {object} params - Parameters for the thread summary.
+ * @param {number} params.businessId - The business ID.
+ * @param {string} params.customerId - The customer's Instagram ID.
+ * @param {string} params.message - The latest message text.
+ * @param {string} params.role - Who sent the latest message ('customer' or 'business').
+ * @param {string} [params.username] - The customer's username, if known.
+ */
+export async function touchConversationThread({ businessId, customerId, message, role, username = null }) {
+  try {
+    const thread = {
+      business_id: businessId,
+      customer_id: customerId,
+      last_message_at: new Date().toISOString(),
+      last_message_preview: message.slice(0, 200),
+      last_message_role: role,
+    };
+    if (username) thread.customer_username = username;
+
+    const { error } = await supabase
+      .from('conversation_threads')
+      .upsert(thread, { onConflict: ['business_id', 'customer_id'] });
+
+    if (error) {
+      console.error('[ERROR] Failed to update conversation thread:', error.message);
+    }
+  } catch (err) {
+    console.error('[ERROR] Exception while updating conversation thread:', err.message);
+  }
+}
+
+// Messages read per page while rebuilding thread summaries
+const THREAD_BACKFILL_BATCH = 1000;
+
+/**
+ * Build conversation_threads rows from a business's logged Instagram messages.
+ * Covers conversations logged before threads existed. Existing threads are left as they are,
+ * and backfilled threads count as read so old history does not show up as unread.
+ * @param {number} businessId - The business ID.
+ * @returns {Promise<number>} - Number of threads found in the message history.
+ */
+export async function backfillConversationThreads(businessId) {
+  const threads = new Map();
+
+  for (let from = 0; ; from += THREAD_BACKFILL_BATCH) {
+    const { data, error } = await supabase
+      .from('instagram_conversations')
+      .select('sender_id, recipient_id, role, message, sender_name, created_at')
+      .eq('business_id', businessId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + THREAD_BACKFILL_BATCH - 1);
+
+    if (error) throw new Error(`Failed to read messages for thread backfill: ${error.message}`);
+
+    for (const row of data) {
+      const customerId = row.role === 'customer' ? row.sender_id : row.recipient_id;
+      if (!customerId) continue;
+      const thread = threads.get(customerId) || { business_id: businessId, customer_id: customerId, customer_username: null };
+      thread.last_message_at = row.created_at;
+      thread.last_read_at = row.created_at;
+      thread.last_message_preview = (row.message || '').slice(0, 200);
+      thread.last_message_role = row.role;
+      if (row.role === 'customer' && row.sender_name) thread.customer_username = row.sender_name;
+      threads.set(customerId, thread);
+    }
+
+    if (data.length < THREAD_BACKFILL_BATCH) break;
+  }
+
+  const rows = [...threads.values()];
+  for (let i = 0; i < rows.length; i += THREAD_BACKFILL_BATCH) {
+    const { error } = await supabase
+      .from('conversation_threads')
+      .upsert(rows.slice(i, i + THREAD_BACKFILL_BATCH), { onConflict: ['business_id', 'customer_id'], ignoreDuplicates: true });
+
+    if (error) throw new Error(`Failed to save backfilled threads: ${error.message}`);
+  }
+
+  console.log(`[INFO] Backfilled ${rows.length} conversation threads for business_id=${businessId}`);
+  return rows.length;
+}
+
 
 
 /**
@@ -301,7 +407,7 @@ export async function handleUnsentMessage(messageId, businessId) {
 /**
  * Send a message to a user via Instagram Messaging API.
  * @param {string} recipientId - Instagram user ID of the recipient.
- * @param {string} messageText - Message content to be sent.
+ * @param {string|object} messageText - Message text, or a Send API message object (image, quick replies, template).
  * @param {string} accessToken - Facebook page access token.
  */
 export async function sendInstagramMessage(
@@ -320,7 +426,7 @@ export async function sendInstagramMessage(
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           recipient: { id: senderId },
-          message: { text: messageText },
+          message: typeof messageText === 'string' ? { text: messageText } : messageText,
           access_token: pageAccessToken, // Potentially expired
         }),
       }
@@ -418,6 +524,18 @@ export async function upsertInstagramUser(senderId, userInfo, businessId, role =
     }
 
     console.log('[INFO] Instagram user upserted successfully:', data);
+
+    if (role === 'customer') {
+      await resolveContact({
+        businessId,
+        sourceType: 'instagram_user',
+        sourceId: senderId,
+        name: username,
+        phone: phone_number,
+        email,
+        igId: senderId,
+      });
+    }
     return data;
   } catch (err) {
     console.error('[ERROR] Exception while upserting Instagram user:', err.message);
@@ -445,3 +563,136 @@ export function parseUserMessage(userMessage) {
     location,
   };
 }
+
+/**
+ * Check that a business belongs to the logged-in business owner.
+ * @param {number|string} businessId - The business ID from the request.
+ * @param {number|string} businessOwnerId - The businessOwnerId from the session cookie.
+ * @returns {Promise<boolean>} - True if the business is owned by the business owner.
+ */
+export async function verifyBusinessOwnership(businessId, businessOwnerId) {
+  try {
+    if (!businessId || !businessOwnerId) {
+      console.warn('[WARN] Missing businessId or businessOwnerId for ownership check:', { businessId, businessOwnerId });
+      return false;
+    }
+
+    const { data, error } = await supabase
+      .from('businesses')
+      .select('id')
+      .eq('id', businessId)
+      .eq('business_owner_id', businessOwnerId)
+      .single();
+
+    if (error || !data) {
+      console.warn(`[WARN] Business ${businessId} does not belong to business owner ${businessOwnerId}:`, error?.message || 'No data found');
+      return false;
+    }
+    return true;
+  } catch (err) {
+    console.error('[ERROR] Exception while verifying business ownership:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Express middleware that only lets a logged-in business owner act on their own business.
+ * The business ID is read from the route params, query, body or businessId cookie, in that order.
+ * On success, sets req.businessOwnerId and req.businessId.
+ */
+export async function requireBusinessAccess(req, res, next) {
+  const businessOwnerId = parseInt(req.cookies?.businessOwnerId, 10);
+  if (isNaN(businessOwnerId)) {
+    console.error('[ERROR] Invalid or missing businessOwnerId in cookies:', req.cookies?.businessOwnerId);
+    return res.status(401).json({
+      error: 'Unauthorized: Please log in again to access this resource.',
+      details: 'Missing or invalid businessOwnerId in cookies.',
+    });
+  }
+
+  const businessId = parseInt(
+    req.params?.businessId ?? req.query?.business_id ?? req.body?.business_id ?? req.cookies?.businessId,
+    10
+  );
+  if (isNaN(businessId)) {
+    return res.status(400).json({ error: 'Missing required parameter: business_id' });
+  }
+
+  const isOwner = await verifyBusinessOwnership(businessId, businessOwnerId);
+  if (!isOwner) {
+    return res.status(403).json({ error: 'Forbidden: You do not have access to this business.' });
+  }
+
+  req.businessOwnerId = businessOwnerId;
+  req.businessId = businessId;
+  return next();
+}
+
+/**
+ * Encode a pagination cursor.
+ * @param {object} position - Values identifying the last item on the page.
+ * @returns {string} - Opaque cursor string.
+ */
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+// Cursor values end up inside PostgREST `.or()` filters, so each must match a strict format
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:?\d{2})$/;
+const CURSOR_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const CURSOR_FORMATS = {
+  timestamp: (value) => isIsoTimestamp(value),
+  id: (value) => (typeof value === 'string' || Number.isSafeInteger(value)) && CURSOR_ID_PATTERN.test(String(value)),
+  phone: (value) => typeof value === 'string' && /^\+[1-9]\d{6,14}$/.test(value),
+};
+
+/**
+ * Check whether a value is an ISO 8601 date-time with a time zone, as Postgres returns them.
+ * @param {string} value - The value to check.
+ * @returns {boolean} - True if valid.
+ */
+export function isIsoTimestamp(value) {
+  return typeof value === 'string' && ISO_TIMESTAMP_PATTERN.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * Decode a pagination cursor and check it has the expected fields.
+ * @param {string} cursor - Cursor from a previous page.
+ * @param {object} shape - Field name to format ('timestamp', 'id' or 'phone') for every field the cursor must have.
+ * @returns {object|null} - The decoded position or null if missing, malformed or incomplete.
+ */
+export function decodeCursor(cursor, shape = {}) {
+  if (!cursor) return null;
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!position || typeof position !== 'object' || Array.isArray(position)) return null;
+
+  const valid = Object.entries(shape).every(([field, format]) => CURSOR_FORMATS[format](position[field]));
+  return valid ? position : null;
+}
+
+/**
+ * Parse the page size query parameter.
+ * @param {string} limit - The raw limit.
+ * @param {number} [defaultSize=20] - Page size when the limit is missing or invalid.
+ * @param {number} [maxSize=100] - Largest page size allowed.
+ * @returns {number} - A page size between 1 and maxSize.
+ */
+export function parseLimit(limit, defaultSize = 20, maxSize = 100) {
+  const parsed = parseInt(limit, 10);
+  if (isNaN(parsed) || parsed <= 0) return defaultSize;
+  return Math.min(parsed, maxSize);
+}
+
+/**
+ * Strip characters that would break a PostgREST filter expression.
+ * @param {string} term - The raw search term.
+ * @returns {string} - The sanitized term.
+ */
+export function sanitizeSearchTerm(term) {
+  return String(term || '').replace(/[,()%*\\]/g, ' ').trim().slice(0, 100);
+}
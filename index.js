@@ -23,11 +23,22 @@ import instagramWebhookRouter from './instagram-webhook.js';
 import leadgenWebhookRouter from './leadgen-webhook.js';
 import getBusinessRouter from './get-business.js';
 import getVonageNumberRouter from './get-vonage-number.js';
+import vonageNumbersRouter from './vonage-numbers.js';
+import callLogsRouter from './call-logs.js';
+import callFlowsRouter, { callFlowWebhookRouter } from './call-flows.js';
 import retrieveLeadsRouter from './retrieve-leads.js';
+import leadsRouter from './leads.js';
+import contactsRouter from './contacts.js';
+import availabilityRouter from './availability.js';
+import conversationsRouter from './conversations.js';
 import verifySessionRouter from './auth/verify-session.js';
 import refreshTokenRouter from './auth/refresh-token.js';
 import loginRouter from './auth/login.js';
+import googleCalendarAuthRouter from './auth/google-calendar.js';
 import { handleInboundCall } from './vonage.js';
+import { requireVonageCallbackJwt } from './vonage-signatures.js';
+import voiceAssistantRouter from './voice-assistant.js';
+import smsWebhookRouter from './sms-webhook.js';
 import logoutRouter from './auth/logout.js';
 
 
@@ -62,9 +73,10 @@ app.use(
   })
 );
 app.use(cookieParser());
-app.use(express.json());
+// The raw body is kept so signed Vonage callbacks can be checked against the hash in their JWT
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
-app.post('/api/inbound-call', handleInboundCall);
+app.post('/api/inbound-call', requireVonageCallbackJwt, handleInboundCall);
 
 app.use(
   cors({
@@ -110,12 +122,23 @@ const routes = [
   { path: '/leadgen-webhook', router: leadgenWebhookRouter },
   { path: '/get-business', router: getBusinessRouter },
   { path: '/get-vonage-number', router: getVonageNumberRouter },
+  { path: '/vonage-numbers', router: vonageNumbersRouter },
   { path: '/retrieve-leads', router: retrieveLeadsRouter },
+  { path: '/leads', router: leadsRouter },
+  { path: '/contacts', router: contactsRouter },
+  { path: '/availability', router: availabilityRouter },
+  { path: '/conversations', router: conversationsRouter },
   { path: '/auth/verify-session', router: verifySessionRouter },
   { path: '/auth/refresh-token', router: refreshTokenRouter },
   { path: '/auth/login', router: loginRouter },
   { path: '/auth/logout', router: logoutRouter },
-  { path: '/api/inbound-call', router: express.Router().post('/', handleInboundCall) },
+  { path: '/auth/google-calendar', router: googleCalendarAuthRouter },
+  { path: '/api/inbound-call', router: express.Router().post('/', requireVonageCallbackJwt, handleInboundCall) },
+  { path: '/voice', router: voiceAssistantRouter },
+  { path: '/voice/flow', router: callFlowWebhookRouter },
+  { path: '/calls', router: callLogsRouter },
+  { path: '/call-flows', router: callFlowsRouter },
+  { path: '/sms-webhook', router: smsWebhookRouter },
 ];
 
 routes.forEach(({ path, router }) => {
@@ -0,0 +1,205 @@
+// instagram-messages.js
+
+import fetch from 'node-fetch';
+
+const MAX_QUICK_REPLIES = 13;
+const MAX_QUICK_REPLY_TITLE = 20;
+const MAX_TEMPLATE_ELEMENTS = 10;
+const MAX_TEMPLATE_BUTTONS = 3;
+const MAX_ICE_BREAKERS = 4;
+
+/**
+ * Normalize the attachments on an inbound Instagram message.
+ * @param {Array} attachments - `message.attachments` from the webhook.
+ * @returns {Array<{type: string, url: string|null}>} - Attachments with their URLs.
+ */
+function parseAttachments(attachments) {
+  if (!Array.isArray(attachments)) return [];
+  return attachments.map((attachment) => ({
+    type: attachment.type || 'unknown',
+    url: attachment.payload?.url || null,
+    title: attachment.payload?.title || null,
+  }));
+}
+
+/**
+ * Parse an Instagram messaging webhook event into a single shape.
+ * Handles text, attachments (image, video, audio, file, share, reel), story replies,
+ * story mentions, quick replies, reactions and postbacks.
+ * @param {object} messageEvent - One entry of `entry[].messaging[]`.
+ * @returns {object} - { kind, messageId, text, attachments, storyUrl, quickReplyPayload, reaction, postback, isEcho, isDeleted }.
+ */
+export function parseInstagramEvent(messageEvent) {
+  if (messageEvent.reaction) {
+    const { mid, action, reaction, emoji } = messageEvent.reaction;
+    return {
+      kind: 'reaction',
+      messageId: mid?.trim() || null,
+      text: action === 'unreact' ? 'Removed a reaction' : `Reacted ${emoji || reaction || ''}`.trim(),
+      attachments: [],
+      reaction: { action, reaction: reaction || null, emoji: emoji || null },
+    };
+  }
+
+  if (messageEvent.postback) {
+    const { mid, title, payload } = messageEvent.postback;
+    return {
+      kind: 'postback',
+      messageId: mid?.trim() || null,
+      text: title || payload || '',
+      attachments: [],
+      postback: { title: title || null, payload: payload || null },
+    };
+  }
+
+  const message = messageEvent.message || {};
+  const attachments = parseAttachments(message.attachments);
+  const storyMention = attachments.find((attachment) => attachment.type === 'story_mention');
+  const storyReply = message.reply_to?.story;
+
+  let kind = 'text';
+  if (storyMention) kind = 'story_mention';
+  else if (storyReply) kind = 'story_reply';
+  else if (message.quick_reply) kind = 'quick_reply';
+  else if (attachments.length) kind = attachments[0].type;
+
+  return {
+    kind,
+    messageId: message.mid?.trim() || null,
+    text: message.text || '',
+    attachments,
+    storyUrl: storyMention?.url || storyReply?.url || null,
+    quickReplyPayload: message.quick_reply?.payload || null,
+    isEcho: Boolean(message.is_echo),
+    isDeleted: Boolean(message.is_deleted),
+  };
+}
+
+/**
+ * Describe a parsed event in words, for logging and for the assistant.
+ * @param {object} parsed - Output of parseInstagramEvent.
+ * @returns {string} - Text that stands in for the message.
+ */
+export function describeInstagramEvent(parsed) {
+  const text = parsed.text?.trim() || '';
+  switch (parsed.kind) {
+    case 'story_mention':
+      return text || '[Mentioned the business in their story]';
+    case 'story_reply':
+      return `[Replying to the business's story] ${text}`.trim();
+    case 'reaction':
+      return `[${text}]`;
+    case 'postback':
+      return text;
+    case 'text':
+    case 'quick_reply':
+      return text;
+    default: {
+      const types = [...new Set(parsed.attachments.map((attachment) => attachment.type))].join(', ');
+      return `[Sent ${types || 'an attachment'}] ${text}`.trim();
+    }
+  }
+}
+
+/**
+ * Build an image message payload.
+ * @param {string} url - Public URL of the image.
+ * @returns {object} - Send API `message` object.
+ */
+export function buildImageMessage(url) {
+  return { attachment: { type: 'image', payload: { url } } };
+}
+
+/**
+ * Build a text message with quick-reply buttons.
+ * @param {string} text - The message text.
+ * @param {Array<string|{title: string, payload: string}>} replies - Button titles, or title/payload pairs.
+ * @returns {object} - Send API `message` object.
+ */
+export function buildQuickReplyMessage(text, replies) {
+  return {
+    text,
+    quick_replies: replies.slice(0, MAX_QUICK_REPLIES).map((reply) => {
+      const title = typeof reply === 'string' ? reply : reply.title;
+      const payload = typeof reply === 'string' ? reply : reply.payload || reply.title;
+      return {
+        content_type: 'text',
+        title: title.slice(0, MAX_QUICK_REPLY_TITLE),
+        payload,
+      };
+    }),
+  };
+}
+
+/**
+ * Build a generic template (a carousel of cards with buttons).
+ * @param {Array<object>} elements - Cards: { title, subtitle, imageUrl, buttons: [{ title, url } | { title, payload }] }.
+ * @returns {object} - Send API `message` object.
+ */
+export function buildGenericTemplate(elements) {
+  return {
+    attachment: {
+      type: 'template',
+      payload: {
+        template_type: 'generic',
+        elements: elements.slice(0, MAX_TEMPLATE_ELEMENTS).map((element) => ({
+          title: element.title,
+          subtitle: element.subtitle || undefined,
+          image_url: element.imageUrl || undefined,
+          buttons: (element.buttons || []).slice(0, MAX_TEMPLATE_BUTTONS).map((button) => (
+            button.url
+              ? { type: 'web_url', url: button.url, title: button.title }
+              : { type: 'postback', payload: button.payload || button.title, title: button.title }
+          )),
+        })),
+      },
+    },
+  };
+}
+
+/**
+ * Describe an outbound message payload in words, for logging.
+ * @param {object} message - Send API `message` object.
+ * @returns {string} - Text that stands in for the message.
+ */
+export function describeOutboundMessage(message) {
+  if (message.text) return message.text;
+  const attachment = message.attachment;
+  if (attachment?.type === 'image') return '[Sent an image]';
+  if (attachment?.type === 'template') {
+    return `[Sent cards: ${attachment.payload.elements.map((element) => element.title).join(', ')}]`;
+  }
+  return '[Sent a message]';
+}
+
+/**
+ * Configure the ice-breaker questions shown when a customer opens a new chat.
+ * @param {string} pageAccessToken - Page access token for the business.
+ * @param {Array<{question: string, payload: string}>} iceBreakers - Up to four questions.
+ * @returns {Promise<object>} - The Graph API response.
+ * @throws {Error} - If the Graph API rejects the request.
+ */
+export async function setIceBreakers(pageAccessToken, iceBreakers) {
+  const response = await fetch(
+    `https://graph.facebook.com/v17.0/me/messenger_profile?platform=instagram&access_token=${pageAccessToken}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ice_breakers: [{
+          call_to_actions: iceBreakers.slice(0, MAX_ICE_BREAKERS).map(({ question, payload }) => ({
+            question,
+            payload: payload || question,
+          })),
+          locale: 'default',
+        }],
+      }),
+    }
+  );
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error?.message || 'Failed to set ice breakers');
+  }
+  return data;
+}
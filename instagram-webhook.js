@@ -4,6 +4,10 @@ import crypto from 'crypto';
 import rateLimit from 'express-rate-limit';
 import supabase from './supabaseClient.js';
 import assistantHandler from './assistant.js';
+import { enqueueWebhookEvent, registerQueueHandler, kickQueueWorker } from './webhook-queue.js';
+import { claimMessage, completeMessage, releaseMessage } from './message-idempotency.js';
+import { getConversationState, pauseForHumanReply } from './conversation-state.js';
+import { parseInstagramEvent, describeInstagramEvent, buildQuickReplyMessage } from './instagram-messages.js';
 import {
   fetchInstagramIdFromDatabase,
   fetchInstagramIdFromFacebook,
@@ -102,6 +106,8 @@ async function fetchBusinessIdFromInstagramId(igId) {
  * @param {string} igId       - The same as recipientId (business’s IG ID).
  * @param {string} username   - The user’s username (if known).
  * @param {object} businessDetails - Contains page_id, etc.
+ * @param {Array<string>} quickReplies - Optional quick-reply buttons to show under the text.
+ * @throws {Error} - If the reply could not be sent, so the queued event is retried.
  */
 async function respondAndLog(
   businessId,
@@ -110,39 +116,45 @@ async function respondAndLog(
   messageText,
   igId,
   username,
-  businessDetails
+  businessDetails,
+  quickReplies = []
 ) {
-  try {
-    if (!businessId || !senderId || !recipientId || !messageText || !businessDetails) {
-      console.warn('[WARN] Missing required fields for respondAndLog:', {
-        businessId,
-        senderId,
-        recipientId,
-        messageText,
-        businessDetails,
-      });
-      return;
-    }
-
-    // Fetch the page access token first
-    const pageAccessToken = await getPageAccessToken(businessId, businessDetails.page_id);
-    if (!pageAccessToken) {
-      console.error(`[ERROR] Missing page access token for businessId=${businessId}`);
-      return;
-    }
-
-    // Call sendInstagramMessage with businessId, pageId for auto-refresh logic
-    await sendInstagramMessage(
+  if (!businessId || !senderId || !recipientId || !messageText || !businessDetails) {
+    console.warn('[WARN] Missing required fields for respondAndLog:', {
+      businessId,
       senderId,
+      recipientId,
       messageText,
-      pageAccessToken,
-      businessId,
-      businessDetails.page_id
-    );
+      businessDetails,
+    });
+    return;
+  }
+
+  // Fetch the page access token first
+  const pageAccessToken = await getPageAccessToken(businessId, businessDetails.page_id);
+  if (!pageAccessToken) {
+    throw new Error(`Missing page access token for businessId=${businessId}`);
+  }
 
+  // Call sendInstagramMessage with businessId, pageId for auto-refresh logic
+  const sendResult = await sendInstagramMessage(
+    senderId,
+    quickReplies.length ? buildQuickReplyMessage(messageText, quickReplies) : messageText,
+    pageAccessToken,
+    businessId,
+    businessDetails.page_id
+  );
+
+  // A failed send is thrown so the queue retries the event instead of marking it done
+  if (!sendResult) {
+    throw new Error(`Failed to send Instagram reply to ${senderId} for businessId=${businessId}`);
+  }
+
+  try {
     // Log the "sent" message in our DB
     await logMessage({
       businessId,
+      messageId: sendResult?.message_id || null,
       senderId: recipientId, // The "business" is effectively the sender now
       recipientId: senderId,
       message: messageText,
@@ -150,23 +162,77 @@ async function respondAndLog(
       role: 'business',
       igId,
       username: 'Business',
+      attachments: quickReplies.length ? [{ type: 'quick_replies', options: quickReplies }] : null,
     });
   } catch (err) {
+    // The reply went out, so a logging failure must not resend it
     console.error(
-      `[ERROR] Failed to respond and log message for businessId=${businessId}:`,
+      `[ERROR] Failed to log sent message for businessId=${businessId}:`,
       err.message
     );
   }
 }
 
+/**
+ * Handle an echo of a message the business sent.
+ * Echoes of the bot's own replies are ignored; anything else was sent by staff from the
+ * Instagram app, so it is logged and the bot is paused for that thread.
+ * @param {object} messageEvent - The echo event.
+ * @param {number} businessId - The business ID.
+ * @param {string} igId - The business's IG ID (the echo's sender).
+ * @param {string} customerId - The customer's IG ID (the echo's recipient).
+ */
+async function handleEchoMessage(messageEvent, businessId, igId, customerId) {
+  const messageId = messageEvent.message?.mid?.trim();
+  const text = messageEvent.message?.text || '';
+
+  if (messageEvent.message?.app_id && String(messageEvent.message.app_id) === process.env.FACEBOOK_APP_ID) {
+    console.log('[INFO] Ignoring echo of a message sent by the assistant.');
+    return;
+  }
+
+  if (messageId) {
+    const { data: existing, error } = await supabase
+      .from('instagram_conversations')
+      .select('id')
+      .eq('business_id', businessId)
+      .eq('message_id', messageId)
+      .limit(1);
+
+    if (error) throw new Error(`Failed to look up echoed message: ${error.message}`);
+    if (existing?.length) {
+      console.log('[INFO] Ignoring echo of an already logged message.');
+      return;
+    }
+  }
+
+  console.log(`[INFO] Staff replied to ${customerId} from Instagram; pausing the assistant.`);
+  if (text.trim()) {
+    await logMessage({
+      businessId,
+      messageId,
+      senderId: igId,
+      recipientId: customerId,
+      message: text,
+      type: 'sent',
+      role: 'business',
+      igId,
+      username: 'Staff',
+    });
+  }
+  await pauseForHumanReply(businessId, customerId);
+}
+
 /**
  * Core function to process incoming messages.
  * - Logs the incoming "received" message.
  * - Retrieves user info.
  * - Calls the assistant handler for a reply.
  * - Uses respondAndLog() to send the reply and log the "sent" message.
+ * Runs from the webhook queue; unexpected errors are rethrown so the event is retried.
  */
 async function processMessagingEvent(messageEvent) {
+  let claimedMessageId = null;
   try {
     console.log('[DEBUG] Incoming message payload:', JSON.stringify(messageEvent, null, 2));
 
@@ -179,14 +245,18 @@ async function processMessagingEvent(messageEvent) {
       return;
     }
 
-    // Determine whether the message is deleted or an echo
-    const isDeleted = messageEvent.message?.is_deleted || false;
-    const isEcho = messageEvent.message?.is_echo || false;
-    const userMessage = messageEvent.message?.text || '';
-    const messageId = messageEvent.message?.mid?.trim();
-
-    // This is the business’s IG ID (the recipient of the user’s message)
-    const igId = recipientId;
+    // Normalize text, attachments, story replies/mentions, reactions and postbacks
+    const parsed = parseInstagramEvent(messageEvent);
+    const isDeleted = parsed.isDeleted || false;
+    const isEcho = parsed.isEcho || false;
+    const userMessage = describeInstagramEvent(parsed);
+    // A reaction's mid is the message reacted to, so the action is added to identify the reaction itself
+    const messageId = parsed.kind === 'reaction' && parsed.messageId
+      ? `${parsed.messageId}:${parsed.reaction.action || 'react'}`
+      : parsed.messageId;
+
+    // This is the business’s IG ID (the recipient of the user’s message, or the sender of an echo)
+    const igId = isEcho ? senderId : recipientId;
     console.log(`[DEBUG] Using Instagram ID: ${igId}`);
 
     // Fetch business ID using Instagram ID
@@ -207,21 +277,50 @@ async function processMessagingEvent(messageEvent) {
 
     // Handle deleted messages
     if (isDeleted) {
-      if (!messageId) {
+      if (!parsed.messageId) {
         console.error('[WARN] Deleted message does not have a valid message ID.');
         return;
       }
-      console.log(`[INFO] Handling deleted message with ID: ${messageId}`);
-      await handleUnsentMessage(messageId, businessId);
+      console.log(`[INFO] Handling deleted message with ID: ${parsed.messageId}`);
+      await handleUnsentMessage(parsed.messageId, businessId);
+      return;
+    }
+
+    // Echoes are messages the business sent; staff replies pause the assistant
+    if (isEcho) {
+      await handleEchoMessage(messageEvent, businessId, igId, recipientId);
+      return;
+    }
+
+    // Ignore empty messages and events we do not track (e.g. read receipts)
+    if (!userMessage.trim()) {
+      console.log('[INFO] Ignoring empty message.');
       return;
     }
 
-    // Ignore echo messages or empty messages
-    if (isEcho || !userMessage.trim()) {
-      console.log('[INFO] Ignoring echo or empty message.');
+    // Reactions are logged against the thread but do not need a reply; redeliveries share the message ID
+    if (parsed.kind === 'reaction') {
+      await logMessage({
+        businessId,
+        messageId,
+        senderId,
+        recipientId,
+        message: userMessage,
+        type: 'received',
+        role: 'customer',
+        igId,
+        contentType: 'reaction',
+        attachments: [{ type: 'reaction', target_message_id: parsed.messageId, ...parsed.reaction }],
+      });
       return;
     }
 
+    // Short-circuit redeliveries of a message we have already handled
+    if (messageId) {
+      if (!(await claimMessage(messageId, businessId))) return;
+      claimedMessageId = messageId;
+    }
+
     // Parse user message for additional information
     const { field, value, location } = parseUserMessage(userMessage);
 
@@ -235,6 +334,7 @@ async function processMessagingEvent(messageEvent) {
     // Log the incoming "received" message in DB
     await logMessage({
       businessId,
+      messageId,
       senderId,
       recipientId,
       message: userMessage,
@@ -245,12 +345,28 @@ async function processMessagingEvent(messageEvent) {
       email: userInfo?.email || null,
       phone_number: userInfo?.phone_number || null,
       location: location || null,
+      contentType: parsed.kind,
+      attachments: parsed.kind === 'postback'
+        ? [{ type: 'postback', ...parsed.postback }]
+        : parsed.quickReplyPayload
+          ? [...parsed.attachments, { type: 'quick_reply', payload: parsed.quickReplyPayload }]
+          : parsed.attachments,
     });
 
+    // Leave threads that staff have taken over (or paused) to the humans
+    const conversationState = await getConversationState(businessId, senderId);
+    if (conversationState.mode !== 'bot') {
+      console.log(`[INFO] Conversation with ${senderId} is in ${conversationState.mode} mode; not replying.`);
+      if (claimedMessageId) await completeMessage(claimedMessageId);
+      return;
+    }
+
     // Generate a response using the assistant handler
     const assistantResponse = await assistantHandler({
       userMessage,
       businessId,
+      senderId,
+      username: userInfo?.username || null,
       field,
       value,
     });
@@ -264,31 +380,40 @@ async function processMessagingEvent(messageEvent) {
         assistantResponse.message,
         igId,
         userInfo?.username || '',
-        businessDetails
+        businessDetails,
+        assistantResponse.quickReplies || []
       );
     } else {
       console.error(
         `[ERROR] assistantHandler did not return a valid response for businessId=${businessId}`
       );
     }
+
+    if (claimedMessageId) await completeMessage(claimedMessageId);
   } catch (err) {
     console.error('[ERROR] Failed to process messaging event:', err.message);
+    if (claimedMessageId) await releaseMessage(claimedMessageId);
+    throw err;
   }
 }
 
+registerQueueHandler('instagram_messaging', processMessagingEvent);
+
 // POST route for webhook
+// Events are persisted to the queue and acknowledged at once; the queue worker does the slow work.
 router.post('/', async (req, res) => {
   try {
     const { object, entry } = req.body;
     if (object === 'instagram') {
-      for (const event of entry) {
+      for (const event of entry || []) {
         if (event.messaging) {
           for (const messageEvent of event.messaging) {
-            await processMessagingEvent(messageEvent);
+            await enqueueWebhookEvent('instagram_messaging', messageEvent);
           }
         }
       }
-      return res.status(200).send('Instagram messaging handled');
+      kickQueueWorker();
+      return res.status(200).send('EVENT_RECEIVED');
     }
     return res.status(400).send('Unhandled object type');
   } catch (err) {
@@ -305,32 +430,4 @@ router.get('/', (req, res) => {
   return res.status(403).send('Verification failed');
 });
 
-// Optional route to fetch all conversation logs for a given business
-router.get('/fetch-conversations', async (req, res) => {
-  try {
-    const { business_id } = req.query;
-
-    if (!business_id) {
-      return res.status(400).json({ error: 'Missing required parameter: business_id' });
-    }
-
-    console.log(`[INFO] Fetching conversations for business_id=${business_id}`);
-
-    const { data, error } = await supabase
-      .from('instagram_conversations')
-      .select('*')
-      .eq('business_id', business_id);
-
-    if (error) {
-      console.error(`[ERROR] Failed to fetch conversations for business_id=${business_id}:`, error.message);
-      return res.status(500).json({ error: 'Failed to fetch conversations' });
-    }
-
-    return res.status(200).json(data);
-  } catch (err) {
-    console.error('[ERROR] Exception while fetching conversations:', err.message);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
 export default router;
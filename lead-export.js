@@ -0,0 +1,148 @@
+// lead-export.js
+
+import ExcelJS from 'exceljs';
+import supabase from './supabaseClient.js';
+import { fetchFieldMappings } from './lead-ingestion.js';
+import { getPipelineStages } from './lead-pipeline.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const EXPORT_BATCH_SIZE = 1000;
+
+const BASE_COLUMNS = [
+  'lead_id',
+  'created_time',
+  'form_id',
+  'stage',
+  'name',
+  'phone',
+  'email',
+  'city',
+  'status',
+  'owner_id',
+  'tags',
+  'follow_up_at',
+];
+
+/**
+ * Helper function to turn a lead value into cell text
+ * XLSX cells are written as plain strings and never evaluated. In CSV, text a spreadsheet app would read
+ * as a formula is prefixed with a quote; + and - only count when the value is not a number, so phone
+ * numbers and negative amounts are left alone.
+ * @param {*} value - Raw value
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {string} The cell text
+ */
+const toCellText = (value, format) => {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(', ') : String(value);
+  if (format === 'xlsx') return text;
+
+  const isFormula = /^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !/^[+-]\d+(\.\d+)?$/.test(text));
+  return isFormula ? `'${text}` : text;
+};
+
+/**
+ * Helper function to build one export row for a lead, in header order
+ * @param {object} lead - Lead row
+ * @param {object} options - Row options
+ * @param {Array<string>} options.attributeColumns - Custom attribute columns, after the base columns
+ * @param {string} options.firstStage - Stage shown for leads with no stage
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @returns {Array<string>} The row's cell texts
+ */
+export const buildExportRow = (lead, { attributeColumns, firstStage, format }) => [
+  ...BASE_COLUMNS.map((column) => toCellText(column === 'stage' ? lead.stage || firstStage : lead[column], format)),
+  ...attributeColumns.map((attribute) => toCellText(lead.custom_attributes?.[attribute], format)),
+];
+
+/**
+ * Helper function to quote a cell for CSV
+ * @param {string} text - Cell text
+ * @returns {string} The CSV field
+ */
+const toCsvField = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+/**
+ * Helper function to page through a business's leads matching the export filters
+ * @param {number} businessId - Business ID
+ * @param {object} filters - { from, to, formId, stage }
+ * @param {string} firstStage - Key of the first pipeline stage, which also holds leads with no stage
+ * @returns {AsyncGenerator<Array<object>>} Batches of leads, oldest first
+ */
+async function* fetchLeadBatches(businessId, { from, to, formId, stage }, firstStage) {
+  for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+    let query = supabase
+      .from('leads')
+      .select('*')
+      .eq('business_id', businessId)
+      .order('created_time', { ascending: true })
+      .order('lead_id', { ascending: true })
+      .range(offset, offset + EXPORT_BATCH_SIZE - 1);
+
+    if (from) query = query.gte('created_time', from);
+    if (to) query = query.lt('created_time', to);
+    if (formId) query = query.eq('form_id', formId);
+    if (stage) {
+      query = stage === firstStage ? query.or(`stage.eq.${stage},stage.is.null`) : query.eq('stage', stage);
+    }
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to fetch leads for export: ${error.message}`);
+    if (!data?.length) return;
+
+    yield data;
+    if (data.length < EXPORT_BATCH_SIZE) return;
+  }
+}
+
+/**
+ * Stream a business's leads to an HTTP response as CSV or XLSX
+ * Rows are fetched and written in batches, so large exports never sit in memory at once.
+ * @param {object} res - Express response
+ * @param {number} businessId - Business ID
+ * @param {object} options - Export options
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {object} options.filters - { from, to, formId, stage }
+ * @returns {Promise<number>} Number of leads written
+ */
+export const streamLeadsExport = async (res, businessId, { format, filters }) => {
+  const [mappings, stages] = await Promise.all([fetchFieldMappings(businessId), getPipelineStages(businessId)]);
+  const attributeColumns = Object.keys(mappings.attributes).sort();
+  const header = [...BASE_COLUMNS, ...attributeColumns];
+  const firstStage = stages[0].key;
+
+  const toRow = (lead) => buildExportRow(lead, { attributeColumns, firstStage, format });
+
+  const filename = `leads-${businessId}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  let count = 0;
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Leads');
+    sheet.addRow(header).commit();
+
+    for await (const batch of fetchLeadBatches(businessId, filters, firstStage)) {
+      for (const lead of batch) {
+        sheet.addRow(toRow(lead)).commit();
+        count += 1;
+      }
+    }
+
+    sheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.write(`${header.map(toCsvField).join(',')}\r\n`);
+  for await (const batch of fetchLeadBatches(businessId, filters, firstStage)) {
+    const lines = batch.map((lead) => toRow(lead).map(toCsvField).join(','));
+    res.write(`${lines.join('\r\n')}\r\n`);
+    count += batch.length;
+  }
+  res.end();
+  return count;
+};
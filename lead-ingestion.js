@@ -0,0 +1,769 @@
+// lead-ingestion.js
+
+import Joi from 'joi';
+import fetch from 'node-fetch';
+import * as Sentry from '@sentry/node';
+import supabase from './supabaseClient.js';
+import { getPageAccessToken } from './auth/refresh-token.js';
+import { resolveContact } from './contact-identity.js';
+import { registerQueueHandler } from './webhook-queue.js';
+import { dispatchLeadWebhooks } from './lead-webhooks.js';
+import { DEFAULT_PHONE_COUNTRY, getBusinessPhoneCountry, parsePhoneNumber } from './phone-numbers.js';
+
+const REPROCESS_BATCH_SIZE = 500;
+
+/**
+ * Define the Joi schema for a lead
+ */
+export const leadSchema = Joi.object({
+  lead_id: Joi.string().required(),
+  created_time: Joi.date().required(),
+  business_id: Joi.number().required(),
+  form_id: Joi.string().optional().allow(null, ''),
+  field_data: Joi.array().items(
+    Joi.object({
+      name: Joi.string().required(),
+      values: Joi.array().items(Joi.string()).required(),
+    })
+  ).required(),
+  name: Joi.string().optional().allow(null, ''),
+  phone: Joi.string().optional().allow(null, ''),
+  phone_type: Joi.string().optional().allow(null),
+  email: Joi.string().email().optional().allow(null, ''),
+  city: Joi.string().optional().allow(null, ''),
+  status: Joi.string().optional().allow(null, ''),
+  custom_attributes: Joi.object().pattern(Joi.string(), Joi.string().allow('')).optional(),
+  // Add other fields as necessary
+});
+
+/**
+ * Mapping of desired field keys to actual field names in field_data
+ * Ensure this mapping includes all possible variations used in your Facebook Leadgen forms
+ */
+export const FIELD_NAME_MAPPING = {
+  name: [
+    'name',
+    'full name',
+    'fullname',
+    'contact name',
+    'contactfullname',
+    'contact_fullname',
+    'fullName',
+    'FullName',
+    'Full Name',
+    'full_name', // Added variation
+  ],
+  phone: [
+    'phone',
+    'phone number',
+    'telephone',
+    'contact number',
+    'contactphone',
+    'phonenumber',
+    'mobile number', // Added variation
+    'phone_number', // Added variation
+    'user_provided_phone_number', // Added variation
+  ],
+  email: [
+    'email',
+    'email address',
+    'contact email',
+    'EmailAddress',
+    'Email Address',
+  ],
+  city: [
+    'city',
+    'town',
+    'location',
+    'City',
+    'Town',
+    'Location',
+  ],
+  status: [
+    'status',
+    'lead status',
+    'lead_status',
+    'Status',
+    'Lead Status',
+    'Lead_Status',
+  ],
+};
+
+// Lead columns a business can map its own form questions to
+export const LEAD_MAPPABLE_COLUMNS = Object.keys(FIELD_NAME_MAPPING);
+
+/**
+ * Helper function to sanitize field_data
+ * Ensures that each field has a 'name' and 'values' as an array
+ * Normalizes field names by trimming and converting to lowercase
+ * @param {Array} fieldData - Array of field data objects
+ * @returns {Array} Sanitized field data
+ */
+export const sanitizeFieldData = (fieldData) => {
+  return fieldData.map((field) => ({
+    name: field.name ? field.name.trim().toLowerCase() : 'unnamed_field',
+    values: Array.isArray(field.values)
+      ? field.values.map(value => value.trim())
+      : [field.values ? field.values.trim() : 'no_value'],
+  }));
+};
+
+/**
+ * Helper function to extract specific fields from field_data based on mappings
+ * and deduplicate values if necessary.
+ * @param {Array} fieldData - Array of field data objects
+ * @param {string} fieldKey - The key of the field to extract (e.g., 'name', 'phone')
+ * @param {Array<string>} customNames - Extra question names the business mapped to this field
+ * @returns {string|null} - The extracted field value or null if not found
+ */
+export const getFieldValue = (fieldData, fieldKey, customNames = []) => {
+  const possibleNames = [
+    ...customNames,
+    ...(FIELD_NAME_MAPPING[fieldKey.toLowerCase()] || [fieldKey.toLowerCase()]),
+  ].map(name => name.trim().toLowerCase());
+
+  // Filter fields that match the possible names (case-insensitive)
+  const matchingFields = fieldData.filter(item =>
+    possibleNames.includes(item.name.trim().toLowerCase())
+  );
+
+  if (matchingFields.length > 0) {
+    // Extract all values from matching fields
+    const allValues = matchingFields.flatMap(field =>
+      Array.isArray(field.values) ? field.values.map(val => val.trim()) : [field.values ? field.values.trim() : '']
+    );
+
+    // Deduplicate the values
+    const uniqueValues = [...new Set(allValues)];
+
+    // Join the unique values into a single string
+    const combinedValues = uniqueValues.join(', ');
+
+    console.log(`[DEBUG] Extracted ${fieldKey}: ${combinedValues}`);
+    return combinedValues;
+  }
+
+  // Log the entire field_data for debugging purposes
+  console.log(`[DEBUG] ${fieldKey} not found in field_data. Possible names: ${possibleNames.join(', ')}`);
+  console.log(`[DEBUG] Current field_data: ${JSON.stringify(fieldData, null, 2)}`);
+  return null;
+};
+
+/**
+ * Helper function to fetch a business's form question mappings, grouped by target
+ * @param {number} businessId - Business ID
+ * @returns {Promise<{columns: object, attributes: object}>} Question names keyed by lead column and by custom attribute
+ * @throws {Error} If the mappings cannot be fetched, so leads are not stored without them
+ */
+export const fetchFieldMappings = async (businessId) => {
+  const { data, error } = await supabase
+    .from('lead_field_mappings')
+    .select('question, target, field')
+    .eq('business_id', businessId);
+
+  if (error) {
+    throw new Error(`Failed to fetch field mappings for business ${businessId}: ${error.message}`);
+  }
+
+  const mappings = { columns: {}, attributes: {} };
+  for (const { question, target, field } of data || []) {
+    const group = target === 'column' ? mappings.columns : mappings.attributes;
+    group[field] = [...(group[field] || []), question];
+  }
+  return mappings;
+};
+
+/**
+ * Helper function to replace a business's form question mappings
+ * @param {number} businessId - Business ID
+ * @param {Array<{question: string, target: string, field: string}>} mappings - Question name to lead column ('column') or custom attribute ('attribute')
+ * @returns {Promise<Array|null>} The stored mappings, or null if they could not be saved
+ */
+export const saveFieldMappings = async (businessId, mappings) => {
+  try {
+    const { error: deleteError } = await supabase
+      .from('lead_field_mappings')
+      .delete()
+      .eq('business_id', businessId);
+
+    if (deleteError) {
+      console.error(`[ERROR] Failed to clear field mappings for business ${businessId}: ${deleteError.message}`);
+      return null;
+    }
+    if (!mappings.length) return [];
+
+    const { data, error } = await supabase
+      .from('lead_field_mappings')
+      .insert(mappings.map(({ question, target, field }) => ({
+        business_id: businessId,
+        question: question.trim().toLowerCase(),
+        target,
+        field,
+      })))
+      .select('question, target, field');
+
+    if (error) {
+      console.error(`[ERROR] Failed to save field mappings for business ${businessId}: ${error.message}`);
+      return null;
+    }
+    return data;
+  } catch (error) {
+    console.error(`[ERROR] Exception while saving field mappings: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Helper function to normalize a lead's phone number to E.164
+ * Numbers that cannot be parsed are kept as entered so nothing the lead typed is lost.
+ * @param {string|null} phone - Phone number as entered on the form
+ * @param {string} country - Country to assume for numbers without a country code
+ * @returns {{phone: string|null, phone_type: string|null}} The phone and its detected type
+ */
+export const normalizeLeadPhone = (phone, country = DEFAULT_PHONE_COUNTRY) => {
+  const parsed = parsePhoneNumber(phone, country);
+  if (!parsed?.valid) {
+    return { phone: phone || null, phone_type: null };
+  }
+  return { phone: parsed.e164, phone_type: parsed.type };
+};
+
+/**
+ * Helper function to turn a Graph API lead into a row for the leads table
+ * @param {object} lead - Lead from the Graph API ({ id, created_time, field_data, form_id })
+ * @param {number} businessId - Business ID to associate the lead with
+ * @param {{columns: object, attributes: object}} mappings - The business's field mappings
+ * @param {string} phoneCountry - The business's default phone country
+ * @returns {object} The formatted lead
+ */
+export const formatLead = (lead, businessId, mappings = { columns: {}, attributes: {} }, phoneCountry = DEFAULT_PHONE_COUNTRY) => {
+  const sanitizedFieldData = sanitizeFieldData(lead.field_data);
+  const fields = applyFieldMappings(sanitizedFieldData, mappings);
+  return {
+    lead_id: lead.id,
+    created_time: new Date(lead.created_time), // Ensure proper date format
+    business_id: businessId,
+    form_id: lead.form_id || null,
+    field_data: sanitizedFieldData, // Store as JSON object
+    ...fields,
+    ...normalizeLeadPhone(fields.phone, phoneCountry),
+  };
+};
+
+/**
+ * Helper function to extract the mapped lead columns and custom attributes from field_data
+ * @param {Array} fieldData - Sanitized field data
+ * @param {{columns: object, attributes: object}} mappings - The business's field mappings
+ * @returns {object} Lead columns plus custom_attributes
+ */
+export const applyFieldMappings = (fieldData, mappings) => {
+  const columns = {};
+  for (const column of LEAD_MAPPABLE_COLUMNS) {
+    columns[column] = getFieldValue(fieldData, column, mappings.columns[column] || []);
+  }
+
+  const customAttributes = {};
+  for (const [attribute, questions] of Object.entries(mappings.attributes)) {
+    const value = getFieldValue(fieldData, attribute, questions);
+    if (value !== null) customAttributes[attribute] = value;
+  }
+
+  return { ...columns, custom_attributes: customAttributes };
+};
+
+/**
+ * Helper function to turn a lead that failed validation into an invalid_leads row
+ * @param {object} lead - The formatted lead
+ * @param {Array<object>} errors - Joi validation error details
+ * @returns {object} The invalid_leads row
+ */
+const buildInvalidLeadRow = (lead, errors) => ({
+  lead_id: lead.lead_id,
+  business_id: lead.business_id,
+  form_id: lead.form_id,
+  errors: errors.map(err => err.message).join('; '),
+  field_data: lead.field_data,
+  custom_attributes: lead.custom_attributes,
+  name: lead.name,
+  phone: lead.phone,
+  email: lead.email,
+  city: lead.city,
+  status: lead.status,
+  created_time: lead.created_time,
+});
+
+/**
+ * Helper function to store leads in Supabase
+ * Leads are upserted on (business_id, lead_id), so ingesting the same lead twice is harmless.
+ * @param {Array} leads - Array of lead objects
+ * @param {string} businessId - Business ID to associate the leads with
+ * @returns {Promise<{stored: number, invalid: number, failed: number}>} Counts of stored, invalid and unsaved leads
+ */
+export const storeLeadsInSupabase = async (leads, businessId) => {
+  try {
+    if (!leads.length) {
+      console.log('[INFO] No leads to process.');
+      return { stored: 0, invalid: 0, failed: 0 };
+    }
+
+    // Prepare leads for insertion
+    const [mappings, phoneCountry] = await Promise.all([
+      fetchFieldMappings(businessId),
+      getBusinessPhoneCountry(businessId),
+    ]);
+    const formattedLeads = leads.map((lead) => formatLead(lead, businessId, mappings, phoneCountry));
+
+    // Validate each lead against the schema
+    const validatedLeads = [];
+    const invalidLeads = [];
+
+    formattedLeads.forEach((lead) => {
+      const { error, value } = leadSchema.validate(lead, { abortEarly: false });
+
+      if (error) {
+        console.error(`[ERROR] Validation failed for lead ID ${lead.lead_id}:`, error.details);
+        invalidLeads.push({ lead, errors: error.details });
+      } else {
+        validatedLeads.push(value);
+      }
+    });
+
+    // Handle invalid leads (e.g., log, notify, etc.)
+    if (invalidLeads.length > 0) {
+      console.warn(`[WARN] ${invalidLeads.length} leads failed validation and will not be inserted.`);
+      // Optionally, insert invalid leads into a separate table for review
+      const invalidFormattedLeads = invalidLeads.map(({ lead, errors }) => buildInvalidLeadRow(lead, errors));
+
+      if (invalidFormattedLeads.length > 0) {
+        const { error: insertInvalidError } = await supabase
+          .from('invalid_leads') // Ensure you have this table created
+          // Keep rows already under review so staff corrections are not overwritten by a re-sync
+          .upsert(invalidFormattedLeads, { onConflict: ['business_id', 'lead_id'], ignoreDuplicates: true });
+
+        if (insertInvalidError) {
+          console.error(`[ERROR] Failed to insert invalid leads into Supabase: ${insertInvalidError.message}`);
+        } else {
+          console.log(`[DEBUG] Successfully inserted ${invalidFormattedLeads.length} invalid leads into Supabase.`);
+        }
+      }
+    }
+
+    if (validatedLeads.length === 0) {
+      console.warn('[WARN] No valid leads to insert into Supabase.');
+      return { stored: 0, invalid: invalidLeads.length, failed: 0 };
+    }
+
+    // Insert validated leads, ignoring duplicates based on lead_id and business_id
+    const { error } = await supabase
+      .from('leads')
+      .upsert(validatedLeads, { onConflict: ['business_id', 'lead_id'] });
+
+    if (error) {
+      console.error(`[ERROR] Failed to insert leads into Supabase: ${error.message}`);
+      return { stored: 0, invalid: invalidLeads.length, failed: validatedLeads.length };
+    }
+
+    console.log(`[DEBUG] Successfully inserted ${validatedLeads.length} leads into Supabase.`);
+
+    // A lead that now validates no longer needs review
+    const { error: clearInvalidError } = await supabase
+      .from('invalid_leads')
+      .delete()
+      .eq('business_id', businessId)
+      .in('lead_id', validatedLeads.map((lead) => lead.lead_id));
+
+    if (clearInvalidError) {
+      console.error(`[ERROR] Failed to clear promoted leads from invalid_leads: ${clearInvalidError.message}`);
+    }
+
+    // Link each lead to a contact profile shared with the person's Instagram and phone records
+    for (const lead of validatedLeads) {
+      await resolveContact({
+        businessId,
+        sourceType: 'lead',
+        sourceId: lead.lead_id,
+        name: lead.name,
+        phone: lead.phone,
+        email: lead.email,
+      });
+    }
+
+    await dispatchLeadWebhooks(businessId, validatedLeads);
+
+    return { stored: validatedLeads.length, invalid: invalidLeads.length, failed: 0 };
+  } catch (error) {
+    console.error(`[ERROR] Exception while storing leads: ${error.message}`);
+    Sentry.captureException(error);
+    return { stored: 0, invalid: 0, failed: leads.length };
+  }
+};
+
+
+// Columns staff can correct on an invalid lead before resubmitting it
+export const INVALID_LEAD_EDITABLE_FIELDS = ['name', 'phone', 'email', 'city', 'status'];
+
+/**
+ * Helper function to rebuild a lead row from an invalid_leads row and validate it
+ * @param {object} invalidLead - The invalid_leads row, with any corrections applied
+ * @returns {{value: object|null, errors: Array<string>}} The validated lead, or the validation messages
+ */
+export const validateInvalidLead = (invalidLead) => {
+  const lead = {
+    lead_id: invalidLead.lead_id,
+    created_time: invalidLead.created_time,
+    business_id: invalidLead.business_id,
+    form_id: invalidLead.form_id || null,
+    field_data: invalidLead.field_data,
+    custom_attributes: invalidLead.custom_attributes || {},
+  };
+  for (const field of INVALID_LEAD_EDITABLE_FIELDS) {
+    lead[field] = invalidLead[field] ?? null;
+  }
+
+  const { error, value } = leadSchema.validate(lead, { abortEarly: false });
+  if (error) {
+    return { value: null, errors: error.details.map((detail) => detail.message) };
+  }
+  return { value, errors: [] };
+};
+
+/**
+ * Helper function to re-validate an invalid lead and, if it passes, move it into leads
+ * @param {number} businessId - Business ID
+ * @param {string} leadId - Lead ID
+ * @param {object} corrections - Corrected values for any of INVALID_LEAD_EDITABLE_FIELDS
+ * @returns {Promise<{lead: object|null, errors: Array<string>}|null>} The promoted lead, or the remaining errors; null if the invalid lead does not exist
+ * @throws {Error} If the lead cannot be read or written
+ */
+export const resubmitInvalidLead = async (businessId, leadId, corrections = {}) => {
+  const { data: invalidLead, error } = await supabase
+    .from('invalid_leads')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('lead_id', leadId)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to fetch invalid lead ${leadId}: ${error.message}`);
+  if (!invalidLead) return null;
+
+  const corrected = { ...invalidLead, ...corrections };
+  const { value, errors } = validateInvalidLead(corrected);
+  if (value) {
+    Object.assign(value, normalizeLeadPhone(value.phone, await getBusinessPhoneCountry(businessId)));
+  }
+
+  if (!value) {
+    const { error: updateError } = await supabase
+      .from('invalid_leads')
+      .update({ ...corrections, errors: errors.join('; '), updated_at: new Date().toISOString() })
+      .eq('business_id', businessId)
+      .eq('lead_id', leadId);
+
+    if (updateError) throw new Error(`Failed to update invalid lead ${leadId}: ${updateError.message}`);
+    return { lead: null, errors };
+  }
+
+  const { data: lead, error: insertError } = await supabase
+    .from('leads')
+    .upsert(value, { onConflict: ['business_id', 'lead_id'] })
+    .select()
+    .single();
+
+  if (insertError) throw new Error(`Failed to promote lead ${leadId}: ${insertError.message}`);
+
+  const { error: deleteError } = await supabase
+    .from('invalid_leads')
+    .delete()
+    .eq('business_id', businessId)
+    .eq('lead_id', leadId);
+
+  if (deleteError) {
+    console.error(`[ERROR] Promoted lead ${leadId} but failed to remove it from invalid_leads: ${deleteError.message}`);
+  }
+
+  await resolveContact({
+    businessId,
+    sourceType: 'lead',
+    sourceId: lead.lead_id,
+    name: lead.name,
+    phone: lead.phone,
+    email: lead.email,
+  });
+
+  await dispatchLeadWebhooks(businessId, [lead]);
+
+  console.log(`[INFO] Invalid lead ${leadId} corrected and promoted into leads.`);
+  return { lead, errors: [] };
+};
+
+/**
+ * Helper function to resolve a Facebook Page to the business that owns it
+ * @param {string} pageId - Facebook Page ID
+ * @returns {Promise<number|null>} Business ID or null if no business uses the page
+ */
+export const fetchBusinessIdForPage = async (pageId) => {
+  try {
+    const { data, error } = await supabase
+      .from('businesses')
+      .select('id')
+      .eq('page_id', pageId)
+      .limit(1)
+      .single();
+
+    if (error || !data) {
+      console.error(`[ERROR] Could not fetch business for Page ID ${pageId}:`, error?.message || 'No data found');
+      return null;
+    }
+    return data.id;
+  } catch (error) {
+    console.error(`[ERROR] Exception while fetching business for Page ID ${pageId}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Helper function to fetch a single lead from the Graph API
+ * @param {string} leadgenId - Leadgen (lead) ID
+ * @param {string} pageAccessToken - Page-specific access token
+ * @returns {Promise<object>} The lead ({ id, created_time, field_data, form_id })
+ * @throws {Error} If the Graph API request fails
+ */
+export const fetchLead = async (leadgenId, pageAccessToken) => {
+  const response = await fetch(
+    `https://graph.facebook.com/v17.0/${leadgenId}?fields=id,created_time,field_data,form_id&access_token=${pageAccessToken}`
+  );
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch lead ${leadgenId}: ${JSON.stringify(data.error || data)}`);
+  }
+  return data;
+};
+
+/**
+ * Ingest a lead announced by the leadgen webhook
+ * Resolves the page to its business, uses that page's own token, and stores the lead
+ * through the same normalization and validation as the bulk retrieval path.
+ * @param {object} params - Webhook change values
+ * @param {string} params.pageId - Facebook Page ID the form belongs to
+ * @param {string} params.leadgenId - Leadgen (lead) ID
+ * @param {string} [params.formId] - Leadgen form ID
+ * @returns {Promise<{businessId: number, stored: number, invalid: number}|null>} Result, or null if the page is unknown
+ * @throws {Error} If the lead cannot be fetched, so the caller can retry
+ */
+export const ingestLeadFromWebhook = async ({ pageId, leadgenId, formId = null }) => {
+  const businessId = await fetchBusinessIdForPage(pageId);
+  if (!businessId) return null;
+
+  const pageAccessToken = await getPageAccessToken(businessId, pageId);
+  if (!pageAccessToken) {
+    throw new Error(`No page access token available for Page ID ${pageId}`);
+  }
+
+  const lead = await fetchLead(leadgenId, pageAccessToken);
+  if (!Array.isArray(lead.field_data)) {
+    console.warn(`[WARN] Lead ${leadgenId} has no field_data and was skipped.`);
+    return { businessId, stored: 0, invalid: 0 };
+  }
+
+  const result = await storeLeadsInSupabase([{ ...lead, form_id: lead.form_id || formId }], businessId);
+  if (result.failed) {
+    throw new Error(`Failed to store lead ${leadgenId}`);
+  }
+  return { businessId, ...result };
+};
+
+/**
+ * Helper function to link reprocessed leads to contacts
+ * Newly mapped phone or email fields can link leads to existing contacts.
+ * @param {number} businessId - Business ID
+ * @param {Array<object>} rows - Reprocessed lead rows
+ */
+const linkReprocessedLeads = async (businessId, rows) => {
+  for (const row of rows) {
+    if (row.phone || row.email) {
+      await resolveContact({
+        businessId,
+        sourceType: 'lead',
+        sourceId: row.lead_id,
+        name: row.name,
+        phone: row.phone,
+        email: row.email,
+      });
+    }
+  }
+};
+
+/**
+ * Helper function to apply the values staff corrected on an invalid lead over its reformatted row
+ * Rows edited through the review routes carry updated_at; untouched rows take the new mapping as is.
+ * @param {object} formatted - The lead reformatted with the current field mappings
+ * @param {object} invalidLead - The stored invalid_leads row
+ * @param {string} phoneCountry - The business's default phone country
+ * @returns {object} The lead with any staff corrections applied
+ */
+const applyInvalidLeadCorrections = (formatted, invalidLead, phoneCountry) => {
+  if (!invalidLead.updated_at) return formatted;
+
+  const corrected = { ...formatted };
+  for (const field of INVALID_LEAD_EDITABLE_FIELDS) {
+    if (invalidLead[field] != null) corrected[field] = invalidLead[field];
+  }
+  if (invalidLead.phone != null) {
+    Object.assign(corrected, normalizeLeadPhone(invalidLead.phone, phoneCountry));
+  }
+  return corrected;
+};
+
+/**
+ * Helper function to re-apply field mappings to a business's invalid leads, promoting those that now validate
+ * Staff corrections are kept over the new mapping; rows that still fail stay under review.
+ * @param {number} businessId - Business ID
+ * @param {{columns: object, attributes: object}} mappings - The business's field mappings
+ * @param {string} phoneCountry - The business's default phone country
+ * @returns {Promise<number>} Number of invalid leads promoted into leads
+ * @throws {Error} If a batch cannot be read or written
+ */
+const reprocessInvalidLeads = async (businessId, mappings, phoneCountry) => {
+  let promoted = 0;
+  let lastLeadId = null;
+
+  // Promoted rows are deleted as we go, so batches are keyed on lead_id rather than offsets
+  for (;;) {
+    let query = supabase
+      .from('invalid_leads')
+      .select(`lead_id, created_time, form_id, field_data, updated_at, ${INVALID_LEAD_EDITABLE_FIELDS.join(', ')}`)
+      .eq('business_id', businessId)
+      .order('lead_id', { ascending: true })
+      .limit(REPROCESS_BATCH_SIZE);
+    if (lastLeadId !== null) query = query.gt('lead_id', lastLeadId);
+
+    const { data: invalidLeads, error } = await query;
+    if (error) {
+      throw new Error(`Failed to fetch invalid leads to reprocess for business ${businessId}: ${error.message}`);
+    }
+    if (!invalidLeads?.length) break;
+    lastLeadId = invalidLeads[invalidLeads.length - 1].lead_id;
+
+    const rows = invalidLeads
+      .filter((lead) => Array.isArray(lead.field_data))
+      .map((lead) => applyInvalidLeadCorrections(
+        formatLead({ ...lead, id: lead.lead_id }, businessId, mappings, phoneCountry),
+        lead,
+        phoneCountry
+      ))
+      .map((lead) => leadSchema.validate(lead))
+      .filter(({ error: validationError }) => !validationError)
+      .map(({ value }) => value);
+
+    if (rows.length) {
+      const { error: upsertError } = await supabase
+        .from('leads')
+        .upsert(rows, { onConflict: ['business_id', 'lead_id'] });
+
+      if (upsertError) {
+        throw new Error(`Failed to promote reprocessed invalid leads for business ${businessId}: ${upsertError.message}`);
+      }
+
+      const { error: deleteError } = await supabase
+        .from('invalid_leads')
+        .delete()
+        .eq('business_id', businessId)
+        .in('lead_id', rows.map((row) => row.lead_id));
+
+      if (deleteError) {
+        console.error(`[ERROR] Promoted reprocessed leads but failed to remove them from invalid_leads: ${deleteError.message}`);
+      }
+
+      await linkReprocessedLeads(businessId, rows);
+      await dispatchLeadWebhooks(businessId, rows);
+      promoted += rows.length;
+    }
+
+    if (invalidLeads.length < REPROCESS_BATCH_SIZE) break;
+  }
+
+  return promoted;
+};
+
+/**
+ * Re-apply a business's field mappings to every stored and invalid lead
+ * Runs as the `lead_reprocess` queue job after the mappings change; the raw field_data kept on
+ * each lead is the source, so the Graph API is not called again. Stored leads that no longer
+ * validate are left as they were and added to invalid_leads for review, and invalid leads that
+ * now validate are promoted into leads.
+ * @param {object} params - Job payload
+ * @param {number} params.businessId - Business ID
+ * @returns {Promise<{updated: number, invalid: number, promoted: number}>} Counts of updated, newly invalid and promoted leads
+ * @throws {Error} If a batch cannot be read or written, so the queue retries
+ */
+export const reprocessBusinessLeads = async ({ businessId }) => {
+  const [mappings, phoneCountry] = await Promise.all([
+    fetchFieldMappings(businessId),
+    getBusinessPhoneCountry(businessId),
+  ]);
+  let updated = 0;
+  let invalid = 0;
+
+  for (let from = 0; ; from += REPROCESS_BATCH_SIZE) {
+    const { data: leads, error } = await supabase
+      .from('leads')
+      .select('lead_id, created_time, form_id, field_data')
+      .eq('business_id', businessId)
+      .order('lead_id', { ascending: true })
+      .range(from, from + REPROCESS_BATCH_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch leads to reprocess for business ${businessId}: ${error.message}`);
+    }
+    if (!leads?.length) break;
+
+    const rows = [];
+    const invalidRows = [];
+    leads
+      .filter((lead) => Array.isArray(lead.field_data))
+      .map((lead) => formatLead({ ...lead, id: lead.lead_id }, businessId, mappings, phoneCountry))
+      .forEach((lead) => {
+        const { error: validationError, value } = leadSchema.validate(lead, { abortEarly: false });
+        if (validationError) {
+          console.warn(`[WARN] Reprocessed lead ${lead.lead_id} failed validation:`, validationError.details);
+          invalidRows.push(buildInvalidLeadRow(lead, validationError.details));
+        } else {
+          rows.push(value);
+        }
+      });
+
+    if (rows.length) {
+      const { error: upsertError } = await supabase
+        .from('leads')
+        .upsert(rows, { onConflict: ['business_id', 'lead_id'] });
+
+      if (upsertError) {
+        throw new Error(`Failed to update reprocessed leads for business ${businessId}: ${upsertError.message}`);
+      }
+      await linkReprocessedLeads(businessId, rows);
+    }
+
+    if (invalidRows.length) {
+      const { error: invalidError } = await supabase
+        .from('invalid_leads')
+        // Keep rows already under review so staff corrections are not overwritten
+        .upsert(invalidRows, { onConflict: ['business_id', 'lead_id'], ignoreDuplicates: true });
+
+      if (invalidError) {
+        throw new Error(`Failed to store invalid reprocessed leads for business ${businessId}: ${invalidError.message}`);
+      }
+    }
+
+    updated += rows.length;
+    invalid += invalidRows.length;
+    if (leads.length < REPROCESS_BATCH_SIZE) break;
+  }
+
+  const promoted = await reprocessInvalidLeads(businessId, mappings, phoneCountry);
+
+  console.log(`[INFO] Reprocessed leads for business ${businessId} with updated field mappings: ${updated} updated, ${invalid} invalid, ${promoted} promoted.`);
+  return { updated, invalid, promoted };
+};
+
+registerQueueHandler('lead_reprocess', reprocessBusinessLeads);
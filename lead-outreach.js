@@ -0,0 +1,407 @@
+// lead-outreach.js
+
+import openai from './openaiClient.js';
+import supabase from './supabaseClient.js';
+import { makeCall, getBusinessVonageNumber } from './vonage.js';
+import { sendBusinessSms } from './sms-conversations.js';
+import { fetchBusinessDetails, sendInstagramMessage, logMessage } from './helpers.js';
+import { getPageAccessToken } from './auth/refresh-token.js';
+import { NON_SMS_PHONE_TYPES } from './phone-numbers.js';
+import { fetchStoredLead, recordLeadActivity } from './lead-pipeline.js';
+import { registerQueueHandler, LOCK_TIMEOUT_MS } from './webhook-queue.js';
+
+export const OUTREACH_CHANNELS = ['instagram', 'sms', 'call'];
+
+// Outreach stays off until a business turns it on
+export const DEFAULT_OUTREACH_SETTINGS = {
+  enabled: false,
+  channels: ['instagram', 'sms', 'call'],
+  instructions: null,
+  max_lead_age_minutes: 60,
+};
+
+// Contact field each channel needs on the lead
+const CHANNEL_CONTACT_FIELD = {
+  instagram: 'instagram_id',
+  sms: 'phone',
+  call: 'phone',
+};
+
+const MAX_SMS_LENGTH = 320;
+
+// Instagram only lets a business start a DM within 24 hours of the customer's last message
+const INSTAGRAM_MESSAGING_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get a business's speed-to-lead settings.
+ * @param {number} businessId - The business ID.
+ * @returns {Promise<object>} - { enabled, channels, instructions, max_lead_age_minutes }.
+ */
+export async function getOutreachSettings(businessId) {
+  try {
+    const { data, error } = await supabase
+      .from('lead_outreach_settings')
+      .select('enabled, channels, instructions, max_lead_age_minutes')
+      .eq('business_id', businessId)
+      .maybeSingle();
+
+    if (error) {
+      console.error(`[ERROR] Failed to fetch outreach settings for business ${businessId}:`, error.message);
+      return DEFAULT_OUTREACH_SETTINGS;
+    }
+    return data ? { ...DEFAULT_OUTREACH_SETTINGS, ...data } : DEFAULT_OUTREACH_SETTINGS;
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching outreach settings:', err.message);
+    return DEFAULT_OUTREACH_SETTINGS;
+  }
+}
+
+/**
+ * Save a business's speed-to-lead settings.
+ * @param {number} businessId - The business ID.
+ * @param {object} settings - Any of { enabled, channels, instructions, max_lead_age_minutes }.
+ * @returns {Promise<object|null>} - The stored settings or null if they could not be saved.
+ */
+export async function saveOutreachSettings(businessId, settings) {
+  try {
+    const current = await getOutreachSettings(businessId);
+    const { data, error } = await supabase
+      .from('lead_outreach_settings')
+      .upsert({
+        business_id: businessId,
+        ...current,
+        ...settings,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: ['business_id'] })
+      .select('enabled, channels, instructions, max_lead_age_minutes')
+      .single();
+
+    if (error) {
+      console.error(`[ERROR] Failed to save outreach settings for business ${businessId}:`, error.message);
+      return null;
+    }
+    return data;
+  } catch (err) {
+    console.error('[ERROR] Exception while saving outreach settings:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Find the Instagram user a lead can be messaged as, through the contact profile they share.
+ * @param {number} businessId - The business ID.
+ * @param {string} leadId - The lead ID.
+ * @returns {Promise<string|null>} - The customer's Instagram ID, or null if the lead has no linked
+ *   Instagram user who messaged the business within the messaging window.
+ */
+export async function findLeadInstagramRecipient(businessId, leadId) {
+  const { data: leadLink, error: leadLinkError } = await supabase
+    .from('contact_links')
+    .select('contact_id')
+    .eq('business_id', businessId)
+    .eq('source_type', 'lead')
+    .eq('source_id', String(leadId))
+    .maybeSingle();
+
+  if (leadLinkError) throw new Error(`Failed to fetch contact link for lead ${leadId}: ${leadLinkError.message}`);
+  if (!leadLink) return null;
+
+  const { data: instagramLinks, error: instagramLinksError } = await supabase
+    .from('contact_links')
+    .select('source_id')
+    .eq('business_id', businessId)
+    .eq('contact_id', leadLink.contact_id)
+    .eq('source_type', 'instagram_user');
+
+  if (instagramLinksError) throw new Error(`Failed to fetch Instagram links for lead ${leadId}: ${instagramLinksError.message}`);
+  if (!instagramLinks?.length) return null;
+
+  const { data: lastMessages, error: messagesError } = await supabase
+    .from('instagram_conversations')
+    .select('sender_id, created_at')
+    .eq('business_id', businessId)
+    .eq('role', 'customer')
+    .in('sender_id', instagramLinks.map((link) => link.source_id))
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (messagesError) throw new Error(`Failed to fetch Instagram messages for lead ${leadId}: ${messagesError.message}`);
+  const lastMessage = lastMessages?.[0];
+  if (!lastMessage || Date.now() - new Date(lastMessage.created_at).getTime() > INSTAGRAM_MESSAGING_WINDOW_MS) {
+    return null;
+  }
+  return lastMessage.sender_id;
+}
+
+/**
+ * Pick the channels a lead can be reached on, in the business's order of preference.
+ * Phones that could not be normalized to E.164 at ingestion are skipped, and so is SMS to landlines.
+ * @param {object} lead - The stored lead, with `instagram_id` set if it can be reached by DM.
+ * @param {Array<string>} channels - Preferred channels, most preferred first.
+ * @returns {Array<string>} - Channels whose contact field the lead has filled in.
+ */
+export function pickOutreachChannels(lead, channels) {
+  return channels.filter((channel) => {
+    const field = CHANNEL_CONTACT_FIELD[channel];
+    if (!field || typeof lead[field] !== 'string' || !lead[field].trim()) return false;
+    if (field !== 'phone') return true;
+    if (!lead.phone.startsWith('+')) return false;
+    return channel !== 'sms' || !NON_SMS_PHONE_TYPES.includes(lead.phone_type);
+  });
+}
+
+/**
+ * Write a short, personalized first message for a new lead.
+ * Falls back to a plain greeting if the model is unavailable, so outreach is never held up.
+ * @param {object} business - The business row ({ name, ai_knowledge }).
+ * @param {object} lead - The stored lead.
+ * @param {string} channel - 'instagram', 'sms' or 'call'.
+ * @param {string|null} instructions - Extra guidance from the business.
+ * @returns {Promise<string>} - The message text.
+ */
+export async function generateOutreachMessage(business, lead, channel, instructions = null) {
+  const firstName = lead.name ? lead.name.split(/[\s,]+/)[0] : null;
+  const fallback = `Hi${firstName ? ` ${firstName}` : ''}, thanks for reaching out to ${business.name}! When is a good time to chat?`;
+
+  try {
+    const details = (lead.field_data || [])
+      .map((field) => `${field.name}: ${(field.values || []).join(', ')}`)
+      .join('\n');
+
+    const response = await openai.chat.completions.create({
+      model: 'gpt-4',
+      messages: [
+        {
+          role: 'system',
+          content: `You write the first message ${business.name} sends to a new lead who just filled in a form. Business-specific knowledge: ${business.ai_knowledge}. ${channel === 'call'
+            ? 'It will be read aloud on a short phone call, so write two or three spoken sentences with no links or emoji.'
+            : `It is a ${channel === 'instagram' ? 'direct message on Instagram' : 'text message'}, so keep it under ${MAX_SMS_LENGTH} characters.`} Greet them by first name if known, reference what they asked about, and invite a reply to book a time.${instructions ? ` Business instructions: ${instructions}` : ''} Reply with the message only.`,
+        },
+        { role: 'user', content: `Lead details:\nName: ${lead.name || 'unknown'}\n${details}` },
+      ],
+    });
+
+    const message = response.choices[0]?.message?.content?.trim();
+    if (!message) return fallback;
+    return channel === 'call' ? message : message.slice(0, MAX_SMS_LENGTH);
+  } catch (err) {
+    console.error('[ERROR] Failed to generate outreach message, using fallback:', err.message);
+    return fallback;
+  }
+}
+
+/**
+ * Claim a lead for outreach so retries and redelivered webhooks contact it once.
+ * Claims live in `lead_outreach`, unique on (business_id, lead_id).
+ * A 'sending' claim older than the queue's lock timeout belongs to a crashed worker and is taken over,
+ * so the lead is not left uncontacted.
+ * @param {number} businessId - The business ID.
+ * @param {string} leadId - The lead ID.
+ * @returns {Promise<boolean>} - True if this run should contact the lead.
+ * @throws {Error} - If the claim could not be stored.
+ */
+async function claimLeadOutreach(businessId, leadId) {
+  const now = new Date();
+  const { error } = await supabase
+    .from('lead_outreach')
+    .insert([{
+      business_id: businessId,
+      lead_id: leadId,
+      status: 'sending',
+      created_at: now.toISOString(),
+      claimed_at: now.toISOString(),
+    }]);
+
+  if (!error) return true;
+
+  if (error.code !== '23505') { // Anything but a unique violation
+    throw new Error(`Failed to claim outreach for lead ${leadId}: ${error.message}`);
+  }
+
+  // Only one retry wins the takeover: the update matches the stale claim it replaces
+  const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MS).toISOString();
+  const { data: takenOver, error: takeoverError } = await supabase
+    .from('lead_outreach')
+    .update({ claimed_at: now.toISOString() })
+    .eq('business_id', businessId)
+    .eq('lead_id', leadId)
+    .eq('status', 'sending')
+    .or(`claimed_at.is.null,claimed_at.lt.${staleBefore}`)
+    .select('lead_id');
+
+  if (takeoverError) {
+    throw new Error(`Failed to take over stale outreach claim for lead ${leadId}: ${takeoverError.message}`);
+  }
+  if (takenOver?.length) {
+    console.warn(`[WARN] Taking over stale outreach claim for lead ${leadId}`);
+    return true;
+  }
+
+  console.log(`[INFO] Lead ${leadId} was already contacted, skipping outreach.`);
+  return false;
+}
+
+/**
+ * Store the outcome of an outreach attempt.
+ * @param {number} businessId - The business ID.
+ * @param {string} leadId - The lead ID.
+ * @param {object} fields - Columns to set (status, channel, recipient, message, provider_id, error).
+ */
+async function updateLeadOutreach(businessId, leadId, fields) {
+  const { error } = await supabase
+    .from('lead_outreach')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('business_id', businessId)
+    .eq('lead_id', leadId);
+
+  if (error) {
+    console.error(`[ERROR] Failed to update outreach for lead ${leadId}:`, error.message);
+  }
+}
+
+/**
+ * Send an Instagram DM from the business's account and log it in the conversation thread.
+ * @param {number} businessId - The business ID.
+ * @param {string} to - The customer's Instagram ID.
+ * @param {string} message - The message text.
+ * @returns {Promise<string|null>} - The Instagram message ID.
+ * @throws {Error} - If the account is not connected or the message could not be sent.
+ */
+async function sendInstagramOutreach(businessId, to, message) {
+  const businessDetails = await fetchBusinessDetails(businessId);
+  if (!businessDetails) throw new Error(`Business ${businessId} not found`);
+
+  const pageAccessToken = await getPageAccessToken(businessId, businessDetails.page_id);
+  if (!pageAccessToken) throw new Error('Instagram account is not connected');
+
+  const result = await sendInstagramMessage(to, message, pageAccessToken, businessId, businessDetails.page_id);
+  if (!result) throw new Error('Failed to send Instagram message');
+
+  await logMessage({
+    businessId,
+    messageId: result.message_id || null,
+    senderId: businessDetails.ig_id,
+    recipientId: to,
+    message,
+    type: 'sent',
+    role: 'business',
+    igId: businessDetails.ig_id,
+    contentType: 'text',
+  });
+  return result.message_id || null;
+}
+
+/**
+ * Send one message on one channel.
+ * Texts go out from the business's own number and join its SMS thread, so the lead can simply reply.
+ * @param {string} channel - 'instagram', 'sms' or 'call'.
+ * @param {number} businessId - The business ID.
+ * @param {string} to - The lead's phone number, or Instagram ID for DMs.
+ * @param {string} message - The message text.
+ * @param {string} from - The business's Vonage number.
+ * @returns {Promise<string|null>} - The provider's message or call ID.
+ */
+async function sendOnChannel(channel, businessId, to, message, from) {
+  if (channel === 'instagram') {
+    return sendInstagramOutreach(businessId, to, message);
+  }
+  if (channel === 'call') {
+    const response = await makeCall(to, message, from);
+    return response?.uuid || null;
+  }
+  const { messageId } = await sendBusinessSms({ businessId, to, text: message });
+  return messageId;
+}
+
+/**
+ * Contact a new lead on the first channel that works.
+ * Runs as the `lead_outreach` queue job; throws on send failures so the queue retries.
+ * @param {object} params - Job payload.
+ * @param {number} params.businessId - The business ID.
+ * @param {string} params.leadId - The lead ID.
+ * @returns {Promise<object>} - { status, channel } describing what happened.
+ */
+export async function runLeadOutreach({ businessId, leadId }) {
+  const settings = await getOutreachSettings(businessId);
+  if (!settings.enabled) return { status: 'disabled' };
+
+  const lead = await fetchStoredLead(businessId, leadId);
+  if (!lead) {
+    console.warn(`[WARN] Lead ${leadId} not found for outreach.`);
+    return { status: 'missing' };
+  }
+
+  // Late deliveries and backfilled leads are too old for a "just saw your request" message
+  const ageMinutes = (Date.now() - new Date(lead.created_time).getTime()) / 60000;
+  if (ageMinutes > settings.max_lead_age_minutes) {
+    console.log(`[INFO] Lead ${leadId} is ${Math.round(ageMinutes)} minutes old, skipping outreach.`);
+    return { status: 'too_old' };
+  }
+
+  // Leads linked to an Instagram user who recently messaged the business can be reached by DM
+  if (settings.channels.includes('instagram')) {
+    lead.instagram_id = await findLeadInstagramRecipient(businessId, leadId);
+  }
+
+  if (!(await claimLeadOutreach(businessId, leadId))) return { status: 'duplicate' };
+
+  const channels = pickOutreachChannels(lead, settings.channels);
+  if (!channels.length) {
+    await updateLeadOutreach(businessId, leadId, { status: 'skipped', error: 'No contact details for the configured channels' });
+    return { status: 'skipped' };
+  }
+
+  try {
+    const [business, from] = await Promise.all([
+      supabase.from('businesses').select('name, ai_knowledge').eq('id', businessId).single(),
+      getBusinessVonageNumber(businessId),
+    ]);
+    if (business.error || !business.data) {
+      throw new Error(`Business ${businessId} not found`);
+    }
+
+    const errors = [];
+    for (const channel of channels) {
+      const to = lead[CHANNEL_CONTACT_FIELD[channel]].trim();
+      const message = await generateOutreachMessage(business.data, lead, channel, settings.instructions);
+
+      try {
+        const providerId = await sendOnChannel(channel, businessId, to, message, from || undefined);
+        await updateLeadOutreach(businessId, leadId, {
+          status: 'sent',
+          channel,
+          recipient: to,
+          message,
+          provider_id: providerId,
+          error: errors.length ? errors.join('; ') : null,
+          sent_at: new Date().toISOString(),
+        });
+        await recordLeadActivity({
+          businessId,
+          leadId,
+          type: 'outreach_sent',
+          data: { channel, to, message },
+        });
+
+        console.log(`[INFO] Reached lead ${leadId} by ${channel} in ${Math.round(ageMinutes * 60)}s.`);
+        return { status: 'sent', channel };
+      } catch (sendError) {
+        console.error(`[ERROR] Outreach by ${channel} failed for lead ${leadId}:`, sendError.message);
+        errors.push(`${channel}: ${sendError.message}`);
+      }
+    }
+
+    throw new Error(errors.join('; '));
+  } catch (err) {
+    // Drop the claim so the queue's retry can try again
+    await supabase
+      .from('lead_outreach')
+      .delete()
+      .eq('business_id', businessId)
+      .eq('lead_id', leadId)
+      .eq('status', 'sending');
+    throw err;
+  }
+}
+
+registerQueueHandler('lead_outreach', runLeadOutreach);
@@ -0,0 +1,216 @@
+// lead-pipeline.js
+
+import supabase from './supabaseClient.js';
+
+// Used until a business configures its own stages
+export const DEFAULT_PIPELINE_STAGES = [
+  { key: 'new', name: 'New', position: 0, outcome: null },
+  { key: 'contacted', name: 'Contacted', position: 1, outcome: null },
+  { key: 'qualified', name: 'Qualified', position: 2, outcome: null },
+  { key: 'appointment_booked', name: 'Appointment booked', position: 3, outcome: null },
+  { key: 'won', name: 'Won', position: 4, outcome: 'won' },
+  { key: 'lost', name: 'Lost', position: 5, outcome: 'lost' },
+];
+
+export const LEAD_ACTIVITY_TYPES = [
+  'stage_changed',
+  'owner_assigned',
+  'tags_updated',
+  'follow_up_scheduled',
+  'note',
+  'outreach_sent',
+];
+
+/**
+ * Get a business's pipeline stages in order.
+ * @param {number} businessId - The business ID.
+ * @returns {Promise<Array<object>>} - Stages ({ key, name, position, outcome }); the defaults if none are configured.
+ */
+export async function getPipelineStages(businessId) {
+  try {
+    const { data, error } = await supabase
+      .from('lead_pipeline_stages')
+      .select('key, name, position, outcome')
+      .eq('business_id', businessId)
+      .order('position', { ascending: true });
+
+    if (error) {
+      console.error(`[ERROR] Failed to fetch pipeline stages for business ${businessId}:`, error.message);
+      return DEFAULT_PIPELINE_STAGES;
+    }
+    return data?.length ? data : DEFAULT_PIPELINE_STAGES;
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching pipeline stages:', err.message);
+    return DEFAULT_PIPELINE_STAGES;
+  }
+}
+
+/**
+ * Replace a business's pipeline stages.
+ * @param {number} businessId - The business ID.
+ * @param {Array<object>} stages - Ordered stages ({ key, name, outcome }).
+ * @returns {Promise<Array<object>|null>} - The stored stages or null if they could not be saved.
+ */
+export async function savePipelineStages(businessId, stages) {
+  try {
+    const rows = stages.map((stage, position) => ({
+      business_id: businessId,
+      key: stage.key,
+      name: stage.name,
+      outcome: stage.outcome || null,
+      position,
+    }));
+
+    const { error: upsertError } = await supabase
+      .from('lead_pipeline_stages')
+      .upsert(rows, { onConflict: ['business_id', 'key'] });
+
+    if (upsertError) {
+      console.error(`[ERROR] Failed to save pipeline stages for business ${businessId}:`, upsertError.message);
+      return null;
+    }
+
+    const { error: deleteError } = await supabase
+      .from('lead_pipeline_stages')
+      .delete()
+      .eq('business_id', businessId)
+      .not('key', 'in', `(${rows.map((row) => row.key).join(',')})`);
+
+    if (deleteError) {
+      console.error(`[ERROR] Failed to remove old pipeline stages for business ${businessId}:`, deleteError.message);
+      return null;
+    }
+
+    return rows.map(({ key, name, outcome, position }) => ({ key, name, outcome, position }));
+  } catch (err) {
+    console.error('[ERROR] Exception while saving pipeline stages:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Record an event on a lead's activity timeline.
+ * @param {object} activity - The activity.
+ * @param {number} activity.businessId - The business ID.
+ * @param {string} activity.leadId - The lead ID.
+ * @param {string} activity.type - One of LEAD_ACTIVITY_TYPES.
+ * @param {number} [activity.actorId] - Business owner who made the change; null for the system.
+ * @param {object} [activity.data] - Event details, e.g. { from, to } for a stage change.
+ * @returns {Promise<object|null>} - The stored activity or null if it could not be saved.
+ */
+export async function recordLeadActivity({ businessId, leadId, type, actorId = null, data = {} }) {
+  try {
+    const { data: activity, error } = await supabase
+      .from('lead_activities')
+      .insert([{
+        business_id: businessId,
+        lead_id: leadId,
+        type,
+        actor_id: actorId,
+        data,
+        created_at: new Date().toISOString(),
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`[ERROR] Failed to record ${type} activity for lead ${leadId}:`, error.message);
+      return null;
+    }
+    return activity;
+  } catch (err) {
+    console.error('[ERROR] Exception while recording lead activity:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch a lead belonging to a business.
+ * @param {number} businessId - The business ID.
+ * @param {string} leadId - The lead ID.
+ * @returns {Promise<object|null>} - The lead or null if it does not exist.
+ */
+export async function fetchStoredLead(businessId, leadId) {
+  const { data, error } = await supabase
+    .from('leads')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('lead_id', leadId)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to fetch lead ${leadId}: ${error.message}`);
+  return data;
+}
+
+/**
+ * Update a lead's stage, owner, tags or follow-up date and record each change on its timeline.
+ * Leads that were never moved sit in the first pipeline stage.
+ * @param {number} businessId - The business ID.
+ * @param {string} leadId - The lead ID.
+ * @param {object} changes - Any of { stage, ownerId, tags, followUpAt }.
+ * @param {number} [actorId] - Business owner making the change; null for the system.
+ * @returns {Promise<object|null>} - The updated lead, or null if the lead does not exist.
+ * @throws {Error} - If the stage is unknown or the update could not be stored.
+ */
+export async function updateLead(businessId, leadId, changes, actorId = null) {
+  const lead = await fetchStoredLead(businessId, leadId);
+  if (!lead) return null;
+
+  const stages = await getPipelineStages(businessId);
+  const currentStage = lead.stage || stages[0].key;
+  const update = {};
+  const activities = [];
+
+  if (changes.stage !== undefined && changes.stage !== currentStage) {
+    if (!stages.some((stage) => stage.key === changes.stage)) {
+      throw new Error(`Unknown pipeline stage: ${changes.stage}`);
+    }
+    update.stage = changes.stage;
+    update.stage_changed_at = new Date().toISOString();
+    activities.push({ type: 'stage_changed', data: { from: currentStage, to: changes.stage } });
+  }
+
+  if (changes.ownerId !== undefined && changes.ownerId !== (lead.owner_id ?? null)) {
+    update.owner_id = changes.ownerId;
+    activities.push({ type: 'owner_assigned', data: { from: lead.owner_id ?? null, to: changes.ownerId } });
+  }
+
+  if (changes.tags !== undefined) {
+    const currentTags = lead.tags || [];
+    const tags = [...new Set(changes.tags)];
+    const added = tags.filter((tag) => !currentTags.includes(tag));
+    const removed = currentTags.filter((tag) => !tags.includes(tag));
+    if (added.length || removed.length) {
+      update.tags = tags;
+      activities.push({ type: 'tags_updated', data: { added, removed } });
+    }
+  }
+
+  if (changes.followUpAt !== undefined) {
+    const followUpAt = changes.followUpAt ? new Date(changes.followUpAt).toISOString() : null;
+    const currentFollowUp = lead.follow_up_at ? new Date(lead.follow_up_at).toISOString() : null;
+    if (followUpAt !== currentFollowUp) {
+      update.follow_up_at = followUpAt;
+      activities.push({ type: 'follow_up_scheduled', data: { from: currentFollowUp, to: followUpAt } });
+    }
+  }
+
+  if (!activities.length) return { ...lead, stage: currentStage };
+
+  const { data, error } = await supabase
+    .from('leads')
+    .update({ ...update, updated_at: new Date().toISOString() })
+    .eq('business_id', businessId)
+    .eq('lead_id', leadId)
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to update lead ${leadId}: ${error.message}`);
+
+  for (const activity of activities) {
+    await recordLeadActivity({ businessId, leadId, actorId, ...activity });
+  }
+
+  console.log(`[INFO] Lead ${leadId} updated: ${activities.map((activity) => activity.type).join(', ')}`);
+  return { ...data, stage: data.stage || stages[0].key };
+}
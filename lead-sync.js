@@ -0,0 +1,342 @@
+// lead-sync.js
+
+import fetch from 'node-fetch';
+import cron from 'node-cron';
+import * as Sentry from '@sentry/node';
+import supabase from './supabaseClient.js';
+import { storeLeadsInSupabase } from './lead-ingestion.js';
+import { fetchBusinessDetails } from './helpers.js';
+import { getPageAccessToken } from './auth/refresh-token.js';
+
+// Businesses with a sync in flight in this process, so overlapping runs don't double-fetch
+const runningSyncs = new Set();
+
+// A run still marked running after this long is assumed to have died with its instance
+const STALE_RUN_MINUTES = 30;
+
+/**
+ * Helper function to fetch leadgen forms from Facebook Graph API
+ * @param {string} pageId - Facebook Page ID
+ * @param {string} pageAccessToken - Page-specific access token
+ * @returns {Array} Array of leadgen forms
+ */
+export const fetchLeadForms = async (pageId, pageAccessToken) => {
+  let allForms = [];
+  let nextPageUrl = `https://graph.facebook.com/v14.0/${pageId}/leadgen_forms?access_token=${pageAccessToken}&limit=100`;
+
+  while (nextPageUrl) {
+    const response = await fetch(nextPageUrl);
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(`Failed to fetch leadgen forms: ${JSON.stringify(errorData)}`);
+    }
+
+    const data = await response.json();
+    allForms.push(...(data.data || []));
+
+    nextPageUrl = data.paging?.next || null;
+  }
+
+  console.log(`[DEBUG] Total fetched forms: ${allForms.length}`);
+  return allForms;
+};
+
+/**
+ * Helper function to fetch leads for a specific leadgen form
+ * @param {string} formId - Leadgen Form ID
+ * @param {string} pageAccessToken - Page-specific access token
+ * @param {string|null} since - Only fetch leads created at or after this time (ISO string); null fetches all
+ * @returns {Array} Array of leads
+ */
+export const fetchLeadsForForm = async (formId, pageAccessToken, since = null) => {
+  let allLeads = [];
+  let nextPageUrl = `https://graph.facebook.com/v14.0/${formId}/leads?access_token=${pageAccessToken}&limit=100`;
+
+  if (since) {
+    // Graph filters on whole seconds; step back one so leads sharing the watermark's second are not lost
+    const sinceSeconds = Math.floor(new Date(since).getTime() / 1000) - 1;
+    const filtering = [{ field: 'time_created', operator: 'GREATER_THAN', value: sinceSeconds }];
+    nextPageUrl += `&filtering=${encodeURIComponent(JSON.stringify(filtering))}`;
+  }
+
+  while (nextPageUrl) {
+    const response = await fetch(nextPageUrl);
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(`Failed to fetch leads for form ${formId}: ${JSON.stringify(errorData)}`);
+    }
+
+    const data = await response.json();
+    allLeads.push(...(data.data || []));
+
+    nextPageUrl = data.paging?.next || null;
+  }
+
+  console.log(`[DEBUG] Total fetched leads for form ${formId}${since ? ` since ${since}` : ''}: ${allLeads.length}`);
+  return allLeads;
+};
+
+/**
+ * Fetch the stored high-water marks for a business, keyed by form ID
+ * @param {number} businessId - Business ID
+ * @returns {Promise<Map<string, object>>} Form ID to lead_sync_state row
+ */
+const fetchSyncCursors = async (businessId) => {
+  const { data, error } = await supabase
+    .from('lead_sync_state')
+    .select('*')
+    .eq('business_id', businessId);
+
+  if (error) {
+    throw new Error(`Failed to fetch lead sync state: ${error.message}`);
+  }
+  return new Map((data || []).map((row) => [row.form_id, row]));
+};
+
+/**
+ * Store the outcome of syncing a single form, advancing its high-water mark if given
+ * @param {number} businessId - Business ID
+ * @param {object} form - Leadgen form ({ id, name })
+ * @param {object} update - Fields to store (last_created_time, last_error, leads_last_run)
+ */
+const saveSyncCursor = async (businessId, form, update) => {
+  const { error } = await supabase
+    .from('lead_sync_state')
+    .upsert({
+      business_id: businessId,
+      form_id: form.id,
+      form_name: form.name || null,
+      last_synced_at: new Date().toISOString(),
+      ...update,
+    }, { onConflict: ['business_id', 'form_id'] });
+
+  if (error) {
+    console.error(`[ERROR] Failed to save sync state for form ${form.id}: ${error.message}`);
+  }
+};
+
+/**
+ * Sync a single form: fetch leads newer than its watermark, store them, and advance the watermark
+ * The watermark only moves when every fetched lead was stored, so failures are retried next run.
+ * @param {number} businessId - Business ID
+ * @param {object} form - Leadgen form ({ id, name })
+ * @param {string} pageAccessToken - Page-specific access token
+ * @param {object|null} cursor - Stored lead_sync_state row for the form
+ * @returns {Promise<{fetched: number, stored: number, invalid: number, failed: number}>} Counts for the form
+ */
+const syncForm = async (businessId, form, pageAccessToken, cursor) => {
+  const since = cursor?.last_created_time || null;
+  const leads = await fetchLeadsForForm(form.id, pageAccessToken, since);
+
+  const validLeads = leads
+    .filter((lead) => Array.isArray(lead.field_data))
+    .map((lead) => ({ ...lead, form_id: form.id }));
+  if (validLeads.length !== leads.length) {
+    console.warn(`[WARN] ${leads.length - validLeads.length} leads from form ${form.id} have invalid field_data and were skipped.`);
+  }
+
+  const result = await storeLeadsInSupabase(validLeads, businessId);
+
+  const newest = validLeads.reduce((latest, lead) => {
+    const created = new Date(lead.created_time);
+    return !latest || created > latest ? created : latest;
+  }, since ? new Date(since) : null);
+
+  await saveSyncCursor(businessId, form, {
+    last_created_time: result.failed ? since : newest?.toISOString() || null,
+    last_error: result.failed ? `${result.failed} leads failed to store` : null,
+    leads_last_run: result.stored,
+  });
+
+  return { fetched: leads.length, ...result };
+};
+
+/**
+ * Record the start of a sync run
+ * @param {number} businessId - Business ID
+ * @param {string} trigger - What started the run ('schedule', 'manual' or 'dashboard')
+ * @returns {Promise<number|null>} Run ID, or null if the run could not be recorded
+ */
+const startSyncRun = async (businessId, trigger) => {
+  const { data, error } = await supabase
+    .from('lead_sync_runs')
+    .insert([{
+      business_id: businessId,
+      trigger,
+      status: 'running',
+      started_at: new Date().toISOString(),
+    }])
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error(`[ERROR] Failed to record lead sync run for businessId ${businessId}: ${error.message}`);
+    return null;
+  }
+  return data.id;
+};
+
+/**
+ * Record the outcome of a sync run
+ * @param {number|null} runId - Run ID from startSyncRun
+ * @param {object} stats - Final run stats
+ */
+const finishSyncRun = async (runId, stats) => {
+  if (!runId) return;
+
+  const { error } = await supabase
+    .from('lead_sync_runs')
+    .update({ ...stats, finished_at: new Date().toISOString() })
+    .eq('id', runId);
+
+  if (error) {
+    console.error(`[ERROR] Failed to update lead sync run ${runId}: ${error.message}`);
+  }
+};
+
+/**
+ * Incrementally sync a business's leads from every form on its Facebook Page
+ * @param {number} businessId - Business ID
+ * @param {object} options - Sync options
+ * @param {string} options.trigger - What started the run ('schedule', 'manual' or 'dashboard')
+ * @param {boolean} options.full - Ignore stored watermarks and refetch every lead
+ * @returns {Promise<object>} Run stats ({ status, forms_synced, forms_failed, leads_fetched, leads_stored, leads_invalid, leads_failed, error })
+ */
+export const syncBusinessLeads = async (businessId, { trigger = 'manual', full = false } = {}) => {
+  const syncKey = String(businessId);
+  if (runningSyncs.has(syncKey)) {
+    console.log(`[INFO] Lead sync already running for businessId: ${businessId}`);
+    return { status: 'skipped', error: 'A sync is already running for this business.' };
+  }
+  runningSyncs.add(syncKey);
+
+  const runId = await startSyncRun(businessId, trigger);
+  const stats = {
+    status: 'succeeded',
+    forms_synced: 0,
+    forms_failed: 0,
+    leads_fetched: 0,
+    leads_stored: 0,
+    leads_invalid: 0,
+    leads_failed: 0,
+    error: null,
+  };
+
+  try {
+    const business = await fetchBusinessDetails(businessId);
+    if (!business?.page_id) {
+      throw new Error('No Facebook Page linked to this business.');
+    }
+
+    const pageAccessToken = await getPageAccessToken(businessId, business.page_id);
+    if (!pageAccessToken) {
+      throw new Error('Page access token not found.');
+    }
+
+    const forms = await fetchLeadForms(business.page_id, pageAccessToken);
+    const cursors = full ? new Map() : await fetchSyncCursors(businessId);
+
+    for (const form of forms) {
+      try {
+        const result = await syncForm(businessId, form, pageAccessToken, cursors.get(form.id) || null);
+        stats.forms_synced += 1;
+        stats.leads_fetched += result.fetched;
+        stats.leads_stored += result.stored;
+        stats.leads_invalid += result.invalid;
+        stats.leads_failed += result.failed;
+      } catch (formError) {
+        console.error(`[ERROR] Error syncing leads for form ${form.id}: ${formError.message}`);
+        stats.forms_failed += 1;
+        await saveSyncCursor(businessId, form, { last_error: formError.message });
+        // Continue with other forms
+      }
+    }
+
+    if (stats.forms_failed || stats.leads_failed) {
+      stats.status = 'partial';
+    }
+    console.log(`[INFO] Lead sync for businessId ${businessId} finished: ${stats.leads_stored} stored, ${stats.leads_invalid} invalid, ${stats.forms_failed} forms failed.`);
+  } catch (error) {
+    console.error(`[ERROR] Lead sync failed for businessId ${businessId}: ${error.message}`);
+    Sentry.captureException(error);
+    stats.status = 'failed';
+    stats.error = error.message;
+  } finally {
+    runningSyncs.delete(syncKey);
+  }
+
+  await finishSyncRun(runId, stats);
+  return { runId, ...stats };
+};
+
+/**
+ * Get the sync status of a business: whether a run is in flight, recent runs, and per-form watermarks
+ * @param {number} businessId - Business ID
+ * @param {number} runLimit - Number of recent runs to include
+ * @returns {Promise<object|null>} { running, lastRun, recentRuns, forms } or null on failure
+ */
+export const getLeadSyncStatus = async (businessId, runLimit = 10) => {
+  try {
+    const [{ data: runs, error: runsError }, { data: forms, error: formsError }] = await Promise.all([
+      supabase
+        .from('lead_sync_runs')
+        .select('*')
+        .eq('business_id', businessId)
+        .order('started_at', { ascending: false })
+        .limit(runLimit),
+      supabase
+        .from('lead_sync_state')
+        .select('form_id, form_name, last_created_time, last_synced_at, last_error, leads_last_run')
+        .eq('business_id', businessId)
+        .order('form_name', { ascending: true }),
+    ]);
+
+    if (runsError || formsError) {
+      console.error(`[ERROR] Failed to fetch lead sync status for businessId ${businessId}:`, (runsError || formsError).message);
+      return null;
+    }
+
+    // Runs recorded as running by another instance count until they go stale
+    const lastRun = runs?.[0] || null;
+    const runningElsewhere = lastRun?.status === 'running'
+      && Date.now() - new Date(lastRun.started_at).getTime() < STALE_RUN_MINUTES * 60000;
+
+    return {
+      running: runningSyncs.has(String(businessId)) || runningElsewhere,
+      lastRun,
+      recentRuns: runs || [],
+      forms: forms || [],
+    };
+  } catch (error) {
+    console.error(`[ERROR] Exception while fetching lead sync status: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Sync leads for every business with a linked Facebook Page
+ */
+export const syncAllBusinessLeads = async () => {
+  console.log('[INFO] Starting scheduled lead sync...');
+  const { data: businesses, error } = await supabase
+    .from('businesses')
+    .select('id')
+    .not('page_id', 'is', null);
+
+  if (error) {
+    console.error('[ERROR] Failed to fetch businesses for lead sync:', error.message);
+    return;
+  }
+
+  for (const business of businesses || []) {
+    await syncBusinessLeads(business.id, { trigger: 'schedule' });
+  }
+  console.log('[INFO] Scheduled lead sync completed.');
+};
+
+if (process.env.NODE_ENV !== 'test') {
+  cron.schedule(process.env.LEAD_SYNC_SCHEDULE || '*/30 * * * *', syncAllBusinessLeads); // Runs every 30 minutes by default
+  console.log('[INFO] Lead sync scheduler initialized.');
+}
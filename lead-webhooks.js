@@ -0,0 +1,518 @@
+// lead-webhooks.js
+
+import crypto from 'crypto';
+import dns from 'dns';
+import https from 'https';
+import net from 'net';
+import express from 'express';
+import Joi from 'joi';
+import fetch from 'node-fetch';
+import supabase from './supabaseClient.js';
+import { requireBusinessAccess, parseLimit } from './helpers.js';
+import { enqueueWebhookEvent, registerQueueHandler, kickQueueWorker } from './webhook-queue.js';
+
+const router = express.Router();
+
+// Matches the queue's own attempt limit; the last failed attempt marks the delivery failed
+const MAX_DELIVERY_ATTEMPTS = 5;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const MAX_LOGGED_RESPONSE_LENGTH = 2000;
+
+// Loopback, private, link-local (including cloud metadata), shared, reserved and multicast ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const subscriptionSchema = Joi.object({
+  business_id: Joi.any(),
+  url: Joi.string().uri({ scheme: ['https'] }).max(2000).required(),
+  description: Joi.string().trim().max(200).allow(null, ''),
+});
+
+const subscriptionUpdateSchema = Joi.object({
+  business_id: Joi.any(),
+  url: Joi.string().uri({ scheme: ['https'] }).max(2000),
+  description: Joi.string().trim().max(200).allow(null, ''),
+  active: Joi.boolean(),
+}).or('url', 'description', 'active');
+
+/**
+ * Generate a signing secret for a subscription.
+ * @returns {string} - A random hex secret.
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Sign a webhook body the way receivers are told to verify it:
+ * HMAC-SHA256 of `${timestamp}.${body}` with the subscription secret.
+ * @param {string} secret - The subscription's signing secret.
+ * @param {number} timestamp - Unix time in seconds, also sent in the header.
+ * @param {string} body - The exact JSON body being sent.
+ * @returns {string} - The X-Lead-Signature header value ("t=...,v1=...").
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check whether an IP address is one webhooks may not be sent to.
+ * IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean} - True if the address is not public.
+ */
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check that a webhook URL's host resolves only to public addresses, so subscriptions cannot
+ * reach the server's own network.
+ * @param {string} url - The subscription URL.
+ * @returns {Promise<string|null>} - Why the URL is not allowed, or null if it is.
+ */
+async function checkWebhookUrl(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map((entry) => entry.address);
+    } catch (err) {
+      console.warn(`[WARN] Failed to resolve webhook host ${host}:`, err.message);
+      return `Webhook host ${host} could not be resolved`;
+    }
+  }
+  return addresses.some(isBlockedAddress) ? 'Webhook URL must point to a public address' : null;
+}
+
+/**
+ * DNS lookup for deliveries that refuses non-public addresses.
+ * The address is checked again at connect time, so a host cannot pass checkWebhookUrl and
+ * then resolve somewhere private.
+ * @param {string} hostname - Host being connected to.
+ * @param {object} options - dns.lookup options.
+ * @param {Function} callback - Called with (error, address, family).
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const entries = Array.isArray(address) ? address : [{ address }];
+    if (entries.some((entry) => isBlockedAddress(entry.address))) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a non-public address`));
+    }
+    return callback(null, address, family);
+  });
+}
+
+const deliveryAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+/**
+ * Build the JSON payload for a newly ingested lead.
+ * @param {object} lead - The stored lead.
+ * @returns {object} - The lead fields sent to subscribers.
+ */
+function buildLeadPayload(lead) {
+  return {
+    lead_id: lead.lead_id,
+    created_time: lead.created_time,
+    form_id: lead.form_id || null,
+    name: lead.name || null,
+    phone: lead.phone || null,
+    email: lead.email || null,
+    city: lead.city || null,
+    status: lead.status || null,
+    custom_attributes: lead.custom_attributes || {},
+    field_data: lead.field_data,
+  };
+}
+
+/**
+ * Queue a `lead.created` delivery to each of the business's active subscriptions.
+ * Deliveries are unique per subscription and lead, so re-ingesting a lead does not send it twice,
+ * and leads created before a subscription existed are not back-filled into it.
+ * @param {number} businessId - The business ID.
+ * @param {Array<object>} leads - Newly stored leads.
+ */
+export async function dispatchLeadWebhooks(businessId, leads) {
+  try {
+    if (!leads.length) return;
+
+    const { data: subscriptions, error } = await supabase
+      .from('lead_webhook_subscriptions')
+      .select('id, created_at')
+      .eq('business_id', businessId)
+      .eq('active', true);
+
+    if (error) {
+      console.error(`[ERROR] Failed to fetch lead webhook subscriptions for business ${businessId}:`, error.message);
+      return;
+    }
+    if (!subscriptions?.length) return;
+
+    const deliveries = subscriptions.flatMap((subscription) => leads
+      .filter((lead) => new Date(lead.created_time) >= new Date(subscription.created_at))
+      .map((lead) => ({
+        business_id: businessId,
+        subscription_id: subscription.id,
+        lead_id: lead.lead_id,
+        event: 'lead.created',
+        payload: buildLeadPayload(lead),
+        status: 'pending',
+        attempts: 0,
+        created_at: new Date().toISOString(),
+      })));
+    if (!deliveries.length) return;
+
+    const { data: inserted, error: insertError } = await supabase
+      .from('lead_webhook_deliveries')
+      .upsert(deliveries, { onConflict: ['subscription_id', 'lead_id', 'event'], ignoreDuplicates: true })
+      .select('id');
+
+    if (insertError) {
+      console.error(`[ERROR] Failed to record lead webhook deliveries for business ${businessId}:`, insertError.message);
+      return;
+    }
+
+    for (const delivery of inserted || []) {
+      await enqueueWebhookEvent('lead_webhook_delivery', { deliveryId: delivery.id });
+    }
+    if (inserted?.length) kickQueueWorker();
+  } catch (err) {
+    console.error('[ERROR] Exception while dispatching lead webhooks:', err.message);
+  }
+}
+
+/**
+ * Send one delivery to its subscription's URL and log the attempt.
+ * Runs as the `lead_webhook_delivery` queue job; throws on failure so the queue retries with backoff.
+ * @param {object} params - Job payload.
+ * @param {number} params.deliveryId - The lead_webhook_deliveries row to send.
+ */
+export async function sendLeadWebhookDelivery({ deliveryId }) {
+  const { data: delivery, error } = await supabase
+    .from('lead_webhook_deliveries')
+    .select('*, lead_webhook_subscriptions(url, secret, active)')
+    .eq('id', deliveryId)
+    .single();
+
+  if (error || !delivery) {
+    throw new Error(`Failed to fetch lead webhook delivery ${deliveryId}: ${error?.message || 'No data found'}`);
+  }
+  if (delivery.status === 'delivered') return;
+
+  const subscription = delivery.lead_webhook_subscriptions;
+  if (!subscription?.active) {
+    await supabase
+      .from('lead_webhook_deliveries')
+      .update({ status: 'cancelled', error: 'Subscription is inactive' })
+      .eq('id', deliveryId);
+    return;
+  }
+
+  const attempts = (delivery.attempts || 0) + 1;
+  const body = JSON.stringify({
+    id: String(delivery.id),
+    event: delivery.event,
+    business_id: delivery.business_id,
+    created_at: delivery.created_at,
+    data: delivery.payload,
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let responseStatus = null;
+  let responseBody = null;
+  let failure = null;
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+
+  try {
+    const urlError = await checkWebhookUrl(subscription.url);
+    if (urlError) throw new Error(urlError);
+
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Lead-Event': delivery.event,
+        'X-Lead-Delivery': String(delivery.id),
+        'X-Lead-Signature': signWebhookPayload(subscription.secret, timestamp, body),
+      },
+      body,
+      signal: controller.signal,
+      redirect: 'manual',
+      agent: deliveryAgent,
+    });
+    responseStatus = response.status;
+    responseBody = (await response.text()).slice(0, MAX_LOGGED_RESPONSE_LENGTH);
+    if (!response.ok) failure = `Endpoint responded with ${response.status}`;
+  } catch (err) {
+    failure = err.name === 'AbortError' ? `Timed out after ${DELIVERY_TIMEOUT_MS / 1000}s` : err.message;
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  const now = new Date().toISOString();
+  const giveUp = failure && attempts >= MAX_DELIVERY_ATTEMPTS;
+  const { error: updateError } = await supabase
+    .from('lead_webhook_deliveries')
+    .update({
+      status: failure ? (giveUp ? 'failed' : 'retrying') : 'delivered',
+      attempts,
+      response_status: responseStatus,
+      response_body: responseBody,
+      error: failure,
+      last_attempt_at: now,
+      delivered_at: failure ? null : now,
+    })
+    .eq('id', deliveryId);
+
+  if (updateError) {
+    console.error(`[ERROR] Failed to log lead webhook delivery ${deliveryId}:`, updateError.message);
+  }
+
+  if (failure) {
+    console.warn(`[WARN] Lead webhook delivery ${deliveryId} attempt ${attempts} failed: ${failure}`);
+    if (!giveUp) throw new Error(failure);
+    return;
+  }
+  console.log(`[INFO] Lead webhook delivery ${deliveryId} delivered on attempt ${attempts}.`);
+}
+
+registerQueueHandler('lead_webhook_delivery', sendLeadWebhookDelivery);
+
+/**
+ * Hide a subscription's secret in list responses.
+ * @param {object} subscription - The lead_webhook_subscriptions row.
+ * @returns {object} - The subscription without its secret.
+ */
+function withoutSecret({ secret, ...subscription }) {
+  return subscription;
+}
+
+/**
+ * GET /leads/webhooks?business_id=123
+ * Lists the business's outbound lead webhooks.
+ */
+router.get('/', requireBusinessAccess, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('lead_webhook_subscriptions')
+      .select('*')
+      .eq('business_id', req.businessId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch lead webhook subscriptions:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
+    return res.status(200).json({ webhooks: data.map(withoutSecret) });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching lead webhooks:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /leads/webhooks
+ * Subscribes a URL to new leads. Body: { business_id, url, description }.
+ * The signing secret is only returned here and when it is rotated.
+ */
+router.post('/', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = subscriptionSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+    const urlError = await checkWebhookUrl(value.url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+
+    const { data, error } = await supabase
+      .from('lead_webhook_subscriptions')
+      .insert([{
+        business_id: req.businessId,
+        url: value.url,
+        description: value.description || null,
+        secret: generateSecret(),
+        active: true,
+        created_at: new Date().toISOString(),
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[ERROR] Failed to create lead webhook subscription:', error.message);
+      return res.status(500).json({ error: 'Failed to create webhook' });
+    }
+    return res.status(201).json(data);
+  } catch (err) {
+    console.error('[ERROR] Exception while creating lead webhook:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PATCH /leads/webhooks/:webhookId
+ * Updates a subscription's URL or description, or pauses it with { active: false }.
+ */
+router.patch('/:webhookId', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = subscriptionUpdateSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+    const { business_id: _businessId, ...update } = value;
+    const urlError = update.url ? await checkWebhookUrl(update.url) : null;
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+
+    const { data, error } = await supabase
+      .from('lead_webhook_subscriptions')
+      .update(update)
+      .eq('business_id', req.businessId)
+      .eq('id', req.params.webhookId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ERROR] Failed to update lead webhook subscription:', error.message);
+      return res.status(500).json({ error: 'Failed to update webhook' });
+    }
+    if (!data) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    return res.status(200).json(withoutSecret(data));
+  } catch (err) {
+    console.error('[ERROR] Exception while updating lead webhook:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /leads/webhooks/:webhookId/rotate-secret
+ * Replaces the signing secret and returns the new one.
+ */
+router.post('/:webhookId/rotate-secret', requireBusinessAccess, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('lead_webhook_subscriptions')
+      .update({ secret: generateSecret() })
+      .eq('business_id', req.businessId)
+      .eq('id', req.params.webhookId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ERROR] Failed to rotate lead webhook secret:', error.message);
+      return res.status(500).json({ error: 'Failed to rotate secret' });
+    }
+    if (!data) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    return res.status(200).json(data);
+  } catch (err) {
+    console.error('[ERROR] Exception while rotating lead webhook secret:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /leads/webhooks/:webhookId
+ * Removes a subscription. Its delivery log is kept.
+ */
+router.delete('/:webhookId', requireBusinessAccess, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('lead_webhook_subscriptions')
+      .update({ active: false, deleted_at: new Date().toISOString() })
+      .eq('business_id', req.businessId)
+      .eq('id', req.params.webhookId)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ERROR] Failed to delete lead webhook subscription:', error.message);
+      return res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+    if (!data) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    return res.status(204).send();
+  } catch (err) {
+    console.error('[ERROR] Exception while deleting lead webhook:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /leads/webhooks/:webhookId/deliveries?business_id=123&status=failed&limit=50
+ * Returns the subscription's delivery log, newest first.
+ */
+router.get('/:webhookId/deliveries', requireBusinessAccess, async (req, res) => {
+  try {
+    let query = supabase
+      .from('lead_webhook_deliveries')
+      .select('id, lead_id, event, status, attempts, response_status, response_body, error, created_at, last_attempt_at, delivered_at')
+      .eq('business_id', req.businessId)
+      .eq('subscription_id', req.params.webhookId)
+      .order('created_at', { ascending: false })
+      .limit(parseLimit(req.query.limit, 50));
+
+    if (req.query.status) query = query.eq('status', req.query.status);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('[ERROR] Failed to fetch lead webhook deliveries:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch deliveries' });
+    }
+    return res.status(200).json({ deliveries: data });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching lead webhook deliveries:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /leads/webhooks/deliveries/:deliveryId/redeliver
+ * Sends a failed delivery again with a fresh set of attempts.
+ */
+router.post('/deliveries/:deliveryId/redeliver', requireBusinessAccess, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('lead_webhook_deliveries')
+      .update({ status: 'pending', attempts: 0, error: null })
+      .eq('business_id', req.businessId)
+      .eq('id', req.params.deliveryId)
+      .in('status', ['failed', 'cancelled'])
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ERROR] Failed to reset lead webhook delivery:', error.message);
+      return res.status(500).json({ error: 'Failed to redeliver' });
+    }
+    if (!data) {
+      return res.status(404).json({ error: 'No failed delivery with that ID' });
+    }
+
+    await enqueueWebhookEvent('lead_webhook_delivery', { deliveryId: data.id });
+    kickQueueWorker();
+    return res.status(202).json({ id: data.id, status: 'pending' });
+  } catch (err) {
+    console.error('[ERROR] Exception while redelivering lead webhook:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
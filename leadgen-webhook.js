@@ -1,12 +1,27 @@
 import express from "express";
-import axios from "axios";
-import supabase from "./supabaseClient.js"; // Adjust path to your Supabase client
+import { ingestLeadFromWebhook } from "./lead-ingestion.js";
+import { enqueueWebhookEvent, registerQueueHandler, kickQueueWorker } from "./webhook-queue.js";
+import "./lead-outreach.js"; // Registers the lead_outreach queue handler
 
 const router = express.Router();
 
 // Load environment variables
 const VERIFY_TOKEN = process.env.INSTAGRAM_VERIFY_TOKEN; // Webhook verify token
-const PAGE_ACCESS_TOKEN = process.env.PAGE_ACCESS_TOKEN; // Facebook Page Access Token
+
+// Leads are fetched with the page's own token and stored by the shared ingestion pipeline,
+// then handed to speed-to-lead outreach as a separate job so a failed send doesn't refetch the lead
+registerQueueHandler("leadgen", async ({ pageId, leadgenId, formId }) => {
+  const result = await ingestLeadFromWebhook({ pageId, leadgenId, formId });
+  if (!result) {
+    console.warn(`[WARN] Lead ${leadgenId} ignored: no business uses Page ID ${pageId}`);
+    return;
+  }
+
+  if (result.stored) {
+    await enqueueWebhookEvent("lead_outreach", { businessId: result.businessId, leadId: leadgenId });
+    kickQueueWorker();
+  }
+});
 
 // Webhook verification endpoint
 router.get("/", (req, res) => {
@@ -29,49 +44,23 @@ router.post("/", async (req, res) => {
 
   // Check for Facebook Page events
   if (body.object === "page") {
-    body.entry.forEach(async (entry) => {
-      const changes = entry.changes;
-
-      for (const change of changes) {
-        if (change.field === "leadgen") {
-          const leadgenId = change.value.leadgen_id;
-          const formId = change.value.form_id;
-
-          console.log(`[DEBUG] New lead received! Lead ID: ${leadgenId}, Form ID: ${formId}`);
-
-          try {
-            // Fetch lead data from Graph API
-            const response = await axios.get(
-              `https://graph.facebook.com/v17.0/${leadgenId}?access_token=${PAGE_ACCESS_TOKEN}`
-            );
-
-            const leadData = response.data;
-            console.log("[DEBUG] Lead Data fetched:", JSON.stringify(leadData, null, 2));
-
-            // Save lead data to database
-            const { data, error } = await supabase.from("leads").insert([
-              {
-                leadgen_id: leadgenId,
-                form_id: formId,
-                lead_data: leadData,
-              },
-            ]);
+    try {
+      for (const entry of body.entry || []) {
+        for (const change of entry.changes || []) {
+          if (change.field === "leadgen") {
+            const { leadgen_id: leadgenId, form_id: formId, page_id: pageId } = change.value;
 
-            if (error) {
-              console.error("[ERROR] Saving lead to database failed:", error.message);
-            } else {
-              console.log("[DEBUG] Lead saved successfully to database:", data);
-            }
-          } catch (error) {
-            console.error(
-              "[ERROR] Fetching lead data failed:",
-              error.response ? error.response.data : error.message
-            );
+            console.log(`[DEBUG] New lead received! Lead ID: ${leadgenId}, Form ID: ${formId}`);
+            await enqueueWebhookEvent("leadgen", { pageId: pageId || entry.id, leadgenId, formId });
           }
         }
       }
-    });
+    } catch (error) {
+      console.error("[ERROR] Queueing lead failed:", error.message);
+      return res.status(500).send("EVENT_NOT_STORED");
+    }
 
+    kickQueueWorker();
     res.status(200).send("EVENT_RECEIVED");
   } else {
     console.log("Unhandled webhook event:", body);
@@ -0,0 +1,661 @@
+import express from 'express';
+import Joi from 'joi';
+import supabase from './supabaseClient.js';
+import {
+  requireBusinessAccess,
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  sanitizeSearchTerm,
+  verifyBusinessOwnership,
+} from './helpers.js';
+import {
+  LEAD_ACTIVITY_TYPES,
+  getPipelineStages,
+  savePipelineStages,
+  recordLeadActivity,
+  fetchStoredLead,
+  updateLead,
+} from './lead-pipeline.js';
+import { OUTREACH_CHANNELS, getOutreachSettings, saveOutreachSettings } from './lead-outreach.js';
+import {
+  LEAD_MAPPABLE_COLUMNS,
+  INVALID_LEAD_EDITABLE_FIELDS,
+  saveFieldMappings,
+  validateInvalidLead,
+  resubmitInvalidLead,
+} from './lead-ingestion.js';
+import { enqueueWebhookEvent, kickQueueWorker } from './webhook-queue.js';
+import leadWebhooksRouter from './lead-webhooks.js';
+
+const router = express.Router();
+
+// Mounted first so /leads/webhooks is not read as a lead ID
+router.use('/webhooks', leadWebhooksRouter);
+
+const MAX_NOTE_LENGTH = 5000;
+
+const stagesSchema = Joi.object({
+  business_id: Joi.any(),
+  stages: Joi.array().items(Joi.object({
+    key: Joi.string().trim().lowercase().pattern(/^[a-z0-9_]+$/).max(40).required(),
+    name: Joi.string().trim().max(60).required(),
+    outcome: Joi.string().valid('won', 'lost').allow(null),
+  })).min(1).max(20).unique('key').required(),
+});
+
+const leadUpdateSchema = Joi.object({
+  business_id: Joi.any(),
+  stage: Joi.string().trim(),
+  owner_id: Joi.number().integer().allow(null),
+  tags: Joi.array().items(Joi.string().trim().max(40)).max(50),
+  follow_up_at: Joi.date().iso().allow(null),
+}).or('stage', 'owner_id', 'tags', 'follow_up_at');
+
+const outreachSettingsSchema = Joi.object({
+  business_id: Joi.any(),
+  enabled: Joi.boolean(),
+  channels: Joi.array().items(Joi.string().valid(...OUTREACH_CHANNELS)).min(1).unique(),
+  instructions: Joi.string().trim().max(1000).allow(null, ''),
+  max_lead_age_minutes: Joi.number().integer().min(1).max(7 * 24 * 60),
+}).or('enabled', 'channels', 'instructions', 'max_lead_age_minutes');
+
+const fieldMappingsSchema = Joi.object({
+  business_id: Joi.any(),
+  mappings: Joi.array().items(Joi.object({
+    question: Joi.string().trim().max(200).required(),
+    target: Joi.string().valid('column', 'attribute').required(),
+    field: Joi.when('target', {
+      is: 'column',
+      then: Joi.string().valid(...LEAD_MAPPABLE_COLUMNS),
+      otherwise: Joi.string().trim().lowercase().pattern(/^[a-z0-9_]+$/).max(60),
+    }).required(),
+  })).max(200).unique((a, b) => a.question.toLowerCase() === b.question.toLowerCase()).required(),
+});
+
+const invalidLeadCorrectionSchema = Joi.object({
+  business_id: Joi.any(),
+  ...Object.fromEntries(INVALID_LEAD_EDITABLE_FIELDS.map((field) => [field, Joi.string().trim().max(500).allow(null, '')])),
+});
+
+const discardSchema = Joi.object({
+  business_id: Joi.any(),
+  lead_ids: Joi.array().items(Joi.string().trim()).min(1).max(500).unique().required(),
+});
+
+const noteSchema = Joi.object({
+  business_id: Joi.any(),
+  body: Joi.string().trim().max(MAX_NOTE_LENGTH).required(),
+});
+
+/**
+ * Fetch activities for a business, newest first, optionally for one lead.
+ * @param {number} businessId - The business ID.
+ * @param {object} query - Request query ({ type, stage, since, until, limit, cursor }).
+ * @param {string} [leadId] - Only return this lead's activities.
+ * @returns {Promise<{activities: Array<object>, next_cursor: string|null}|{error: string}>} - A page of activities or a validation error.
+ */
+async function fetchActivities(businessId, query, leadId = null) {
+  const limit = parseLimit(query.limit, 50);
+  const cursor = decodeCursor(query.cursor, { createdAt: 'timestamp', id: 'id' });
+  if (query.cursor && !cursor) return { error: 'Invalid cursor' };
+  if (query.type && !LEAD_ACTIVITY_TYPES.includes(query.type)) {
+    return { error: `type must be one of: ${LEAD_ACTIVITY_TYPES.join(', ')}` };
+  }
+
+  let request = supabase
+    .from('lead_activities')
+    .select('id, lead_id, type, actor_id, data, created_at')
+    .eq('business_id', businessId)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit + 1);
+
+  if (leadId) request = request.eq('lead_id', leadId);
+  if (query.type) request = request.eq('type', query.type);
+  // Stage changes into a given stage, e.g. ?type=stage_changed&stage=won
+  if (query.stage) request = request.eq('data->>to', query.stage);
+  if (query.since) request = request.gte('created_at', query.since);
+  if (query.until) request = request.lt('created_at', query.until);
+  if (cursor) {
+    request = request.or(`created_at.lt.${cursor.createdAt},and(created_at.eq.${cursor.createdAt},id.lt.${cursor.id})`);
+  }
+
+  const { data, error } = await request;
+  if (error) throw new Error(`Failed to fetch lead activities: ${error.message}`);
+
+  const page = data.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    activities: page,
+    next_cursor: data.length > limit && last ? encodeCursor({ createdAt: last.created_at, id: last.id }) : null,
+  };
+}
+
+/**
+ * GET /leads/stages?business_id=123
+ * Returns the business's pipeline stages in order.
+ */
+router.get('/stages', requireBusinessAccess, async (req, res) => {
+  const stages = await getPipelineStages(req.businessId);
+  return res.status(200).json({ stages });
+});
+
+/**
+ * PUT /leads/stages
+ * Replaces the pipeline. Body: { business_id, stages: [{ key, name, outcome }] } in order.
+ * Stages that still hold leads cannot be removed.
+ */
+router.put('/stages', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = stagesSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const current = await getPipelineStages(req.businessId);
+    const keys = value.stages.map((stage) => stage.key);
+    const removed = current.filter((stage) => !keys.includes(stage.key)).map((stage) => stage.key);
+
+    if (removed.length) {
+      let query = supabase
+        .from('leads')
+        .select('lead_id', { count: 'exact', head: true })
+        .eq('business_id', req.businessId);
+      // Leads without a stage sit in the current first stage
+      query = removed.includes(current[0].key)
+        ? query.or(`stage.in.(${removed.join(',')}),stage.is.null`)
+        : query.in('stage', removed);
+
+      const { count, error } = await query;
+      if (error) {
+        console.error('[ERROR] Failed to count leads in removed stages:', error.message);
+        return res.status(500).json({ error: 'Failed to update pipeline stages' });
+      }
+      if (count) {
+        return res.status(409).json({
+          error: 'Stages still hold leads',
+          details: `Move ${count} leads out of ${removed.join(', ')} before removing those stages.`,
+        });
+      }
+    }
+
+    const stages = await savePipelineStages(req.businessId, value.stages);
+    if (!stages) {
+      return res.status(500).json({ error: 'Failed to update pipeline stages' });
+    }
+    return res.status(200).json({ stages });
+  } catch (err) {
+    console.error('[ERROR] Exception while updating pipeline stages:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /leads/activities?business_id=123&type=stage_changed&stage=won&since=...&until=...
+ * Returns the business-wide activity feed, newest first.
+ */
+router.get('/activities', requireBusinessAccess, async (req, res) => {
+  try {
+    const result = await fetchActivities(req.businessId, req.query);
+    if (result.error) return res.status(400).json({ error: result.error });
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching lead activities:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /leads/field-mappings?business_id=123
+ * Returns the business's form question mappings, the columns they can target,
+ * and the question names seen on recent leads.
+ */
+router.get('/field-mappings', requireBusinessAccess, async (req, res) => {
+  try {
+    const [{ data: mappings, error }, { data: recentLeads, error: leadsError }] = await Promise.all([
+      supabase
+        .from('lead_field_mappings')
+        .select('question, target, field')
+        .eq('business_id', req.businessId)
+        .order('question', { ascending: true }),
+      supabase
+        .from('leads')
+        .select('field_data')
+        .eq('business_id', req.businessId)
+        .order('created_time', { ascending: false })
+        .limit(200),
+    ]);
+
+    if (error || leadsError) {
+      console.error('[ERROR] Failed to fetch field mappings:', (error || leadsError).message);
+      return res.status(500).json({ error: 'Failed to fetch field mappings' });
+    }
+
+    const questions = [...new Set((recentLeads || [])
+      .flatMap((lead) => (Array.isArray(lead.field_data) ? lead.field_data : []))
+      .map((field) => field.name))].sort();
+
+    return res.status(200).json({ mappings, columns: LEAD_MAPPABLE_COLUMNS, questions });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching field mappings:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /leads/field-mappings
+ * Replaces the mappings. Body: { business_id, mappings: [{ question, target: 'column'|'attribute', field }] }.
+ * Existing leads are re-processed in the background with the new mappings.
+ */
+router.put('/field-mappings', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = fieldMappingsSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const mappings = await saveFieldMappings(req.businessId, value.mappings);
+    if (!mappings) {
+      return res.status(500).json({ error: 'Failed to update field mappings' });
+    }
+
+    const job = await enqueueWebhookEvent('lead_reprocess', { businessId: req.businessId });
+    kickQueueWorker();
+
+    return res.status(200).json({ mappings, reprocess_job_id: job.id });
+  } catch (err) {
+    console.error('[ERROR] Exception while updating field mappings:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /leads/outreach/settings?business_id=123
+ * Returns the speed-to-lead settings.
+ */
+router.get('/outreach/settings', requireBusinessAccess, async (req, res) => {
+  const settings = await getOutreachSettings(req.businessId);
+  return res.status(200).json(settings);
+});
+
+/**
+ * PUT /leads/outreach/settings
+ * Updates the speed-to-lead settings. Body: any of { enabled, channels, instructions, max_lead_age_minutes }.
+ * `channels` lists the channels to try, most preferred first.
+ */
+router.put('/outreach/settings', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = outreachSettingsSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const { business_id: _businessId, ...settings } = value;
+    if (settings.instructions === '') settings.instructions = null;
+
+    const saved = await saveOutreachSettings(req.businessId, settings);
+    if (!saved) {
+      return res.status(500).json({ error: 'Failed to update outreach settings' });
+    }
+    return res.status(200).json(saved);
+  } catch (err) {
+    console.error('[ERROR] Exception while updating outreach settings:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /leads/invalid?business_id=123&include_discarded=true&limit=20&cursor=...
+ * Lists leads that failed validation, newest first, with their error messages.
+ */
+router.get('/invalid', requireBusinessAccess, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor, { createdTime: 'timestamp', leadId: 'id' });
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    let query = supabase
+      .from('invalid_leads')
+      .select('*')
+      .eq('business_id', req.businessId)
+      .order('created_time', { ascending: false })
+      .order('lead_id', { ascending: false })
+      .limit(limit + 1);
+
+    if (req.query.include_discarded !== 'true') query = query.is('discarded_at', null);
+    if (cursor) {
+      query = query.or(
+        `created_time.lt.${cursor.createdTime},and(created_time.eq.${cursor.createdTime},lead_id.lt.${cursor.leadId})`
+      );
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.error(`[ERROR] Failed to fetch invalid leads for business_id=${req.businessId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch invalid leads' });
+    }
+
+    const page = data.slice(0, limit);
+    const last = page[page.length - 1];
+    return res.status(200).json({
+      invalid_leads: page,
+      next_cursor: data.length > limit && last
+        ? encodeCursor({ createdTime: last.created_time, leadId: last.lead_id })
+        : null,
+    });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching invalid leads:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /leads/invalid/discard
+ * Marks invalid leads as reviewed and not worth keeping. Body: { business_id, lead_ids }.
+ */
+router.post('/invalid/discard', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = discardSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const { data, error } = await supabase
+      .from('invalid_leads')
+      .update({ discarded_at: new Date().toISOString(), discarded_by: req.businessOwnerId })
+      .eq('business_id', req.businessId)
+      .in('lead_id', value.lead_ids)
+      .is('discarded_at', null)
+      .select('lead_id');
+
+    if (error) {
+      console.error('[ERROR] Failed to discard invalid leads:', error.message);
+      return res.status(500).json({ error: 'Failed to discard invalid leads' });
+    }
+    return res.status(200).json({ discarded: (data || []).map((row) => row.lead_id) });
+  } catch (err) {
+    console.error('[ERROR] Exception while discarding invalid leads:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PATCH /leads/invalid/:leadId
+ * Saves corrections to an invalid lead and re-checks it without promoting it.
+ * Body: any of { name, phone, email, city, status }.
+ */
+router.patch('/invalid/:leadId', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = invalidLeadCorrectionSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+    const { business_id: _businessId, ...corrections } = value;
+
+    const { data: invalidLead, error } = await supabase
+      .from('invalid_leads')
+      .select('*')
+      .eq('business_id', req.businessId)
+      .eq('lead_id', req.params.leadId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch invalid lead:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch invalid lead' });
+    }
+    if (!invalidLead) {
+      return res.status(404).json({ error: 'Invalid lead not found' });
+    }
+
+    const { errors } = validateInvalidLead({ ...invalidLead, ...corrections });
+    const { data: updated, error: updateError } = await supabase
+      .from('invalid_leads')
+      .update({ ...corrections, errors: errors.join('; '), updated_at: new Date().toISOString() })
+      .eq('business_id', req.businessId)
+      .eq('lead_id', req.params.leadId)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error('[ERROR] Failed to update invalid lead:', updateError.message);
+      return res.status(500).json({ error: 'Failed to update invalid lead' });
+    }
+    return res.status(200).json({ ...updated, valid: errors.length === 0 });
+  } catch (err) {
+    console.error('[ERROR] Exception while correcting invalid lead:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /leads/invalid/:leadId/resubmit
+ * Re-validates an invalid lead, with optional last corrections in the body, and moves it into leads if it passes.
+ */
+router.post('/invalid/:leadId/resubmit', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = invalidLeadCorrectionSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+    const { business_id: _businessId, ...corrections } = value;
+
+    const result = await resubmitInvalidLead(req.businessId, req.params.leadId, corrections);
+    if (!result) {
+      return res.status(404).json({ error: 'Invalid lead not found' });
+    }
+    if (!result.lead) {
+      return res.status(422).json({ error: 'Lead is still invalid', errors: result.errors });
+    }
+    return res.status(201).json(result.lead);
+  } catch (err) {
+    console.error('[ERROR] Exception while resubmitting invalid lead:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /leads?business_id=123&stage=new&owner_id=4&tag=vip&due_before=...&q=...&limit=20&cursor=...
+ * Lists leads, newest first. `owner_id=none` returns unassigned leads.
+ */
+router.get('/', requireBusinessAccess, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor, { createdTime: 'timestamp', leadId: 'id' });
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const stages = await getPipelineStages(req.businessId);
+    let query = supabase
+      .from('leads')
+      .select('*')
+      .eq('business_id', req.businessId)
+      .order('created_time', { ascending: false })
+      .order('lead_id', { ascending: false })
+      .limit(limit + 1);
+
+    if (req.query.stage) {
+      if (!stages.some((stage) => stage.key === req.query.stage)) {
+        return res.status(400).json({ error: `Unknown stage: ${req.query.stage}` });
+      }
+      query = req.query.stage === stages[0].key
+        ? query.or(`stage.eq.${req.query.stage},stage.is.null`)
+        : query.eq('stage', req.query.stage);
+    }
+    if (req.query.owner_id === 'none') {
+      query = query.is('owner_id', null);
+    } else if (req.query.owner_id) {
+      query = query.eq('owner_id', parseInt(req.query.owner_id, 10));
+    }
+    if (req.query.tag) query = query.contains('tags', [req.query.tag]);
+    if (req.query.due_before) query = query.lte('follow_up_at', req.query.due_before);
+
+    const term = sanitizeSearchTerm(req.query.q);
+    if (term) {
+      query = query.or(`name.ilike.%${term}%,email.ilike.%${term}%,phone.ilike.%${term}%`);
+    }
+    if (cursor) {
+      query = query.or(
+        `created_time.lt.${cursor.createdTime},and(created_time.eq.${cursor.createdTime},lead_id.lt.${cursor.leadId})`
+      );
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.error(`[ERROR] Failed to fetch leads for business_id=${req.businessId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch leads' });
+    }
+
+    const page = data.slice(0, limit).map((lead) => ({ ...lead, stage: lead.stage || stages[0].key }));
+    const last = page[page.length - 1];
+    return res.status(200).json({
+      leads: page,
+      next_cursor: data.length > limit && last
+        ? encodeCursor({ createdTime: last.created_time, leadId: last.lead_id })
+        : null,
+    });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching leads:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /leads/:leadId?business_id=123
+ * Returns one lead.
+ */
+router.get('/:leadId', requireBusinessAccess, async (req, res) => {
+  try {
+    const lead = await fetchStoredLead(req.businessId, req.params.leadId);
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const stages = await getPipelineStages(req.businessId);
+    return res.status(200).json({ ...lead, stage: lead.stage || stages[0].key });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching lead:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PATCH /leads/:leadId
+ * Moves a lead between stages, assigns it, and sets its tags or follow-up date.
+ * Body: any of { stage, owner_id, tags, follow_up_at }. Each change is added to the timeline.
+ */
+router.patch('/:leadId', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = leadUpdateSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    if (value.stage !== undefined) {
+      const stages = await getPipelineStages(req.businessId);
+      if (!stages.some((stage) => stage.key === value.stage)) {
+        return res.status(400).json({ error: `Unknown stage: ${value.stage}` });
+      }
+    }
+    // Leads can only be assigned to an owner of the same business
+    if (value.owner_id && !(await verifyBusinessOwnership(req.businessId, value.owner_id))) {
+      return res.status(400).json({ error: 'owner_id does not match an owner of this business' });
+    }
+
+    const lead = await updateLead(req.businessId, req.params.leadId, {
+      stage: value.stage,
+      ownerId: value.owner_id,
+      tags: value.tags,
+      followUpAt: value.follow_up_at,
+    }, req.businessOwnerId);
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    return res.status(200).json(lead);
+  } catch (err) {
+    console.error('[ERROR] Exception while updating lead:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /leads/:leadId/notes
+ * Adds a note to the lead's timeline. Body: { business_id, body }.
+ */
+router.post('/:leadId/notes', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = noteSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const lead = await fetchStoredLead(req.businessId, req.params.leadId);
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const note = await recordLeadActivity({
+      businessId: req.businessId,
+      leadId: lead.lead_id,
+      type: 'note',
+      actorId: req.businessOwnerId,
+      data: { body: value.body },
+    });
+
+    if (!note) {
+      return res.status(500).json({ error: 'Failed to add note' });
+    }
+    return res.status(201).json(note);
+  } catch (err) {
+    console.error('[ERROR] Exception while adding lead note:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /leads/:leadId/activities?business_id=123&type=note
+ * Returns the lead's timeline, newest first.
+ */
+router.get('/:leadId/activities', requireBusinessAccess, async (req, res) => {
+  try {
+    const result = await fetchActivities(req.businessId, req.query, req.params.leadId);
+    if (result.error) return res.status(400).json({ error: result.error });
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching lead timeline:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /leads/:leadId/outreach?business_id=123
+ * Returns the automatic first-contact attempt for the lead, if any.
+ */
+router.get('/:leadId/outreach', requireBusinessAccess, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('lead_outreach')
+      .select('status, channel, recipient, message, provider_id, error, created_at, sent_at')
+      .eq('business_id', req.businessId)
+      .eq('lead_id', req.params.leadId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch lead outreach:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch lead outreach' });
+    }
+    if (!data) {
+      return res.status(404).json({ error: 'No outreach for this lead' });
+    }
+    return res.status(200).json(data);
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching lead outreach:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
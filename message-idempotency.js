@@ -0,0 +1,85 @@
+// message-idempotency.js
+
+import supabase from './supabaseClient.js';
+import { LOCK_TIMEOUT_MS } from './webhook-queue.js';
+
+/**
+ * Claim a webhook message ID before processing it.
+ * Meta redelivers webhook events, so the first delivery to claim a message ID wins and
+ * later deliveries are short-circuited. Claims live in `processed_messages`, unique on message_id.
+ * A 'processing' claim older than the queue's lock timeout belongs to a crashed worker and is taken over,
+ * so the retried job still answers the customer.
+ * @param {string} messageId - The Instagram message ID (`message.mid`).
+ * @param {number} businessId - The business the message belongs to.
+ * @returns {Promise<boolean>} - True if this delivery should be processed, false if it is a duplicate.
+ * @throws {Error} - If the claim could not be stored; the caller should retry later.
+ */
+export async function claimMessage(messageId, businessId) {
+  const now = new Date();
+  const { error } = await supabase
+    .from('processed_messages')
+    .insert([{
+      message_id: messageId,
+      business_id: businessId,
+      status: 'processing',
+      claimed_at: now.toISOString(),
+    }]);
+
+  if (!error) return true;
+
+  if (error.code !== '23505') { // Anything but a unique violation
+    throw new Error(`Failed to claim message ${messageId}: ${error.message}`);
+  }
+
+  // Only one retry wins the takeover: the update matches the stale claim it replaces
+  const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MS).toISOString();
+  const { data: takenOver, error: takeoverError } = await supabase
+    .from('processed_messages')
+    .update({ claimed_at: now.toISOString() })
+    .eq('message_id', messageId)
+    .eq('status', 'processing')
+    .or(`claimed_at.is.null,claimed_at.lt.${staleBefore}`)
+    .select('message_id');
+
+  if (takeoverError) {
+    throw new Error(`Failed to take over stale claim on message ${messageId}: ${takeoverError.message}`);
+  }
+  if (takenOver?.length) {
+    console.warn(`[WARN] Taking over stale claim on message ID: ${messageId}`);
+    return true;
+  }
+
+  console.log(`[INFO] Skipping duplicate delivery of message ID: ${messageId}`);
+  return false;
+}
+
+/**
+ * Mark a claimed message as fully handled.
+ * @param {string} messageId - The Instagram message ID.
+ */
+export async function completeMessage(messageId) {
+  const { error } = await supabase
+    .from('processed_messages')
+    .update({ status: 'completed', completed_at: new Date().toISOString() })
+    .eq('message_id', messageId);
+
+  if (error) {
+    console.error(`[ERROR] Failed to mark message ${messageId} as completed:`, error.message);
+  }
+}
+
+/**
+ * Release a claim after a failure so a retry of the same event can process it.
+ * @param {string} messageId - The Instagram message ID.
+ */
+export async function releaseMessage(messageId) {
+  const { error } = await supabase
+    .from('processed_messages')
+    .delete()
+    .eq('message_id', messageId)
+    .eq('status', 'processing');
+
+  if (error) {
+    console.error(`[ERROR] Failed to release claim on message ${messageId}:`, error.message);
+  }
+}
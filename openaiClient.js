@@ -0,0 +1,15 @@
+import OpenAI from 'openai';
+
+const openaiApiKey = process.env.OPENAI_API_KEY;
+
+// Check for missing environment variables
+if (!openaiApiKey) {
+  console.warn('[WARN] Missing OPENAI_API_KEY. Assistant replies will fail until it is set.');
+}
+
+console.log('[DEBUG] Creating OpenAI client...');
+const openai = new OpenAI({
+  apiKey: openaiApiKey,
+});
+
+export default openai;
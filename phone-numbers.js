@@ -0,0 +1,109 @@
+// phone-numbers.js
+
+import { parsePhoneNumberFromString, isSupportedCountry, getCountryCallingCode } from 'libphonenumber-js/max';
+import supabase from './supabaseClient.js';
+
+// Country assumed for numbers written without a country code, unless the business sets its own
+export const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'US').toUpperCase();
+
+// Detected number types that cannot receive a text message
+export const NON_SMS_PHONE_TYPES = ['FIXED_LINE', 'TOLL_FREE', 'PREMIUM_RATE', 'SHARED_COST'];
+
+/**
+ * Check whether a value is a country code libphonenumber knows (ISO 3166-1 alpha-2, e.g. 'US').
+ * @param {string} country - The country code.
+ * @returns {boolean} - True if numbers can be parsed for this country.
+ */
+export function isValidPhoneCountry(country) {
+  return typeof country === 'string' && isSupportedCountry(country.toUpperCase());
+}
+
+/**
+ * Get the international calling code of a country, e.g. '1' for 'US' or '44' for 'GB'.
+ * @param {string} country - The country code.
+ * @returns {string|null} - The calling code or null if the country is unknown.
+ */
+export function getCallingCode(country) {
+  return isValidPhoneCountry(country) ? getCountryCallingCode(country.toUpperCase()) : null;
+}
+
+/**
+ * Parse a phone number written in any common format.
+ * @param {string} raw - The number as entered, e.g. "(415) 555-0100", "+44 7700 900123" or "14155550100".
+ * @param {string} [defaultCountry] - Country to assume when the number has no country code.
+ * @returns {object|null} - { e164, nationalNumber, country, type, valid } or null if it cannot be parsed.
+ *   `type` is libphonenumber's guess, e.g. 'MOBILE', 'FIXED_LINE', 'FIXED_LINE_OR_MOBILE', 'VOIP' or 'TOLL_FREE'.
+ */
+export function parsePhoneNumber(raw, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  if (raw === null || raw === undefined) return null;
+  const text = String(raw).trim();
+  if (!text) return null;
+
+  const country = isValidPhoneCountry(defaultCountry) ? defaultCountry.toUpperCase() : DEFAULT_PHONE_COUNTRY;
+  const parsed = parsePhoneNumberFromString(text, country);
+  if (!parsed) return null;
+
+  return {
+    e164: parsed.number,
+    nationalNumber: parsed.nationalNumber,
+    country: parsed.country || null,
+    type: parsed.getType() || null,
+    valid: parsed.isValid(),
+  };
+}
+
+/**
+ * Normalize a phone number to E.164 ("+14155550100").
+ * @param {string} raw - The number as entered.
+ * @param {string} [defaultCountry] - Country to assume when the number has no country code.
+ * @returns {string|null} - The E.164 number or null if it is not a valid number.
+ */
+export function toE164(raw, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  const parsed = parsePhoneNumber(raw, defaultCountry);
+  return parsed?.valid ? parsed.e164 : null;
+}
+
+/**
+ * Normalize a number Vonage sent or stores. Vonage uses full international numbers without
+ * the leading + ("14155550100"), so it is read as international rather than national.
+ * @param {string} msisdn - The number from Vonage.
+ * @returns {string|null} - The E.164 number or null if it is not a valid number.
+ */
+export function fromVonageNumber(msisdn) {
+  if (!msisdn) return null;
+  const text = String(msisdn).trim();
+  return toE164(text.startsWith('+') ? text : `+${text}`);
+}
+
+/**
+ * Format an E.164 number the way the Vonage APIs expect it (digits only, no +).
+ * @param {string} e164 - The E.164 number.
+ * @returns {string} - The Vonage-style number.
+ */
+export function toVonageNumber(e164) {
+  return String(e164).replace(/\D/g, '');
+}
+
+/**
+ * Get the country a business's local phone numbers are in.
+ * @param {number} businessId - The business ID.
+ * @returns {Promise<string>} - The business's phone_country, or DEFAULT_PHONE_COUNTRY.
+ */
+export async function getBusinessPhoneCountry(businessId) {
+  try {
+    const { data, error } = await supabase
+      .from('businesses')
+      .select('phone_country')
+      .eq('id', businessId)
+      .maybeSingle();
+
+    if (error) {
+      console.error(`[ERROR] Failed to fetch phone country for business ${businessId}:`, error.message);
+      return DEFAULT_PHONE_COUNTRY;
+    }
+    return isValidPhoneCountry(data?.phone_country) ? data.phone_country.toUpperCase() : DEFAULT_PHONE_COUNTRY;
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching phone country:', err.message);
+    return DEFAULT_PHONE_COUNTRY;
+  }
+}
@@ -1,10 +1,13 @@
 // retrieve-leads.js
 
-import Joi from 'joi';
-import fetch from 'node-fetch';
 import express from 'express';
+import Joi from 'joi';
 import supabase from './supabaseClient.js'; // Ensure supabaseClient.js is correctly configured
 import * as Sentry from '@sentry/node';
+import { syncBusinessLeads, getLeadSyncStatus } from './lead-sync.js';
+import { requireBusinessAccess } from './helpers.js';
+import { EXPORT_FORMATS, streamLeadsExport } from './lead-export.js';
+import { getPipelineStages } from './lead-pipeline.js';
 
 Sentry.init({
   dsn: process.env.SENTRY_DSN, // Ensure this is set in your environment variables
@@ -13,418 +16,110 @@ Sentry.init({
 
 const router = express.Router();
 
-/**
- * Define the Joi schema for a lead
- */
-const leadSchema = Joi.object({
-  lead_id: Joi.string().required(),
-  created_time: Joi.date().required(),
-  business_id: Joi.number().required(),
-  field_data: Joi.array().items(
-    Joi.object({
-      name: Joi.string().required(),
-      values: Joi.array().items(Joi.string()).required(),
-    })
-  ).required(),
-  name: Joi.string().optional().allow(null, ''),
-  phone: Joi.string().optional().allow(null, ''),
-  email: Joi.string().email().optional().allow(null, ''),
-  city: Joi.string().optional().allow(null, ''),
-  status: Joi.string().optional().allow(null, ''),
-  // Add other fields as necessary
+const exportQuerySchema = Joi.object({
+  business_id: Joi.any(),
+  format: Joi.string().valid(...EXPORT_FORMATS).default('csv'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  form_id: Joi.string().trim(),
+  stage: Joi.string().trim(),
 });
 
 /**
- * Mapping of desired field keys to actual field names in field_data
- * Ensure this mapping includes all possible variations used in your Facebook Leadgen forms
- */
-const FIELD_NAME_MAPPING = {
-  name: [
-    'name',
-    'full name',
-    'fullname',
-    'contact name',
-    'contactfullname',
-    'contact_fullname',
-    'fullName',
-    'FullName',
-    'Full Name',
-    'full_name', // Added variation
-  ],
-  phone: [
-    'phone',
-    'phone number',
-    'telephone',
-    'contact number',
-    'contactphone',
-    'phonenumber',
-    'mobile number', // Added variation
-    'phone_number', // Added variation
-    'user_provided_phone_number', // Added variation
-  ],
-  email: [
-    'email',
-    'email address',
-    'contact email',
-    'EmailAddress',
-    'Email Address',
-  ],
-  city: [
-    'city',
-    'town',
-    'location',
-    'City',
-    'Town',
-    'Location',
-  ],
-  status: [
-    'status',
-    'lead status',
-    'lead_status',
-    'Status',
-    'Lead Status',
-    'Lead_Status',
-  ],
-};
-
-/**
- * Helper function to sanitize field_data
- * Ensures that each field has a 'name' and 'values' as an array
- * Normalizes field names by trimming and converting to lowercase
- * @param {Array} fieldData - Array of field data objects
- * @returns {Array} Sanitized field data
- */
-const sanitizeFieldData = (fieldData) => {
-  return fieldData.map((field) => ({
-    name: field.name ? field.name.trim().toLowerCase() : 'unnamed_field',
-    values: Array.isArray(field.values)
-      ? field.values.map(value => value.trim())
-      : [field.values ? field.values.trim() : 'no_value'],
-  }));
-};
-
-/**
- * Helper function to extract specific fields from field_data based on mappings
- * and deduplicate values if necessary.
- * @param {Array} fieldData - Array of field data objects
- * @param {string} fieldKey - The key of the field to extract (e.g., 'name', 'phone')
- * @returns {string|null} - The extracted field value or null if not found
- */
-const getFieldValue = (fieldData, fieldKey) => {
-  const possibleNames = FIELD_NAME_MAPPING[fieldKey.toLowerCase()] || [fieldKey.toLowerCase()];
-  
-  // Filter fields that match the possible names (case-insensitive)
-  const matchingFields = fieldData.filter(item =>
-    possibleNames.includes(item.name.trim().toLowerCase())
-  );
-
-  if (matchingFields.length > 0) {
-    // Extract all values from matching fields
-    const allValues = matchingFields.flatMap(field =>
-      Array.isArray(field.values) ? field.values.map(val => val.trim()) : [field.values ? field.values.trim() : '']
-    );
-
-    // Deduplicate the values
-    const uniqueValues = [...new Set(allValues)];
-
-    // Join the unique values into a single string
-    const combinedValues = uniqueValues.join(', ');
-
-    console.log(`[DEBUG] Extracted ${fieldKey}: ${combinedValues}`);
-    return combinedValues;
-  }
-
-  // Log the entire field_data for debugging purposes
-  console.log(`[DEBUG] ${fieldKey} not found in field_data. Possible names: ${possibleNames.join(', ')}`);
-  console.log(`[DEBUG] Current field_data: ${JSON.stringify(fieldData, null, 2)}`);
-  return null;
-};
-
-/**
- * Helper function to fetch leadgen forms from Facebook Graph API
- * @param {string} pageId - Facebook Page ID
- * @param {string} pageAccessToken - Page-specific access token
- * @returns {Array} Array of leadgen forms
+ * GET /retrieve-leads
+ * Syncs leads created since the last run, then returns the business's stored leads
+ * Requires businessOwnerId and businessId from cookies
  */
-const fetchLeadForms = async (pageId, pageAccessToken) => {
-  let allForms = [];
-  let nextPageUrl = `https://graph.facebook.com/v14.0/${pageId}/leadgen_forms?access_token=${pageAccessToken}&limit=100`;
+router.get('/', Sentry.Handlers.requestHandler(), requireBusinessAccess, async (req, res) => {
+  try {
+    const { businessId } = req;
 
-  while (nextPageUrl) {
-    const response = await fetch(nextPageUrl);
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`Failed to fetch leadgen forms: ${JSON.stringify(errorData)}`);
+    // 1. Pull only leads newer than each form's high-water mark
+    const sync = await syncBusinessLeads(businessId, { trigger: 'dashboard' });
+    if (sync.status === 'failed') {
+      console.warn(`[WARN] Lead sync failed for businessId ${businessId}, returning stored leads: ${sync.error}`);
     }
 
-    const data = await response.json();
-    allForms.push(...(data.data || []));
-
-    nextPageUrl = data.paging?.next || null;
-  }
-
-  console.log(`[DEBUG] Total fetched forms: ${allForms.length}`);
-  return allForms;
-};
-
-/**
- * Helper function to fetch leads for a specific leadgen form
- * @param {string} formId - Leadgen Form ID
- * @param {string} pageAccessToken - Page-specific access token
- * @returns {Array} Array of leads
- */
-const fetchLeadsForForm = async (formId, pageAccessToken) => {
-  let allLeads = [];
-  let nextPageUrl = `https://graph.facebook.com/v14.0/${formId}/leads?access_token=${pageAccessToken}&limit=100`;
+    // 2. Fetch and return the leads to frontend
+    const { data: leads, error } = await supabase
+      .from('leads')
+      .select('*')
+      .eq('business_id', businessId)
+      .order('created_time', { ascending: false });
 
-  while (nextPageUrl) {
-    const response = await fetch(nextPageUrl);
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`Failed to fetch leads for form ${formId}: ${JSON.stringify(errorData)}`);
+    if (error) {
+      console.error(`[ERROR] Failed to fetch leads for businessId: ${businessId}: ${error.message}`);
+      return res.status(500).json({ error: 'Failed to fetch leads.' });
     }
 
-    const data = await response.json();
-    allLeads.push(...(data.data || []));
-
-    nextPageUrl = data.paging?.next || null;
+    return res.status(200).json({ leads, sync });
+  } catch (error) {
+    console.error(`[ERROR] Failed to retrieve leads: ${error.message}`);
+    Sentry.captureException(error);
+    return res.status(500).json({ error: 'Internal server error.' });
   }
-
-  console.log(`[DEBUG] Total fetched leads for form ${formId}: ${allLeads.length}`);
-  return allLeads;
-};
+});
 
 /**
- * Helper function to fetch all leads for a page by fetching all active forms and their leads
- * @param {string} pageId - Facebook Page ID
- * @param {string} pageAccessToken - Page-specific access token
- * @returns {Array} Array of all leads
+ * GET /retrieve-leads/sync
+ * Returns whether a sync is running, the last run's stats, recent runs and per-form watermarks
  */
-const fetchAllLeadsForPage = async (pageId, pageAccessToken) => {
-  try {
-    const forms = await fetchLeadForms(pageId, pageAccessToken);
-    const allLeads = [];
-
-    for (const form of forms) {
-      // Optionally, include all forms or filter based on criteria
-      console.log(`[DEBUG] Fetching leads for form: ${form.name} (ID: ${form.id})`);
-      try {
-        const leads = await fetchLeadsForForm(form.id, pageAccessToken);
-        // Filter out leads without valid field_data
-        const validLeads = leads.filter(lead => Array.isArray(lead.field_data));
-        if (validLeads.length !== leads.length) {
-          console.warn(`[WARN] ${leads.length - validLeads.length} leads from form ${form.id} have invalid field_data and were skipped.`);
-        }
-        allLeads.push(...validLeads);
-      } catch (formError) {
-        console.error(`[ERROR] Error fetching leads for form ${form.id}: ${formError.message}`);
-        // Continue with other forms
-      }
-    }
-
-    return allLeads;
-  } catch (error) {
-    console.error(`[ERROR] Failed to fetch all leads for page ${pageId}: ${error.message}`);
-    throw error;
+router.get('/sync', requireBusinessAccess, async (req, res) => {
+  const status = await getLeadSyncStatus(req.businessId);
+  if (!status) {
+    return res.status(500).json({ error: 'Failed to fetch lead sync status.' });
   }
-};
+  return res.status(200).json(status);
+});
 
 /**
- * Optional: Validate the page access token using Facebook's debug_token endpoint
- * @param {string} pageAccessToken - Page access token to validate
- * @returns {boolean} Whether the token is valid
+ * POST /retrieve-leads/sync
+ * Runs a sync now. Pass { full: true } to ignore the watermarks and refetch every lead.
  */
-const validatePageToken = async (pageAccessToken) => {
-  try {
-    const appId = process.env.FACEBOOK_APP_ID;
-    const appSecret = process.env.FACEBOOK_APP_SECRET;
-
-    if (!appId || !appSecret) {
-      console.warn('[WARN] Missing FACEBOOK_APP_ID or FACEBOOK_APP_SECRET for token validation.');
-      return true; // Skip validation if missing
-    }
-
-    const response = await fetch(
-      `https://graph.facebook.com/debug_token?input_token=${pageAccessToken}&access_token=${appId}|${appSecret}`
-    );
-    const data = await response.json();
-    console.log('[DEBUG] Page Token Validation Response:', data);
+router.post('/sync', requireBusinessAccess, async (req, res) => {
+  const full = req.body?.full === true;
+  const sync = await syncBusinessLeads(req.businessId, { trigger: 'manual', full });
 
-    if (data.data && data.data.is_valid) {
-      return true;
-    } else {
-      console.error('[ERROR] Page token is invalid or expired:', data);
-      return false;
-    }
-  } catch (error) {
-    console.error(`[ERROR] Failed to validate page token: ${error.message}`);
-    return false;
+  if (sync.status === 'skipped') {
+    return res.status(409).json(sync);
   }
-};
+  return res.status(sync.status === 'failed' ? 502 : 200).json(sync);
+});
 
 /**
- * Helper function to store leads in Supabase
- * @param {Array} leads - Array of lead objects
- * @param {string} businessId - Business ID to associate the leads with
- * @returns {void}
+ * GET /retrieve-leads/export?format=csv|xlsx&from=...&to=...&form_id=...&stage=...
+ * Streams the business's stored leads as a CSV or XLSX download, oldest first
  */
-const storeLeadsInSupabase = async (leads, businessId) => {
-  try {
-    if (!leads.length) {
-      console.log('[INFO] No leads to process.');
-      return;
-    }
-
-    // Prepare leads for insertion
-    const formattedLeads = leads.map((lead) => {
-      const sanitizedFieldData = sanitizeFieldData(lead.field_data);
-
-      return {
-        lead_id: lead.id,
-        created_time: new Date(lead.created_time), // Ensure proper date format
-        business_id: businessId,
-        field_data: sanitizedFieldData, // Store as JSON object
-        name: getFieldValue(sanitizedFieldData, 'name'),
-        phone: getFieldValue(sanitizedFieldData, 'phone'),
-        email: getFieldValue(sanitizedFieldData, 'email'),
-        city: getFieldValue(sanitizedFieldData, 'city'),
-        status: getFieldValue(sanitizedFieldData, 'status'),
-        // Add other fields as necessary
-      };
-    });
-
-    // Validate each lead against the schema
-    const validatedLeads = [];
-    const invalidLeads = [];
-
-    formattedLeads.forEach((lead) => {
-      const { error, value } = leadSchema.validate(lead, { abortEarly: false });
-
-      if (error) {
-        console.error(`[ERROR] Validation failed for lead ID ${lead.lead_id}:`, error.details);
-        invalidLeads.push({ lead, errors: error.details });
-      } else {
-        validatedLeads.push(value);
-      }
-    });
-
-    // Handle invalid leads (e.g., log, notify, etc.)
-    if (invalidLeads.length > 0) {
-      console.warn(`[WARN] ${invalidLeads.length} leads failed validation and will not be inserted.`);
-      // Optionally, insert invalid leads into a separate table for review
-      const invalidFormattedLeads = invalidLeads.map(({ lead, errors }) => ({
-        lead_id: lead.lead_id,
-        business_id: lead.business_id,
-        errors: errors.map(err => err.message).join('; '),
-        field_data: lead.field_data,
-        name: lead.name,
-        phone: lead.phone,
-        email: lead.email,
-        city: lead.city,
-        status: lead.status,
-        created_time: lead.created_time,
-        // Include other relevant fields as needed
-      }));
-
-      if (invalidFormattedLeads.length > 0) {
-        const { error: insertInvalidError } = await supabase
-          .from('invalid_leads') // Ensure you have this table created
-          .insert(invalidFormattedLeads);
-
-        if (insertInvalidError) {
-          console.error(`[ERROR] Failed to insert invalid leads into Supabase: ${insertInvalidError.message}`);
-        } else {
-          console.log(`[DEBUG] Successfully inserted ${invalidFormattedLeads.length} invalid leads into Supabase.`);
-        }
-      }
-    }
-
-    if (validatedLeads.length === 0) {
-      console.warn('[WARN] No valid leads to insert into Supabase.');
-      return;
-    }
-
-    // Insert validated leads, ignoring duplicates based on lead_id and business_id
-    const { error } = await supabase
-      .from('leads')
-      .upsert(validatedLeads, { onConflict: ['business_id', 'lead_id'] });
-
-    if (error) {
-      console.error(`[ERROR] Failed to insert leads into Supabase: ${error.message}`);
-    } else {
-      console.log(`[DEBUG] Successfully inserted ${validatedLeads.length} leads into Supabase.`);
-    }
-  } catch (error) {
-    console.error(`[ERROR] Exception while storing leads: ${error.message}`);
-    Sentry.captureException(error);
+router.get('/export', requireBusinessAccess, async (req, res) => {
+  const { error: validationError, value: query } = exportQuerySchema.validate(req.query);
+  if (validationError) {
+    return res.status(400).json({ error: validationError.details[0].message });
   }
-};
 
-/**
- * GET /retrieve-leads
- * Fetches leads from Facebook using stored page access tokens and stores them in Supabase
- * Requires businessOwnerId and businessId from cookies
- */
-router.get('/', Sentry.Handlers.requestHandler(), async (req, res) => {
   try {
-    const { businessOwnerId, businessId } = req.cookies;
-
-    console.log('[DEBUG] Parsed Cookies:', { businessOwnerId, businessId });
-
-    if (!businessOwnerId || !businessId) {
-      console.error('[ERROR] Missing businessOwnerId or businessId in cookies.');
-      return res.status(400).json({ error: 'Missing businessOwnerId or businessId in cookies.' });
-    }
-
-    // 1. Retrieve the page access token and page ID from 'page_access_tokens' table
-    const { data: pageRow, error: pageRowError } = await supabase
-      .from('page_access_tokens')
-      .select('page_id, page_access_token')
-      .eq('business_owner_id', userId)
-      .eq('business_id', businessId)
-      .single();
-
-    if (pageRowError || !pageRow) {
-      console.error(`[ERROR] Page access token not found for businessOwnerId: ${businessOwnerId}, businessId: ${businessId}. Error: ${pageRowError?.message}`);
-      return res.status(404).json({ error: 'Page access token not found.' });
-    }
-
-    const { page_id: pageId, page_access_token: pageAccessToken } = pageRow;
-    console.log('[DEBUG] Retrieved Page Token:', { pageId, pageAccessToken });
-
-    // 2. (Optional) Validate the page access token
-    const isValid = await validatePageToken(pageAccessToken);
-    if (!isValid) {
-      console.error('[ERROR] Invalid or expired page access token.');
-      return res.status(403).json({ error: 'Invalid or expired page access token.' });
-    }
-
-    // 3. Fetch all leads for the page
-    const leads = await fetchAllLeadsForPage(pageId, pageAccessToken);
-    console.log(`[DEBUG] Retrieved ${leads.length} leads for businessId: ${businessId}`);
-
-    // 4. Store leads in Supabase
-    await storeLeadsInSupabase(leads, businessId);
-
-    // 5. Fetch and return the leads to frontend
-    const { data: insertedLeads, error: insertError } = await supabase
-      .from('leads')
-      .select('*')
-      .eq('business_id', businessId)
-      .order('created_time', { ascending: false });
-
-    if (insertError) {
-      console.error(`[ERROR] Failed to fetch inserted leads for businessId: ${businessId}: ${insertError.message}`);
-      return res.status(500).json({ error: 'Failed to fetch leads after insertion.' });
+    if (query.stage) {
+      const stages = await getPipelineStages(req.businessId);
+      if (!stages.some((stage) => stage.key === query.stage)) {
+        return res.status(400).json({ error: `Unknown stage: ${query.stage}` });
+      }
     }
 
-    return res.status(200).json({ leads: insertedLeads });
+    const count = await streamLeadsExport(res, req.businessId, {
+      format: query.format,
+      filters: {
+        from: query.from?.toISOString(),
+        to: query.to?.toISOString(),
+        formId: query.form_id,
+        stage: query.stage,
+      },
+    });
+    console.log(`[INFO] Exported ${count} leads as ${query.format} for businessId: ${req.businessId}`);
   } catch (error) {
-    console.error(`[ERROR] Failed to retrieve leads: ${error.message}`);
+    console.error(`[ERROR] Failed to export leads: ${error.message}`);
     Sentry.captureException(error);
-    return res.status(500).json({ error: 'Internal server error.' });
+    // Once the download has started the status can't change, so cut the response short instead
+    if (res.headersSent) return res.destroy(error);
+    return res.status(500).json({ error: 'Failed to export leads.' });
   }
 });
 
@@ -0,0 +1,613 @@
+// sms-conversations.js
+
+import express from 'express';
+import Joi from 'joi';
+import supabase from './supabaseClient.js';
+import { assistantHandler } from './assistant.js';
+import { sendSMS, getBusinessVonageNumber, findVonageNumber } from './vonage.js';
+import { resolveContact } from './contact-identity.js';
+import { claimMessage, completeMessage, releaseMessage } from './message-idempotency.js';
+import { getConversationState, pauseForHumanReply } from './conversation-state.js';
+import { registerQueueHandler } from './webhook-queue.js';
+import { fromVonageNumber, getBusinessPhoneCountry, toE164 } from './phone-numbers.js';
+import { requireBusinessAccess, encodeCursor, decodeCursor, parseLimit } from './helpers.js';
+
+const router = express.Router();
+
+// Earlier messages in the thread given to the assistant
+const SMS_HISTORY_LIMIT = 20;
+const MAX_SMS_LENGTH = 1600;
+// Unread texts read per inbox page; counts beyond this are not exact
+const UNREAD_SCAN_LIMIT = 1000;
+
+// Parts of one long SMS arrive within seconds; Vonage reuses concat-ref values, so older parts belong to another message
+const CONCAT_PART_WINDOW_MS = 60 * 60 * 1000;
+
+// Delivery receipt statuses that are final
+const FINAL_SMS_STATUSES = ['delivered', 'expired', 'failed', 'rejected'];
+
+const smsReplySchema = Joi.object({
+  business_id: Joi.any(),
+  text: Joi.string().trim().max(MAX_SMS_LENGTH).required(),
+});
+
+/**
+ * Build an error the API can report with a specific status code.
+ * @param {string} message - The error message.
+ * @param {number} status - HTTP status for the response.
+ * @returns {Error} - Error with a `status` property.
+ */
+function smsError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Update the per-phone thread summary used by the SMS inbox.
+ * @param {number} businessId - The business ID.
+ * @param {string} contactPhone - The customer's number (E.164).
+ * @param {string} message - The latest message text.
+ * @param {string} role - Who sent the latest message ('customer', 'assistant' or 'business').
+ */
+async function touchSmsThread(businessId, contactPhone, message, role) {
+  const { error } = await supabase
+    .from('sms_threads')
+    .upsert({
+      business_id: businessId,
+      contact_phone: contactPhone,
+      last_message_at: new Date().toISOString(),
+      last_message_preview: message.slice(0, 200),
+      last_message_role: role,
+    }, { onConflict: ['business_id', 'contact_phone'] });
+
+  if (error) {
+    console.error('[ERROR] Failed to update SMS thread:', error.message);
+  }
+}
+
+/**
+ * Log an SMS in the business's thread with a customer.
+ * @param {object} params - The message.
+ * @param {number} params.businessId - The business ID.
+ * @param {string} params.contactPhone - The customer's number (E.164).
+ * @param {string} params.businessNumber - The business's Vonage number (E.164).
+ * @param {string} params.direction - 'inbound' or 'outbound'.
+ * @param {string} params.role - 'customer', 'assistant' or 'business'.
+ * @param {string} params.message - The message text.
+ * @param {string} [params.messageId] - Vonage message ID.
+ * @param {string} [params.status] - 'received' for inbound, 'submitted' for outbound until a receipt arrives.
+ * @param {number} [params.sentBy] - Business owner who sent a manual reply.
+ */
+export async function logSmsMessage({
+  businessId,
+  contactPhone,
+  businessNumber,
+  direction,
+  role,
+  message,
+  messageId = null,
+  status = direction === 'inbound' ? 'received' : 'submitted',
+  sentBy = null,
+}) {
+  const row = {
+    business_id: businessId,
+    message_id: messageId,
+    contact_phone: contactPhone,
+    business_number: businessNumber,
+    direction,
+    role,
+    message,
+    status,
+    sent_by: sentBy,
+  };
+
+  const query = supabase.from('sms_messages');
+  const { error } = messageId
+    ? await query.upsert([row], { onConflict: ['message_id'], ignoreDuplicates: true })
+    : await query.insert([row]);
+
+  if (error) {
+    console.error('[ERROR] Failed to log SMS message:', error.message);
+    return;
+  }
+  await touchSmsThread(businessId, contactPhone, message, role);
+}
+
+/**
+ * Send an SMS from the business's own Vonage number and log it in the thread.
+ * @param {object} params - The message.
+ * @param {number} params.businessId - The business ID.
+ * @param {string} params.to - The customer's number (E.164).
+ * @param {string} params.text - The message text.
+ * @param {string} [params.role] - 'assistant' for automated messages, 'business' for staff.
+ * @param {string} [params.from] - Number to send from, e.g. the number the customer texted; defaults to the business's number.
+ * @param {number} [params.sentBy] - Business owner who sent a manual reply.
+ * @returns {Promise<{messageId: string|null, from: string}>} - The Vonage message ID and the number used.
+ * @throws {Error} - If the business has no number or Vonage rejects the message.
+ */
+export async function sendBusinessSms({ businessId, to, text, role = 'assistant', from = null, sentBy = null }) {
+  const businessNumber = from || fromVonageNumber(await getBusinessVonageNumber(businessId));
+  if (!businessNumber) {
+    throw smsError(`Business ${businessId} has no Vonage number to send SMS from`, 409);
+  }
+
+  const response = await sendSMS(to, text, businessNumber);
+  const result = response?.messages?.[0];
+  if (result?.status && result.status !== '0') {
+    throw smsError(result['error-text'] || result.errorText || `SMS rejected with status ${result.status}`, 502);
+  }
+
+  const messageId = result?.messageId || result?.['message-id'] || null;
+  await logSmsMessage({
+    businessId,
+    contactPhone: to,
+    businessNumber,
+    direction: 'outbound',
+    role,
+    message: text,
+    messageId,
+    sentBy,
+  });
+  return { messageId, from: businessNumber };
+}
+
+/**
+ * Load the latest messages of an SMS thread as chat messages for the assistant.
+ * @param {number} businessId - The business ID.
+ * @param {string} contactPhone - The customer's number (E.164).
+ * @returns {Promise<Array<{role: string, content: string}>>} - Messages, oldest first.
+ */
+async function fetchSmsHistory(businessId, contactPhone) {
+  const { data, error } = await supabase
+    .from('sms_messages')
+    .select('role, message')
+    .eq('business_id', businessId)
+    .eq('contact_phone', contactPhone)
+    .order('created_at', { ascending: false })
+    .limit(SMS_HISTORY_LIMIT);
+
+  if (error) {
+    console.error('[ERROR] Failed to fetch SMS history:', error.message);
+    return [];
+  }
+
+  return (data || []).reverse().map((row) => ({
+    role: row.role === 'customer' ? 'user' : 'assistant',
+    content: row.message,
+  }));
+}
+
+/**
+ * Collect one part of a long inbound SMS that Vonage delivered in pieces.
+ * Parts are stored by their own message ID and matched on concat-ref within CONCAT_PART_WINDOW_MS,
+ * since concat-ref values are reused.
+ * @param {number} businessId - The business ID.
+ * @param {string} sender - The customer's number (E.164).
+ * @param {object} sms - The inbound webhook payload.
+ * @returns {Promise<{text: string, messageIds: Array<string>}|null>} - The full text and its parts' message IDs
+ *   once every part has arrived, otherwise null.
+ * @throws {Error} - If the part cannot be stored, so the queue retries.
+ */
+async function collectConcatenatedPart(businessId, sender, sms) {
+  const ref = String(sms['concat-ref']);
+  const total = parseInt(sms['concat-total'], 10);
+  const windowStart = new Date(Date.now() - CONCAT_PART_WINDOW_MS).toISOString();
+
+  // Parts of an earlier message with the same ref that never completed
+  const { error: cleanupError } = await supabase
+    .from('sms_inbound_parts')
+    .delete()
+    .eq('business_id', businessId)
+    .eq('sender', sender)
+    .eq('concat_ref', ref)
+    .lt('received_at', windowStart);
+
+  if (cleanupError) {
+    console.error('[ERROR] Failed to remove expired SMS parts:', cleanupError.message);
+  }
+
+  const { error } = await supabase
+    .from('sms_inbound_parts')
+    .upsert([{
+      message_id: sms.messageId || sms['message-id'],
+      business_id: businessId,
+      sender,
+      concat_ref: ref,
+      part: parseInt(sms['concat-part'], 10),
+      total,
+      text: sms.text || '',
+      received_at: new Date().toISOString(),
+    }], { onConflict: ['message_id'], ignoreDuplicates: true });
+
+  if (error) throw new Error(`Failed to store SMS part: ${error.message}`);
+
+  const { data: parts, error: fetchError } = await supabase
+    .from('sms_inbound_parts')
+    .select('message_id, part, text')
+    .eq('business_id', businessId)
+    .eq('sender', sender)
+    .eq('concat_ref', ref)
+    .eq('total', total)
+    .gte('received_at', windowStart)
+    .order('part', { ascending: true })
+    .order('received_at', { ascending: false });
+
+  if (fetchError) throw new Error(`Failed to fetch SMS parts: ${fetchError.message}`);
+
+  // Take the newest copy of each part number
+  const byPart = new Map();
+  for (const part of parts || []) {
+    if (!byPart.has(part.part)) byPart.set(part.part, part);
+  }
+  const ordered = Array.from({ length: total }, (_, index) => byPart.get(index + 1));
+  if (ordered.some((part) => !part)) return null;
+
+  return {
+    text: ordered.map((part) => part.text).join(''),
+    messageIds: ordered.map((part) => part.message_id),
+  };
+}
+
+/**
+ * Remove the stored parts of a long SMS once it has been handled.
+ * @param {number} businessId - The business ID.
+ * @param {Array<string>} messageIds - The parts' message IDs.
+ */
+async function deleteConcatenatedParts(businessId, messageIds) {
+  const { error } = await supabase
+    .from('sms_inbound_parts')
+    .delete()
+    .eq('business_id', businessId)
+    .in('message_id', messageIds);
+
+  if (error) {
+    console.error('[ERROR] Failed to remove reassembled SMS parts:', error.message);
+  }
+}
+
+/**
+ * Handle an inbound SMS: log it, link the sender to a contact, and reply with the assistant.
+ * Runs as the `inbound_sms` queue job; unexpected errors are rethrown so the event is retried.
+ * @param {object} sms - Vonage inbound SMS payload (msisdn, to, messageId, text, concat fields).
+ */
+export async function processInboundSms(sms) {
+  let claimedMessageId = null;
+  try {
+    const from = fromVonageNumber(sms.msisdn);
+    const to = fromVonageNumber(sms.to);
+    if (!from || !to) {
+      console.warn('[WARN] Inbound SMS with an invalid sender or recipient:', { msisdn: sms.msisdn, to: sms.to });
+      return;
+    }
+
+    const businessId = (await findVonageNumber(to))?.business_id;
+    if (!businessId) {
+      console.error('[ERROR] No business owns the SMS number:', to);
+      return;
+    }
+
+    let text = sms.text || '';
+    let messageId = sms.messageId || sms['message-id'] || null;
+    let partIds = null;
+    if (String(sms.concat) === 'true') {
+      const message = await collectConcatenatedPart(businessId, from, sms);
+      if (!message) return;
+      // Whichever part completes the message handles it, once
+      ({ text, messageIds: partIds } = message);
+      messageId = `concat:${businessId}:${[...partIds].sort().join(',')}`;
+    }
+
+    if (!text.trim()) {
+      console.log('[INFO] Ignoring empty SMS.');
+      return;
+    }
+
+    // Vonage retries webhooks it did not see acknowledged
+    if (messageId) {
+      if (!(await claimMessage(messageId, businessId))) return;
+      claimedMessageId = messageId;
+    }
+
+    const history = await fetchSmsHistory(businessId, from);
+    await logSmsMessage({
+      businessId,
+      contactPhone: from,
+      businessNumber: to,
+      direction: 'inbound',
+      role: 'customer',
+      message: text,
+      messageId,
+    });
+    await resolveContact({ businessId, sourceType: 'caller', sourceId: from, phone: from });
+
+    // Leave threads that staff have taken over (or paused) to the humans
+    const conversationState = await getConversationState(businessId, from);
+    if (conversationState.mode !== 'bot') {
+      console.log(`[INFO] SMS thread with ${from} is in ${conversationState.mode} mode; not replying.`);
+      if (claimedMessageId) await completeMessage(claimedMessageId);
+      if (partIds) await deleteConcatenatedParts(businessId, partIds);
+      return;
+    }
+
+    const assistantResponse = await assistantHandler({
+      userMessage: text,
+      businessId,
+      platform: 'sms',
+      contactPhone: from,
+      history,
+    });
+
+    if (assistantResponse?.message) {
+      await sendBusinessSms({ businessId, to: from, text: assistantResponse.message, from: to });
+    } else {
+      console.error(`[ERROR] assistantHandler did not return a valid SMS reply for businessId=${businessId}`);
+    }
+
+    if (claimedMessageId) await completeMessage(claimedMessageId);
+    if (partIds) await deleteConcatenatedParts(businessId, partIds);
+  } catch (err) {
+    console.error('[ERROR] Failed to process inbound SMS:', err.message);
+    if (claimedMessageId) await releaseMessage(claimedMessageId);
+    throw err;
+  }
+}
+
+registerQueueHandler('inbound_sms', processInboundSms);
+
+/**
+ * Apply a Vonage delivery receipt to the logged outbound message.
+ * @param {object} receipt - Vonage delivery receipt payload (messageId, status, err-code, ...).
+ * @returns {Promise<boolean>} - True if a logged message was updated.
+ */
+export async function recordSmsDeliveryReceipt(receipt) {
+  const messageId = receipt.messageId || receipt['message-id'];
+  const status = String(receipt.status || '').toLowerCase();
+  if (!messageId || !status) {
+    console.warn('[WARN] Delivery receipt without a message ID or status:', receipt);
+    return false;
+  }
+
+  const now = new Date().toISOString();
+  const errorCode = receipt['err-code'] ?? receipt.errCode;
+  const fields = {
+    status,
+    error_code: errorCode && String(errorCode) !== '0' ? String(errorCode) : null,
+    status_updated_at: now,
+  };
+  if (status === 'delivered') fields.delivered_at = now;
+
+  let query = supabase
+    .from('sms_messages')
+    .update(fields)
+    .eq('message_id', messageId)
+    .eq('direction', 'outbound');
+  // Receipts can arrive out of order; an intermediate status must not undo a final one
+  if (!FINAL_SMS_STATUSES.includes(status)) {
+    query = query.not('status', 'in', `(${FINAL_SMS_STATUSES.join(',')})`);
+  }
+
+  const { data, error } = await query.select('id');
+  if (error) {
+    console.error(`[ERROR] Failed to record delivery receipt for SMS ${messageId}:`, error.message);
+    return false;
+  }
+  return Boolean(data?.length);
+}
+
+/**
+ * Parse an SMS thread's phone number from the URL.
+ * @param {object} req - Express request with a :phone param.
+ * @returns {Promise<string|null>} - The number in E.164 or null if it is not valid.
+ */
+async function parseThreadPhone(req) {
+  return toE164(req.params.phone, await getBusinessPhoneCountry(req.businessId));
+}
+
+/**
+ * Count customer texts a business has not read yet, for a page of threads in one query.
+ * @param {number} businessId - The business ID.
+ * @param {Array<object>} threads - Thread rows with contact_phone and last_read_at.
+ * @returns {Promise<Map<string, number>>} - Unread message count per phone number.
+ */
+async function countUnreadSms(businessId, threads) {
+  const counts = new Map(threads.map((thread) => [thread.contact_phone, 0]));
+  if (!threads.length) return counts;
+
+  const filters = threads.map((thread) => (thread.last_read_at
+    ? `and(contact_phone.eq.${thread.contact_phone},created_at.gt.${thread.last_read_at})`
+    : `contact_phone.eq.${thread.contact_phone}`));
+
+  const { data, error } = await supabase
+    .from('sms_messages')
+    .select('contact_phone')
+    .eq('business_id', businessId)
+    .eq('direction', 'inbound')
+    .or(filters.join(','))
+    .limit(UNREAD_SCAN_LIMIT);
+
+  if (error) {
+    console.error(`[ERROR] Failed to count unread SMS for business_id=${businessId}:`, error.message);
+    return counts;
+  }
+  for (const row of data) {
+    counts.set(row.contact_phone, (counts.get(row.contact_phone) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * GET /conversations/sms?business_id=123&limit=20&cursor=...
+ * Lists SMS threads, most recent first, with a last-message preview and unread count.
+ */
+router.get('/', requireBusinessAccess, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor, { lastMessageAt: 'timestamp', contactPhone: 'phone' });
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    let query = supabase
+      .from('sms_threads')
+      .select('contact_phone, last_message_at, last_message_preview, last_message_role, last_read_at')
+      .eq('business_id', req.businessId)
+      .order('last_message_at', { ascending: false })
+      .order('contact_phone', { ascending: false })
+      .limit(limit + 1);
+
+    if (cursor) {
+      query = query.or(
+        `last_message_at.lt.${cursor.lastMessageAt},and(last_message_at.eq.${cursor.lastMessageAt},contact_phone.lt.${cursor.contactPhone})`
+      );
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.error(`[ERROR] Failed to fetch SMS threads for business_id=${req.businessId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch SMS conversations' });
+    }
+
+    const page = data.slice(0, limit);
+    const unreadCounts = await countUnreadSms(req.businessId, page);
+    const threads = page.map((thread) => ({
+      contact_phone: thread.contact_phone,
+      last_message: {
+        text: thread.last_message_preview,
+        role: thread.last_message_role,
+        created_at: thread.last_message_at,
+      },
+      unread_count: unreadCounts.get(thread.contact_phone) || 0,
+    }));
+
+    const last = page[page.length - 1];
+    return res.status(200).json({
+      threads,
+      next_cursor: data.length > limit && last
+        ? encodeCursor({ lastMessageAt: last.last_message_at, contactPhone: last.contact_phone })
+        : null,
+    });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching SMS conversations:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /conversations/sms/:phone/messages?business_id=123&limit=50&cursor=...
+ * Returns one SMS thread's messages with delivery status, newest first.
+ */
+router.get('/:phone/messages', requireBusinessAccess, async (req, res) => {
+  try {
+    const contactPhone = await parseThreadPhone(req);
+    if (!contactPhone) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor, { createdAt: 'timestamp', id: 'id' });
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    let query = supabase
+      .from('sms_messages')
+      .select('id, message_id, direction, role, message, status, error_code, sent_by, created_at, delivered_at')
+      .eq('business_id', req.businessId)
+      .eq('contact_phone', contactPhone)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    if (cursor) {
+      query = query.or(`created_at.lt.${cursor.createdAt},and(created_at.eq.${cursor.createdAt},id.lt.${cursor.id})`);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.error(`[ERROR] Failed to fetch SMS messages for ${contactPhone}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch messages' });
+    }
+
+    const messages = data.slice(0, limit);
+    const last = messages[messages.length - 1];
+    return res.status(200).json({
+      contact_phone: contactPhone,
+      messages,
+      next_cursor: data.length > limit && last ? encodeCursor({ createdAt: last.created_at, id: last.id }) : null,
+    });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching SMS thread messages:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /conversations/sms/:phone/read
+ * Marks every message in the SMS thread as read.
+ */
+router.post('/:phone/read', requireBusinessAccess, async (req, res) => {
+  try {
+    const contactPhone = await parseThreadPhone(req);
+    if (!contactPhone) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+
+    const readAt = new Date().toISOString();
+    const { error } = await supabase
+      .from('sms_threads')
+      .update({ last_read_at: readAt })
+      .eq('business_id', req.businessId)
+      .eq('contact_phone', contactPhone);
+
+    if (error) {
+      console.error('[ERROR] Failed to mark SMS thread as read:', error.message);
+      return res.status(500).json({ error: 'Failed to mark conversation as read' });
+    }
+    return res.status(200).json({ contact_phone: contactPhone, last_read_at: readAt });
+  } catch (err) {
+    console.error('[ERROR] Exception while marking SMS thread as read:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /conversations/sms/:phone/messages
+ * Sends a manual SMS from the dashboard inbox. Body: { business_id, text }.
+ * The bot is paused for the thread so it does not talk over staff.
+ */
+router.post('/:phone/messages', requireBusinessAccess, async (req, res) => {
+  try {
+    const contactPhone = await parseThreadPhone(req);
+    if (!contactPhone) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+    const { error: validationError, value } = smsReplySchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const { messageId, from } = await sendBusinessSms({
+      businessId: req.businessId,
+      to: contactPhone,
+      text: value.text,
+      role: 'business',
+      sentBy: req.businessOwnerId,
+    });
+    await pauseForHumanReply(req.businessId, contactPhone, 'Staff replied by SMS');
+
+    return res.status(200).json({
+      status: 'submitted',
+      message_id: messageId,
+      from,
+      to: contactPhone,
+      text: value.text,
+      role: 'business',
+      sent_at: new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error('[ERROR] Exception while sending manual SMS:', err.message);
+    return res.status(err.status || 500).json({ error: err.status ? err.message : 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,70 @@
+// sms-webhook.js
+
+import express from 'express';
+import { enqueueWebhookEvent, kickQueueWorker } from './webhook-queue.js';
+import { recordSmsDeliveryReceipt } from './sms-conversations.js';
+import { isValidVonageSmsSignature } from './vonage-signatures.js';
+
+const router = express.Router();
+
+// Vonage can post webhooks as form data instead of JSON
+router.use(express.urlencoded({ extended: false }));
+
+/**
+ * Read a Vonage SMS webhook, which is sent as a GET query or a POST body depending on account settings.
+ * @param {object} req - Express request.
+ * @returns {object} - The webhook fields.
+ */
+const readWebhookParams = (req) => ({ ...req.query, ...(req.body || {}) });
+
+/**
+ * Inbound SMS webhook.
+ * The message is persisted to the queue and acknowledged at once; the queue worker replies.
+ * Requests must carry a valid Vonage signature (signed webhooks enabled on the account).
+ * GET|POST /sms-webhook/inbound
+ */
+router.all('/inbound', async (req, res) => {
+  try {
+    const sms = readWebhookParams(req);
+    if (!sms.msisdn || !sms.to) {
+      // Vonage checks the URL with an empty request when it is configured
+      return res.status(200).send('OK');
+    }
+    if (!isValidVonageSmsSignature(sms)) {
+      return res.status(403).send('Invalid signature');
+    }
+
+    await enqueueWebhookEvent('inbound_sms', sms);
+    kickQueueWorker();
+    return res.status(200).send('EVENT_RECEIVED');
+  } catch (err) {
+    console.error('[ERROR] Failed to queue inbound SMS:', err.message);
+    // A non-2xx response makes Vonage retry the delivery
+    return res.status(500).send('EVENT_NOT_STORED');
+  }
+});
+
+/**
+ * Delivery receipt webhook for SMS sent from business numbers.
+ * GET|POST /sms-webhook/status
+ */
+router.all('/status', async (req, res) => {
+  try {
+    const receipt = readWebhookParams(req);
+    if (receipt.messageId || receipt['message-id']) {
+      if (!isValidVonageSmsSignature(receipt)) {
+        return res.status(403).send('Invalid signature');
+      }
+      const updated = await recordSmsDeliveryReceipt(receipt);
+      if (!updated) {
+        console.log(`[DEBUG] No pending SMS matched delivery receipt ${receipt.messageId || receipt['message-id']}.`);
+      }
+    }
+    return res.status(200).send('OK');
+  } catch (err) {
+    console.error('[ERROR] Failed to record SMS delivery receipt:', err.message);
+    return res.status(500).send('Failed');
+  }
+});
+
+export default router;
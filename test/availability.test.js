@@ -0,0 +1,81 @@
+// test/availability.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The Supabase client is created on import; the slot generator never uses it
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-service-role-key';
+
+const { generateSlots, getAvailableSlots, isValidDurationMinutes } = await import('../availability.js');
+
+const TIME_ZONE = 'America/New_York';
+
+function makeSettings(overrides = {}) {
+  return {
+    timeZone: TIME_ZONE,
+    businessHours: { mon: [{ open: '09:00', close: '11:00' }] },
+    closedDates: new Set(),
+    bufferMinutes: 0,
+    ...overrides,
+  };
+}
+
+// Monday 2030-06-03, 09:00-11:00 in New York (UTC-4)
+const range = {
+  rangeStart: new Date('2030-06-03T13:00:00Z'),
+  rangeEnd: new Date('2030-06-03T15:00:00Z'),
+  outputTimeZone: TIME_ZONE,
+  limit: 20,
+};
+
+test('slots fill the opening hours back to back', () => {
+  const slots = generateSlots(makeSettings(), { ...range, busy: [], durationMinutes: 30 });
+
+  assert.deepEqual(slots.map((slot) => slot.start), [
+    '2030-06-03T09:00:00-04:00',
+    '2030-06-03T09:30:00-04:00',
+    '2030-06-03T10:00:00-04:00',
+    '2030-06-03T10:30:00-04:00',
+  ]);
+  assert.equal(slots[0].end, '2030-06-03T09:30:00-04:00');
+});
+
+test('busy intervals and their buffer block slots', () => {
+  const busy = [{
+    start: new Date('2030-06-03T14:00:00Z').getTime(),
+    end: new Date('2030-06-03T14:30:00Z').getTime(),
+  }];
+
+  const slots = generateSlots(makeSettings({ bufferMinutes: 15 }), { ...range, busy, durationMinutes: 30 });
+
+  // Slots step by 45 minutes; 09:45 ends within 15 minutes of the 10:00 booking
+  assert.deepEqual(slots.map((slot) => slot.start), ['2030-06-03T09:00:00-04:00']);
+});
+
+test('closed dates and the limit are respected', () => {
+  assert.deepEqual(
+    generateSlots(makeSettings({ closedDates: new Set(['2030-06-03']) }), { ...range, busy: [], durationMinutes: 30 }),
+    []
+  );
+  assert.equal(generateSlots(makeSettings(), { ...range, busy: [], durationMinutes: 30, limit: 2 }).length, 2);
+});
+
+test('appointment lengths outside 5-480 whole minutes are rejected', () => {
+  for (const minutes of [-30, 0, 4, 12.5, 481, NaN, '30']) {
+    assert.equal(isValidDurationMinutes(minutes), false, `${minutes} should be invalid`);
+    assert.throws(
+      () => generateSlots(makeSettings(), { ...range, busy: [], durationMinutes: minutes }),
+      (err) => err.status === 400
+    );
+  }
+  assert.equal(isValidDurationMinutes(5), true);
+  assert.equal(isValidDurationMinutes(480), true);
+});
+
+test('getAvailableSlots rejects a bad duration before loading anything', async () => {
+  await assert.rejects(
+    getAvailableSlots(1, { from: range.rangeStart, to: range.rangeEnd, durationMinutes: -30 }),
+    (err) => err.status === 400
+  );
+});
@@ -0,0 +1,64 @@
+// test/call-flows.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Clients are created on import; the helpers below never use them
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-service-role-key';
+process.env.OPENAI_API_KEY ||= 'test-openai-key';
+
+const { isOpenAt, findCallFlowProblem, DEFAULT_CALL_FLOW } = await import('../call-flows.js');
+
+const TIME_ZONE = 'America/New_York';
+const HOURS = {
+  mon: [{ open: '09:00', close: '12:00' }, { open: '13:00', close: '17:00' }],
+};
+
+test('a schedule is open inside its windows, in its own time zone', () => {
+  // Monday 2030-06-03; New York is UTC-4
+  assert.equal(isOpenAt(HOURS, new Set(), TIME_ZONE, new Date('2030-06-03T13:00:00Z')), true); // 09:00
+  assert.equal(isOpenAt(HOURS, new Set(), TIME_ZONE, new Date('2030-06-03T20:59:00Z')), true); // 16:59
+});
+
+test('a schedule is closed between windows, at closing time, on other days and on closed dates', () => {
+  assert.equal(isOpenAt(HOURS, new Set(), TIME_ZONE, new Date('2030-06-03T16:30:00Z')), false); // 12:30, lunch
+  assert.equal(isOpenAt(HOURS, new Set(), TIME_ZONE, new Date('2030-06-03T21:00:00Z')), false); // 17:00
+  assert.equal(isOpenAt(HOURS, new Set(), TIME_ZONE, new Date('2030-06-04T14:00:00Z')), false); // Tuesday
+  assert.equal(isOpenAt(HOURS, new Set(['2030-06-03']), TIME_ZONE, new Date('2030-06-03T14:00:00Z')), false);
+  assert.equal(isOpenAt(null, new Set(), TIME_ZONE, new Date('2030-06-03T14:00:00Z')), false);
+});
+
+test('the default flow and a complete flow have no problems', () => {
+  assert.equal(findCallFlowProblem(DEFAULT_CALL_FLOW), null);
+  assert.equal(findCallFlowProblem({
+    ...DEFAULT_CALL_FLOW,
+    enabled: true,
+    open_action: { type: 'menu', menu: 'main' },
+    menus: {
+      main: { prompt: 'Press 1 for sales.', options: { 1: { type: 'ring_group', group: 'sales' } } },
+    },
+    ring_groups: { sales: { numbers: ['+14155550123'], fallback: { type: 'voicemail' } } },
+  }), null);
+});
+
+test('a flow pointing at a missing menu or ring group is reported with where it happens', () => {
+  assert.equal(
+    findCallFlowProblem({ ...DEFAULT_CALL_FLOW, closed_action: { type: 'menu', menu: 'after_hours' } }),
+    'closed_action uses menu "after_hours", which does not exist'
+  );
+  assert.equal(
+    findCallFlowProblem({
+      ...DEFAULT_CALL_FLOW,
+      menus: { main: { prompt: 'Press 2 for support.', options: { 2: { type: 'ring_group', group: 'support' } } } },
+    }),
+    'menus.main.options.2 uses ring group "support", which does not exist'
+  );
+});
+
+test('a flow with its own schedule needs hours', () => {
+  assert.equal(
+    findCallFlowProblem({ ...DEFAULT_CALL_FLOW, schedule: { use_business_hours: false, hours: null, closed_dates: [] } }),
+    'schedule.hours is required when use_business_hours is false'
+  );
+});
@@ -0,0 +1,53 @@
+// test/call-logs.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Clients are created on import; the helpers below never use them
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-service-role-key';
+process.env.OPENAI_API_KEY ||= 'test-openai-key';
+
+const { renderTextbackTemplate, decideCallOutcome } = await import('../call-logs.js');
+
+const noTurnCount = async () => {
+  throw new Error('caller turns should not be counted');
+};
+
+test('text-back templates fill in the business and caller', () => {
+  assert.equal(
+    renderTextbackTemplate('Hi {caller}, sorry {business} missed you. {business} will call back.', {
+      business: 'Acme Dental',
+      caller: '+14155550123',
+    }),
+    'Hi +14155550123, sorry Acme Dental missed you. Acme Dental will call back.'
+  );
+});
+
+test('text-back templates fall back when values are missing and stay within the length limit', () => {
+  assert.equal(renderTextbackTemplate('  Sorry {caller}we missed you, {business} ', {}), 'Sorry we missed you, us');
+  assert.equal(renderTextbackTemplate('x'.repeat(1000), { business: 'Acme' }).length, 480);
+});
+
+test('unanswered calls that ended busy or unanswered are missed', async () => {
+  for (const status of ['busy', 'unanswered', 'timeout']) {
+    assert.equal(await decideCallOutcome({ call_uuid: 'call-1' }, status, { countTurns: noTurnCount }), 'missed');
+  }
+});
+
+test('outcomes set during the call are kept, and an unfinished transfer is abandoned', async () => {
+  const answered = { call_uuid: 'call-1', answered_at: '2030-06-03T13:00:00+00:00' };
+
+  assert.equal(await decideCallOutcome({ ...answered, outcome: 'voicemail' }, 'completed', { countTurns: noTurnCount }), 'voicemail');
+  assert.equal(await decideCallOutcome({ ...answered, outcome: 'transferring' }, 'completed', { countTurns: noTurnCount }), 'abandoned');
+  // An answered call keeps its outcome even if the leg later reports a failure status
+  assert.equal(await decideCallOutcome({ ...answered, outcome: 'transferred' }, 'failed', { countTurns: noTurnCount }), 'transferred');
+});
+
+test('answered calls are completed if the caller spoke and abandoned if they did not', async () => {
+  const answered = { call_uuid: 'call-1', answered_at: '2030-06-03T13:00:00+00:00', outcome: null };
+
+  assert.equal(await decideCallOutcome(answered, 'completed', { countTurns: async () => 3 }), 'completed');
+  assert.equal(await decideCallOutcome(answered, 'completed', { countTurns: async () => 0 }), 'abandoned');
+  assert.equal(await decideCallOutcome(answered, 'completed', { countTurns: async () => null }), 'completed');
+});
@@ -0,0 +1,58 @@
+// test/lead-export.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The Supabase client is created on import; the row builder never uses it
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-service-role-key';
+
+const { buildExportRow } = await import('../lead-export.js');
+
+const lead = {
+  lead_id: '1001',
+  created_time: '2030-06-03T13:00:00+00:00',
+  form_id: null,
+  stage: null,
+  name: '=HYPERLINK("http://evil.example","click")',
+  phone: '+14155550123',
+  email: '@risky',
+  city: '-cmd|calc',
+  status: '-42.5',
+  owner_id: 7,
+  tags: ['vip', 'spring'],
+  follow_up_at: undefined,
+  custom_attributes: { budget: '+1000', notes: '\tindented' },
+};
+
+const options = { attributeColumns: ['budget', 'notes'], firstStage: 'new' };
+
+test('CSV rows quote formula-like text but leave phone numbers and numbers alone', () => {
+  const row = buildExportRow(lead, { ...options, format: 'csv' });
+
+  assert.deepEqual(row, [
+    '1001',
+    '2030-06-03T13:00:00+00:00',
+    '',
+    'new',
+    '\'=HYPERLINK("http://evil.example","click")',
+    '+14155550123',
+    '\'@risky',
+    '\'-cmd|calc',
+    '-42.5',
+    '7',
+    'vip, spring',
+    '',
+    '+1000',
+    '\'\tindented',
+  ]);
+});
+
+test('XLSX rows keep every value as written', () => {
+  const row = buildExportRow(lead, { ...options, format: 'xlsx' });
+
+  assert.equal(row[4], lead.name);
+  assert.equal(row[6], '@risky');
+  assert.equal(row[7], '-cmd|calc');
+  assert.equal(row[13], '\tindented');
+});
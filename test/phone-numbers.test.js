@@ -0,0 +1,41 @@
+// test/phone-numbers.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The Supabase client is created on import; the default country is read on import too
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-service-role-key';
+process.env.DEFAULT_PHONE_COUNTRY = 'US';
+
+const { toE164, fromVonageNumber } = await import('../phone-numbers.js');
+
+test('national numbers are read in the given country', () => {
+  assert.equal(toE164('(415) 555-0100', 'US'), '+14155550100');
+  assert.equal(toE164('415-555-2671', 'us'), '+14155552671');
+  assert.equal(toE164('07400 123456', 'GB'), '+447400123456');
+  assert.equal(toE164('030 901820', 'DE'), '+4930901820');
+});
+
+test('the default country applies when none or an unknown one is given', () => {
+  assert.equal(toE164('201 555 0123'), '+12015550123');
+  assert.equal(toE164('201 555 0123', 'XX'), '+12015550123');
+});
+
+test('numbers with a country code keep it whatever the default country', () => {
+  assert.equal(toE164('+44 7400 123456', 'US'), '+447400123456');
+  assert.equal(toE164('0049 30 901820', 'DE'), '+4930901820');
+  assert.equal(toE164('+1 415 555 2671 ext 5', 'GB'), '+14155552671');
+});
+
+test('invalid or missing numbers give null', () => {
+  for (const raw of ['12345', 'not a number', '', '   ', null, undefined, '07700 900123']) {
+    assert.equal(toE164(raw, 'GB'), null, `${raw} should be invalid`);
+  }
+});
+
+test('Vonage numbers without the + are read as international', () => {
+  assert.equal(fromVonageNumber('14155552671'), '+14155552671');
+  assert.equal(fromVonageNumber('+447400123456'), '+447400123456');
+  assert.equal(fromVonageNumber(''), null);
+});
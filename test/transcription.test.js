@@ -0,0 +1,75 @@
+// test/transcription.test.js
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The OpenAI client is created on import; the tests below never call it
+process.env.OPENAI_API_KEY ||= 'test-openai-key';
+
+const {
+  createFakeTranscriber,
+  createOpenAITranscriber,
+  setTranscriber,
+  transcribeRecording,
+} = await import('../transcription.js');
+
+afterEach(() => {
+  setTranscriber(createFakeTranscriber());
+});
+
+test('the fake transcriber returns its canned text without downloading audio', async () => {
+  const transcriber = createFakeTranscriber('Caller: Can I move my booking to Friday?');
+  setTranscriber(transcriber);
+  let downloads = 0;
+
+  const result = await transcribeRecording({
+    recordingUrl: 'https://api.nexmo.com/v1/files/recording-1',
+    fetchAudio: async () => {
+      downloads += 1;
+      return '/tmp/unused.mp3';
+    },
+  });
+
+  assert.deepEqual(result, { text: 'Caller: Can I move my booking to Friday?', provider: 'fake' });
+  assert.deepEqual(transcriber.requests, ['https://api.nexmo.com/v1/files/recording-1']);
+  assert.equal(downloads, 0);
+});
+
+test('the fake transcriber has a default transcript', async () => {
+  setTranscriber(createFakeTranscriber());
+
+  const { text } = await transcribeRecording({ recordingUrl: 'https://example.com/recording.mp3', fetchAudio: async () => null });
+
+  assert.match(text, /book an appointment/);
+});
+
+test('the OpenAI transcriber sends the downloaded audio and trims the transcript', async () => {
+  const filePath = path.join(os.tmpdir(), `transcription-test-${process.pid}.mp3`);
+  fs.writeFileSync(filePath, 'audio');
+  const calls = [];
+  const client = {
+    audio: {
+      transcriptions: {
+        create: async ({ file, model }) => {
+          const chunks = [];
+          for await (const chunk of file) chunks.push(chunk);
+          calls.push({ audio: Buffer.concat(chunks).toString(), model });
+          return { text: '  Caller: Hello there.  ' };
+        },
+      },
+    },
+  };
+
+  try {
+    setTranscriber(createOpenAITranscriber(client, 'whisper-test'));
+    const result = await transcribeRecording({ recordingUrl: 'https://example.com/recording.mp3', fetchAudio: async () => filePath });
+
+    assert.deepEqual(result, { text: 'Caller: Hello there.', provider: 'openai' });
+    assert.deepEqual(calls, [{ audio: 'audio', model: 'whisper-test' }]);
+  } finally {
+    fs.unlinkSync(filePath);
+  }
+});
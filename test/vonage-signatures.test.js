@@ -0,0 +1,122 @@
+// test/vonage-signatures.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+// The secret is read on import
+process.env.VONAGE_SIGNATURE_SECRET = 'test-signature-secret';
+
+const {
+  signVonageParams,
+  isValidVonageSmsSignature,
+  isValidVonageCallbackJwt,
+} = await import('../vonage-signatures.js');
+
+const SECRET = process.env.VONAGE_SIGNATURE_SECRET;
+
+function inboundSms(overrides = {}) {
+  return {
+    msisdn: '14155550123',
+    to: '14155550100',
+    messageId: '0A0000001234567B',
+    text: 'Hi & welcome = yes',
+    type: 'text',
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    ...overrides,
+  };
+}
+
+test('signatures cover every parameter but sig, sorted, with & and = replaced', () => {
+  const signature = signVonageParams({ b: '2', a: 'x&y=z', sig: 'ignored' }, SECRET, 'sha256');
+
+  const again = signVonageParams({ a: 'x_y_z', b: '2' }, SECRET, 'sha256');
+  assert.equal(signature, again);
+  assert.match(signature, /^[0-9A-F]{64}$/);
+  assert.match(signVonageParams({ a: '1' }, SECRET, 'md5hash'), /^[0-9A-F]{32}$/);
+  assert.throws(() => signVonageParams({ a: '1' }, SECRET, 'sha384'), /Unsupported/);
+});
+
+test('a correctly signed, recent SMS webhook is accepted', () => {
+  const params = inboundSms();
+  params.sig = signVonageParams(params, SECRET);
+
+  assert.equal(isValidVonageSmsSignature(params), true);
+  assert.equal(isValidVonageSmsSignature({ ...params, sig: params.sig.toLowerCase() }), true);
+});
+
+test('a webhook signed with another secret or changed after signing is rejected', () => {
+  const params = inboundSms();
+  params.sig = signVonageParams(params, 'another-secret');
+  assert.equal(isValidVonageSmsSignature(params), false);
+
+  const tampered = inboundSms();
+  tampered.sig = signVonageParams(tampered, SECRET);
+  tampered.text = 'Send me your password';
+  assert.equal(isValidVonageSmsSignature(tampered), false);
+});
+
+test('a webhook without a signature or with a stale timestamp is rejected', () => {
+  assert.equal(isValidVonageSmsSignature(inboundSms()), false);
+
+  const stale = inboundSms({ timestamp: String(Math.floor(Date.now() / 1000) - 10 * 60) });
+  stale.sig = signVonageParams(stale, SECRET);
+  assert.equal(isValidVonageSmsSignature(stale), false);
+
+  const garbled = inboundSms({ timestamp: 'yesterday' });
+  garbled.sig = signVonageParams(garbled, SECRET);
+  assert.equal(isValidVonageSmsSignature(garbled), false);
+});
+
+function signJwt(payload, secret = SECRET, header = { alg: 'HS256', typ: 'JWT' }) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode(header)}.${encode(payload)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+function callbackClaims(body, overrides = {}) {
+  return {
+    iat: Math.floor(Date.now() / 1000),
+    jti: 'test-jti',
+    payload_hash: crypto.createHash('sha256').update(body).digest('hex'),
+    ...overrides,
+  };
+}
+
+const CALLBACK_BODY = JSON.stringify({ uuid: 'call-1', status: 'answered' });
+
+test('a signed callback JWT carrying the body hash is accepted', () => {
+  assert.equal(isValidVonageCallbackJwt(signJwt(callbackClaims(CALLBACK_BODY)), Buffer.from(CALLBACK_BODY)), true);
+});
+
+test('a callback without a body may leave out the payload hash', () => {
+  const { payload_hash: _hash, ...claims } = callbackClaims('');
+  assert.equal(isValidVonageCallbackJwt(signJwt(claims), ''), true);
+});
+
+test('a callback JWT signed with another secret or a different algorithm is rejected', () => {
+  const claims = callbackClaims(CALLBACK_BODY);
+
+  assert.equal(isValidVonageCallbackJwt(signJwt(claims, 'another-secret'), CALLBACK_BODY), false);
+  assert.equal(isValidVonageCallbackJwt(signJwt(claims, SECRET, { alg: 'none' }), CALLBACK_BODY), false);
+  assert.equal(isValidVonageCallbackJwt('not-a-jwt', CALLBACK_BODY), false);
+  assert.equal(isValidVonageCallbackJwt(undefined, CALLBACK_BODY), false);
+});
+
+test('a callback whose body does not match the hash in its JWT is rejected', () => {
+  const token = signJwt(callbackClaims(CALLBACK_BODY));
+  assert.equal(isValidVonageCallbackJwt(token, JSON.stringify({ uuid: 'call-2', status: 'answered' })), false);
+});
+
+test('a callback with a body but no payload hash is rejected', () => {
+  const { payload_hash: _hash, ...claims } = callbackClaims(CALLBACK_BODY);
+  assert.equal(isValidVonageCallbackJwt(signJwt(claims), CALLBACK_BODY), false);
+});
+
+test('a stale or expired callback JWT is rejected', () => {
+  const now = Math.floor(Date.now() / 1000);
+
+  assert.equal(isValidVonageCallbackJwt(signJwt(callbackClaims(CALLBACK_BODY, { iat: now - 10 * 60 })), CALLBACK_BODY), false);
+  assert.equal(isValidVonageCallbackJwt(signJwt(callbackClaims(CALLBACK_BODY, { exp: now - 1 })), CALLBACK_BODY), false);
+  assert.equal(isValidVonageCallbackJwt(signJwt(callbackClaims(CALLBACK_BODY, { iat: undefined })), CALLBACK_BODY), false);
+});
@@ -0,0 +1,113 @@
+// test/webhook-queue.test.js
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The Supabase client is created on import; the memory store below never uses it
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-service-role-key';
+
+const {
+  createMemoryQueueStore,
+  setQueueStore,
+  registerQueueHandler,
+  enqueueWebhookEvent,
+  processQueuedEvents,
+  getBackoffDelay,
+} = await import('../webhook-queue.js');
+
+const MINUTE = 60 * 1000;
+
+let store;
+let calls;
+
+beforeEach(() => {
+  store = createMemoryQueueStore();
+  setQueueStore(store);
+  calls = [];
+});
+
+registerQueueHandler('test_ok', async (payload) => {
+  calls.push(payload);
+});
+
+registerQueueHandler('test_fail', async () => {
+  throw new Error('send failed');
+});
+
+test('processes a queued job once and marks it done', async () => {
+  const job = await enqueueWebhookEvent('test_ok', { n: 1 });
+
+  assert.equal(await processQueuedEvents(), 1);
+  assert.equal(await processQueuedEvents(), 0);
+
+  assert.deepEqual(calls, [{ n: 1 }]);
+  const stored = store.jobs.get(job.id);
+  assert.equal(stored.status, 'done');
+  assert.equal(stored.attempts, 1);
+  assert.equal(stored.locked_at, null);
+});
+
+test('only one worker can claim a job', async () => {
+  await enqueueWebhookEvent('test_ok', {});
+  const now = new Date();
+  const [due] = await store.fetchDue(10, now);
+
+  assert.equal(await store.claim(due, now), true);
+  assert.equal(await store.claim(due, now), false);
+});
+
+test('retries a failed job later with backoff', async () => {
+  const job = await enqueueWebhookEvent('test_fail', {});
+  const before = Date.now();
+
+  await processQueuedEvents();
+
+  const stored = store.jobs.get(job.id);
+  assert.equal(stored.status, 'pending');
+  assert.equal(stored.attempts, 1);
+  assert.equal(stored.last_error, 'send failed');
+  assert.ok(new Date(stored.run_at).getTime() >= before + 30 * 1000);
+
+  // Not due yet, so the next run leaves it alone
+  assert.equal(await processQueuedEvents(), 0);
+});
+
+test('backoff grows with each attempt and is capped', () => {
+  assert.ok(getBackoffDelay(1) >= 30 * 1000 && getBackoffDelay(1) < 33 * 1000);
+  assert.ok(getBackoffDelay(3) >= 120 * 1000 && getBackoffDelay(3) < 132 * 1000);
+  assert.ok(getBackoffDelay(20) <= 66 * MINUTE);
+});
+
+test('moves a job to the dead letter after its last attempt', async () => {
+  const job = await enqueueWebhookEvent('test_fail', {});
+  store.jobs.get(job.id).attempts = 4;
+
+  await processQueuedEvents();
+
+  const stored = store.jobs.get(job.id);
+  assert.equal(stored.status, 'dead_letter');
+  assert.equal(stored.attempts, 5);
+  assert.equal(stored.last_error, 'send failed');
+});
+
+test('recovers jobs locked by a crashed worker', async () => {
+  const stale = await enqueueWebhookEvent('test_ok', { stale: true });
+  const fresh = await enqueueWebhookEvent('test_ok', { fresh: true });
+  Object.assign(store.jobs.get(stale.id), { status: 'processing', locked_at: new Date(Date.now() - 10 * MINUTE).toISOString() });
+  Object.assign(store.jobs.get(fresh.id), { status: 'processing', locked_at: new Date().toISOString() });
+
+  assert.equal(await processQueuedEvents(), 1);
+
+  assert.deepEqual(calls, [{ stale: true }]);
+  assert.equal(store.jobs.get(stale.id).status, 'done');
+  assert.equal(store.jobs.get(fresh.id).status, 'processing');
+});
+
+test('fails jobs without a registered handler', async () => {
+  const job = await enqueueWebhookEvent('test_unknown', {});
+
+  await processQueuedEvents();
+
+  assert.match(store.jobs.get(job.id).last_error, /No handler registered/);
+});
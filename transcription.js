@@ -0,0 +1,73 @@
+// transcription.js
+
+import fs from 'fs';
+import openai from './openaiClient.js';
+
+const DEFAULT_TRANSCRIPTION_MODEL = process.env.TRANSCRIPTION_MODEL || 'whisper-1';
+
+/**
+ * Transcriber backed by OpenAI's speech-to-text API.
+ * A transcriber has one method, transcribe({ recordingUrl, fetchAudio }), resolving to { text };
+ * fetchAudio() downloads the recording and resolves to a local file path.
+ * @param {object} [client] - OpenAI client.
+ * @param {string} [model] - Speech-to-text model.
+ * @returns {object} - The transcriber.
+ */
+export function createOpenAITranscriber(client = openai, model = DEFAULT_TRANSCRIPTION_MODEL) {
+  return {
+    name: 'openai',
+
+    async transcribe({ fetchAudio }) {
+      const filePath = await fetchAudio();
+      const result = await client.audio.transcriptions.create({
+        file: fs.createReadStream(filePath),
+        model,
+      });
+      return { text: (result.text || '').trim() };
+    },
+  };
+}
+
+/**
+ * Transcriber with the same interface that returns canned text without downloading anything,
+ * for local development and tests.
+ * @param {string} [text] - The transcript to return.
+ * @returns {object} - The transcriber; `requests` records each recording URL it was asked for.
+ */
+export function createFakeTranscriber(text = 'Caller: Hi, I would like to book an appointment for Tuesday afternoon. Can someone call me back?') {
+  const requests = [];
+
+  return {
+    name: 'fake',
+    requests,
+
+    async transcribe({ recordingUrl }) {
+      requests.push(recordingUrl);
+      return { text };
+    },
+  };
+}
+
+let transcriber = process.env.TRANSCRIPTION_DRIVER === 'fake'
+  ? createFakeTranscriber()
+  : createOpenAITranscriber();
+
+/**
+ * Replace the transcriber, e.g. with createFakeTranscriber() in tests.
+ * @param {object} newTranscriber - A transcriber created by one of the factories above.
+ */
+export function setTranscriber(newTranscriber) {
+  transcriber = newTranscriber;
+}
+
+/**
+ * Transcribe a call recording with the current transcriber.
+ * @param {object} recording - The recording.
+ * @param {string} recording.recordingUrl - Where the provider stores the recording.
+ * @param {Function} recording.fetchAudio - async () => local file path of the downloaded audio.
+ * @returns {Promise<{text: string, provider: string}>} - The transcript and the transcriber that produced it.
+ */
+export async function transcribeRecording(recording) {
+  const { text } = await transcriber.transcribe(recording);
+  return { text, provider: transcriber.name };
+}
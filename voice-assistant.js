@@ -0,0 +1,488 @@
+// voice-assistant.js
+
+import express from 'express';
+import supabase from './supabaseClient.js';
+import { assistantHandler } from './assistant.js';
+import { getBusinessPhoneCountry, toE164, toVonageNumber } from './phone-numbers.js';
+import { storeCallRecording } from './call-recordings.js';
+import { recordCallEvent } from './call-logs.js';
+import { requireVonageCallbackJwt } from './vonage-signatures.js';
+
+const router = express.Router();
+
+// Every route here is a Vonage callback (NCCO input, transfer, voicemail, events and recordings)
+router.use(requireVonageCallbackJwt);
+
+const DEFAULT_VOICE_LANGUAGE = 'en-US';
+
+// Consecutive prompts without any speech before the assistant says goodbye
+const MAX_SILENT_PROMPTS = 2;
+
+// Earlier turns of the same call given to the assistant
+const CALL_HISTORY_LIMIT = 30;
+
+const TRANSFER_RING_SECONDS = 25;
+const VOICEMAIL_MAX_SECONDS = 120;
+
+// Connect statuses meaning nobody picked up the transfer
+const TRANSFER_FAILED_STATUSES = ['busy', 'timeout', 'unanswered', 'failed', 'rejected', 'cancelled'];
+
+const FALLBACK_MESSAGE = "Sorry, I'm having trouble right now.";
+
+/**
+ * Build the public base URL Vonage should call back on, from the request it just made.
+ * @param {object} req - Express request.
+ * @returns {string} - e.g. "https://example.com".
+ */
+export function getWebhookBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Build a talk action the caller can interrupt by speaking.
+ * @param {string} text - What to say.
+ * @param {string} language - BCP-47 language, e.g. "en-US".
+ * @returns {object} - The NCCO action.
+ */
+function talk(text, language) {
+  return { action: 'talk', text, language, bargeIn: true };
+}
+
+/**
+ * Build an input action that listens for the caller's next sentence.
+ * @param {string} baseUrl - Public base URL of this app.
+ * @param {string} language - BCP-47 language.
+ * @param {number} [silentPrompts] - Prompts in a row that have gone unanswered so far.
+ * @returns {object} - The NCCO action.
+ */
+function listen(baseUrl, language, silentPrompts = 0) {
+  return {
+    action: 'input',
+    type: ['speech'],
+    eventUrl: [`${baseUrl}/voice/input?silence=${silentPrompts}`],
+    speech: { language, endOnSilence: 1.5, startTimeout: 8, maxDuration: 30 },
+  };
+}
+
+/**
+ * Build the NCCO that asks the caller to leave a voicemail.
+ * @param {string} baseUrl - Public base URL of this app.
+ * @param {string} language - BCP-47 language.
+ * @param {string} [intro] - What to say before the beep.
+ * @returns {Array<object>} - The NCCO.
+ */
+export function voicemailNcco(baseUrl, language, intro = 'Please leave a message after the tone.') {
+  return [
+    { action: 'talk', text: `${intro} Press the pound key when you are done.`, language },
+    {
+      action: 'record',
+      beepStart: true,
+      endOnSilence: 3,
+      endOnKey: '#',
+      timeOut: VOICEMAIL_MAX_SECONDS,
+      eventUrl: [`${baseUrl}/voice/voicemail`],
+    },
+    { action: 'talk', text: 'Thank you, we will get back to you soon. Goodbye.', language },
+  ];
+}
+
+/**
+ * Fetch a call started by startVoiceCall.
+ * @param {string} column - 'call_uuid' or 'conversation_uuid'.
+ * @param {string} value - The Vonage UUID.
+ * @returns {Promise<object|null>} - The voice_calls row or null if unknown.
+ */
+export async function fetchVoiceCall(column, value) {
+  if (!value) return null;
+  const { data, error } = await supabase
+    .from('voice_calls')
+    .select('*')
+    .eq(column, value)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`[ERROR] Failed to fetch voice call ${value}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Update a call's status or outcome.
+ * @param {string} callUuid - The Vonage call UUID.
+ * @param {object} fields - Columns to set.
+ */
+export async function updateVoiceCall(callUuid, fields) {
+  const { error } = await supabase
+    .from('voice_calls')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('call_uuid', callUuid);
+
+  if (error) {
+    console.error(`[ERROR] Failed to update voice call ${callUuid}:`, error.message);
+  }
+}
+
+/**
+ * Log one spoken turn so later turns of the same call can see it.
+ * @param {object} call - The voice_calls row.
+ * @param {string} role - 'customer' or 'assistant'.
+ * @param {string} message - What was said.
+ */
+export async function recordVoiceTurn(call, role, message) {
+  const { error } = await supabase
+    .from('voice_call_turns')
+    .insert([{ call_uuid: call.call_uuid, business_id: call.business_id, role, message }]);
+
+  if (error) {
+    console.error(`[ERROR] Failed to log ${role} turn for call ${call.call_uuid}:`, error.message);
+  }
+}
+
+/**
+ * Load the turns spoken so far on a call as chat messages.
+ * Memory is scoped to the call, so one caller's earlier calls do not leak into this one.
+ * @param {string} callUuid - The Vonage call UUID.
+ * @returns {Promise<Array<{role: string, content: string}>>} - Turns, oldest first.
+ */
+async function fetchVoiceCallHistory(callUuid) {
+  const { data, error } = await supabase
+    .from('voice_call_turns')
+    .select('role, message')
+    .eq('call_uuid', callUuid)
+    .order('created_at', { ascending: false })
+    .limit(CALL_HISTORY_LIMIT);
+
+  if (error) {
+    console.error(`[ERROR] Failed to fetch turns for call ${callUuid}:`, error.message);
+    return [];
+  }
+
+  return (data || []).reverse().map((turn) => ({
+    role: turn.role === 'customer' ? 'user' : 'assistant',
+    content: turn.message,
+  }));
+}
+
+/**
+ * Fetch the voice settings of a business.
+ * @param {number} businessId - The business ID.
+ * @returns {Promise<object>} - { name, voice_language, voice_greeting, voice_after_hours_greeting, call_transfer_number, call_recording_enabled }.
+ */
+export async function getVoiceSettings(businessId) {
+  const { data, error } = await supabase
+    .from('businesses')
+    .select('name, voice_language, voice_greeting, voice_after_hours_greeting, call_transfer_number, call_recording_enabled')
+    .eq('id', businessId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`[ERROR] Failed to fetch voice settings for business ${businessId}:`, error.message);
+  }
+  return {
+    ...(data || {}),
+    voice_language: data?.voice_language || DEFAULT_VOICE_LANGUAGE,
+  };
+}
+
+/**
+ * Log an answered inbound call before the assistant or a call flow takes it.
+ * @param {object} params - The call.
+ * @param {string} params.callUuid - Vonage call UUID.
+ * @param {string} [params.conversationUuid] - Vonage conversation UUID, shared with transferred legs.
+ * @param {number} params.businessId - The business that owns the called number.
+ * @param {string} params.caller - Caller's number (E.164 when known).
+ * @param {string} params.called - The business's number (E.164).
+ * @param {string} [params.trackingLabel] - Attribution label of the called number, e.g. a location or campaign.
+ * @returns {Promise<object>} - The business's voice settings.
+ */
+export async function startVoiceCall({ callUuid, conversationUuid = null, businessId, caller, called, trackingLabel = null }) {
+  const settings = await getVoiceSettings(businessId);
+  const callFields = {
+    conversation_uuid: conversationUuid,
+    business_id: businessId,
+    caller,
+    called,
+    tracking_label: trackingLabel,
+    status: 'in_progress',
+    recorded: Boolean(settings.call_recording_enabled),
+  };
+
+  // The event webhook may have logged the call while it rang; keep its start time
+  const { data: inserted, error } = await supabase
+    .from('voice_calls')
+    .upsert([{ call_uuid: callUuid, ...callFields, started_at: new Date().toISOString() }], { onConflict: ['call_uuid'], ignoreDuplicates: true })
+    .select('call_uuid');
+
+  if (error) {
+    console.error(`[ERROR] Failed to store voice call ${callUuid}:`, error.message);
+  } else if (!inserted?.length) {
+    await updateVoiceCall(callUuid, callFields);
+  }
+  return settings;
+}
+
+/**
+ * Build the actions that record the whole call, transfers included, and tell the caller so.
+ * @param {object} settings - The business's voice settings.
+ * @param {string} baseUrl - Public base URL of this app.
+ * @returns {Array<object>} - The NCCO actions, or none if the business does not record calls.
+ */
+export function recordingNcco(settings, baseUrl) {
+  if (!settings.call_recording_enabled) return [];
+  return [
+    {
+      action: 'record',
+      format: 'mp3',
+      split: 'conversation',
+      channels: 2,
+      eventUrl: [`${baseUrl}/voice/recording`],
+    },
+    { action: 'talk', text: 'This call may be recorded.', language: settings.voice_language },
+  ];
+}
+
+/**
+ * Hand a logged call to the assistant: greet the caller and listen for a reply.
+ * @param {object} call - { call_uuid, business_id } of the call.
+ * @param {object} settings - The business's voice settings.
+ * @param {string} baseUrl - Public base URL of this app.
+ * @param {object} [options] - Assistant options.
+ * @param {boolean} [options.afterHours] - Answer as the after-hours assistant, which cannot transfer to staff.
+ * @returns {Promise<Array<object>>} - The NCCO.
+ */
+export async function assistantNcco(call, settings, baseUrl, { afterHours = false } = {}) {
+  const businessName = settings.name ? ` ${settings.name}` : '';
+  const greeting = afterHours
+    ? settings.voice_after_hours_greeting
+      || `Thanks for calling${businessName}. We're closed right now, but I can help you book an appointment or take a message.`
+    : settings.voice_greeting || `Thanks for calling${businessName}. How can I help you today?`;
+
+  if (afterHours) await updateVoiceCall(call.call_uuid, { after_hours: true });
+  await recordVoiceTurn(call, 'assistant', greeting);
+  return [talk(greeting, settings.voice_language), listen(baseUrl, settings.voice_language)];
+}
+
+/**
+ * Start the assistant on an answered inbound call.
+ * Businesses that turn on call recording record the whole call, transfers included, and tell the caller so.
+ * @param {object} params - The call, as for startVoiceCall.
+ * @param {string} params.baseUrl - Public base URL of this app.
+ * @returns {Promise<Array<object>>} - The NCCO (optionally recording), greeting the caller and listening for a reply.
+ */
+export async function answerVoiceCall(params) {
+  const settings = await startVoiceCall(params);
+  const call = { call_uuid: params.callUuid, business_id: params.businessId };
+  return [
+    ...recordingNcco(settings, params.baseUrl),
+    ...await assistantNcco(call, settings, params.baseUrl),
+  ];
+}
+
+/**
+ * Build the NCCO that hands the call to staff, or to voicemail if no transfer number is set.
+ * @param {object} call - The voice_calls row.
+ * @param {object} settings - The business's voice settings.
+ * @param {string} message - The assistant's last reply.
+ * @param {string} baseUrl - Public base URL of this app.
+ * @returns {Promise<Array<object>>} - The NCCO.
+ */
+async function transferNcco(call, settings, message, baseUrl) {
+  const language = settings.voice_language;
+  const country = await getBusinessPhoneCountry(call.business_id);
+  const transferTo = settings.call_transfer_number ? toE164(settings.call_transfer_number, country) : null;
+
+  if (!transferTo) {
+    await updateVoiceCall(call.call_uuid, { outcome: 'voicemail' });
+    return voicemailNcco(baseUrl, language, `${message} Nobody is available to take your call right now, so please leave a message after the tone.`);
+  }
+
+  await updateVoiceCall(call.call_uuid, { outcome: 'transferring', transferred_to: transferTo });
+  return [
+    { action: 'talk', text: message, language },
+    {
+      action: 'connect',
+      from: toVonageNumber(call.called),
+      timeout: TRANSFER_RING_SECONDS,
+      eventType: 'synchronous',
+      eventUrl: [`${baseUrl}/voice/transfer`],
+      endpoint: [{ type: 'phone', number: toVonageNumber(transferTo) }],
+    },
+  ];
+}
+
+/**
+ * Vonage speech input webhook: answers what the caller said and listens again.
+ * POST /voice/input
+ */
+router.post('/input', async (req, res) => {
+  const baseUrl = getWebhookBaseUrl(req);
+  const call = await fetchVoiceCall('call_uuid', req.body?.uuid);
+  if (!call) {
+    console.warn('[WARN] Speech input for unknown call:', req.body?.uuid);
+    return res.json([{ action: 'talk', text: 'Sorry, we cannot process your call at this time.' }]);
+  }
+
+  const settings = await getVoiceSettings(call.business_id);
+  const language = settings.voice_language;
+
+  try {
+    const transcript = req.body.speech?.results?.[0]?.text?.trim();
+
+    if (!transcript) {
+      const silentPrompts = (parseInt(req.query.silence, 10) || 0) + 1;
+      if (silentPrompts >= MAX_SILENT_PROMPTS) {
+        await updateVoiceCall(call.call_uuid, { outcome: 'no_response' });
+        return res.json([{ action: 'talk', text: "I didn't hear anything, so I'll let you go. Goodbye.", language }]);
+      }
+      return res.json([
+        talk("Sorry, I didn't catch that. How can I help?", language),
+        listen(baseUrl, language, silentPrompts),
+      ]);
+    }
+
+    const history = await fetchVoiceCallHistory(call.call_uuid);
+    await recordVoiceTurn(call, 'customer', transcript);
+
+    const reply = await assistantHandler({
+      userMessage: transcript,
+      businessId: call.business_id,
+      platform: 'phone',
+      contactPhone: call.caller,
+      history,
+      callControls: true,
+      afterHours: Boolean(call.after_hours),
+    });
+    const message = reply.message || FALLBACK_MESSAGE;
+    await recordVoiceTurn(call, 'assistant', message);
+
+    if (reply.callAction?.type === 'transfer') {
+      return res.json(await transferNcco(call, settings, message, baseUrl));
+    }
+    if (reply.callAction?.type === 'voicemail') {
+      await updateVoiceCall(call.call_uuid, { outcome: 'voicemail' });
+      return res.json(voicemailNcco(baseUrl, language, message));
+    }
+
+    return res.json([talk(message, language), listen(baseUrl, language)]);
+  } catch (err) {
+    console.error(`[ERROR] Failed to handle speech input for call ${call.call_uuid}:`, err.message);
+    return res.json(voicemailNcco(baseUrl, language, `${FALLBACK_MESSAGE} Please leave a message after the tone.`));
+  }
+});
+
+/**
+ * Vonage connect webhook for transfers: sends the caller to voicemail if staff do not pick up.
+ * POST /voice/transfer
+ */
+router.post('/transfer', async (req, res) => {
+  try {
+    const { status, conversation_uuid: conversationUuid } = req.body || {};
+    const call = await fetchVoiceCall('conversation_uuid', conversationUuid);
+    if (!call) return res.sendStatus(204);
+
+    if (status === 'answered') {
+      await updateVoiceCall(call.call_uuid, { outcome: 'transferred' });
+      return res.sendStatus(204);
+    }
+
+    if (TRANSFER_FAILED_STATUSES.includes(status)) {
+      console.log(`[INFO] Transfer for call ${call.call_uuid} ended with ${status}, offering voicemail.`);
+      await updateVoiceCall(call.call_uuid, { outcome: 'voicemail' });
+      const { voice_language: language } = await getVoiceSettings(call.business_id);
+      return res.json(voicemailNcco(getWebhookBaseUrl(req), language, 'Sorry, nobody could take your call.'));
+    }
+
+    return res.sendStatus(204);
+  } catch (err) {
+    console.error('[ERROR] Failed to handle transfer event:', err.message);
+    return res.sendStatus(204);
+  }
+});
+
+/**
+ * Vonage record webhook: stores a finished voicemail.
+ * POST /voice/voicemail
+ */
+router.post('/voicemail', async (req, res) => {
+  try {
+    const { uuid, recording_url: recordingUrl, recording_uuid: recordingUuid, start_time: startTime, end_time: endTime } = req.body || {};
+    const call = await fetchVoiceCall('call_uuid', uuid);
+    if (!call || !recordingUrl) {
+      console.warn('[WARN] Voicemail for unknown call or without a recording:', uuid);
+      return res.sendStatus(204);
+    }
+
+    const durationSeconds = startTime && endTime
+      ? Math.max(0, Math.round((new Date(endTime) - new Date(startTime)) / 1000))
+      : null;
+
+    const { error } = await supabase
+      .from('voicemails')
+      .upsert([{
+        business_id: call.business_id,
+        call_uuid: call.call_uuid,
+        caller: call.caller,
+        recording_url: recordingUrl,
+        recording_uuid: recordingUuid,
+        duration_seconds: durationSeconds,
+      }], { onConflict: ['recording_uuid'], ignoreDuplicates: true });
+
+    if (error) {
+      console.error(`[ERROR] Failed to store voicemail for call ${call.call_uuid}:`, error.message);
+      return res.sendStatus(500);
+    }
+
+    console.log(`[INFO] Stored voicemail for call ${call.call_uuid} (${durationSeconds ?? '?'}s).`);
+    return res.sendStatus(204);
+  } catch (err) {
+    console.error('[ERROR] Failed to handle voicemail event:', err.message);
+    return res.sendStatus(500);
+  }
+});
+
+/**
+ * Vonage event webhook: logs call status changes, duration and outcome.
+ * POST /voice/event
+ */
+router.post('/event', async (req, res) => {
+  try {
+    await recordCallEvent(req.body || {});
+    return res.sendStatus(204);
+  } catch (err) {
+    console.error('[ERROR] Failed to handle call event:', err.message);
+    return res.sendStatus(500);
+  }
+});
+
+/**
+ * Vonage record webhook for whole-call recordings: stores the recording and queues its transcription.
+ * POST /voice/recording
+ */
+router.post('/recording', async (req, res) => {
+  try {
+    const {
+      uuid,
+      conversation_uuid: conversationUuid,
+      recording_url: recordingUrl,
+      recording_uuid: recordingUuid,
+      start_time: startTime,
+      end_time: endTime,
+    } = req.body || {};
+
+    const call = await fetchVoiceCall('conversation_uuid', conversationUuid) || await fetchVoiceCall('call_uuid', uuid);
+    if (!call || !recordingUrl || !recordingUuid) {
+      console.warn('[WARN] Recording for unknown call or without a recording:', conversationUuid || uuid);
+      return res.sendStatus(204);
+    }
+
+    await storeCallRecording(call, { recordingUrl, recordingUuid, startTime, endTime });
+    console.log(`[INFO] Stored recording ${recordingUuid} for call ${call.call_uuid}.`);
+    return res.sendStatus(204);
+  } catch (err) {
+    console.error('[ERROR] Failed to handle recording event:', err.message);
+    return res.sendStatus(500);
+  }
+});
+
+export default router;
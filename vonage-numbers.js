@@ -0,0 +1,471 @@
+// vonage-numbers.js
+
+import crypto from 'crypto';
+import express from 'express';
+import Joi from 'joi';
+import supabase from './supabaseClient.js';
+import { requireBusinessAccess } from './helpers.js';
+import {
+  VONAGE_NUMBER_FEATURES,
+  VONAGE_NUMBER_TYPES,
+  searchAvailableNumbers,
+  purchaseBusinessNumber,
+  releaseBusinessNumber,
+  configureNumberWebhooks,
+  addBusinessNumber,
+  getNumberCountry,
+} from './vonage.js';
+import { getBusinessPhoneCountry, isValidPhoneCountry, parsePhoneNumber, toVonageNumber } from './phone-numbers.js';
+
+const router = express.Router();
+
+export const PORT_STATUSES = ['submitted', 'in_progress', 'completed', 'rejected', 'cancelled'];
+
+// Port requests in these states can no longer change
+const FINAL_PORT_STATUSES = ['completed', 'rejected', 'cancelled'];
+
+// Shared secret for the operator who handles ports with the carrier; only they can move a port forward
+const PORTING_ADMIN_TOKEN = process.env.PORTING_ADMIN_TOKEN;
+
+const countrySchema = Joi.string().length(2).uppercase().custom((value, helpers) => (
+  isValidPhoneCountry(value) ? value : helpers.error('any.invalid')
+));
+
+const searchSchema = Joi.object({
+  business_id: Joi.any(),
+  country: countrySchema,
+  area_code: Joi.string().pattern(/^\d{1,6}$/),
+  features: Joi.string().pattern(new RegExp(`^(${VONAGE_NUMBER_FEATURES.join('|')})(,(${VONAGE_NUMBER_FEATURES.join('|')}))*$`)),
+  type: Joi.string().valid(...VONAGE_NUMBER_TYPES),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+});
+
+const purchaseSchema = Joi.object({
+  business_id: Joi.any(),
+  country: countrySchema.required(),
+  msisdn: Joi.string().pattern(/^\d{6,15}$/).required(),
+  label: Joi.string().trim().max(100).allow(null, ''),
+});
+
+const numberUpdateSchema = Joi.object({
+  business_id: Joi.any(),
+  label: Joi.string().trim().max(100).allow(null, ''),
+  is_primary: Joi.boolean().valid(true),
+}).or('label', 'is_primary');
+
+const portRequestSchema = Joi.object({
+  business_id: Joi.any(),
+  phone_number: Joi.string().trim().max(30).required(),
+  current_carrier: Joi.string().trim().max(100).required(),
+  label: Joi.string().trim().max(100).allow(null, ''),
+  notes: Joi.string().trim().max(2000).allow(null, ''),
+});
+
+// Business owners can only add notes or cancel their own request
+const portUpdateSchema = Joi.object({
+  business_id: Joi.any(),
+  status: Joi.string().valid('cancelled'),
+  notes: Joi.string().trim().max(2000).allow(null, ''),
+}).or('status', 'notes');
+
+const portAdminUpdateSchema = Joi.object({
+  status: Joi.string().valid(...PORT_STATUSES),
+  foc_date: Joi.date().iso().allow(null),
+  carrier_reference: Joi.string().trim().max(100).allow(null, ''),
+  notes: Joi.string().trim().max(2000).allow(null, ''),
+}).or('status', 'foc_date', 'carrier_reference', 'notes');
+
+/**
+ * Express middleware that only lets the porting operator through, authenticated with
+ * `Authorization: Bearer <PORTING_ADMIN_TOKEN>`.
+ */
+function requirePortingAdmin(req, res, next) {
+  const expected = Buffer.from(`Bearer ${PORTING_ADMIN_TOKEN || ''}`);
+  const actual = Buffer.from(req.headers.authorization || '');
+  if (!PORTING_ADMIN_TOKEN || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    console.warn('[WARN] Rejected port update without a valid porting admin token.');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  return next();
+}
+
+/**
+ * Apply a status change or details to an open port request.
+ * Completing it adds the number to the business and points it at our webhooks.
+ * @param {object} port - The number_port_requests row.
+ * @param {object} changes - Validated changes.
+ * @returns {Promise<object>} - The updated port request.
+ * @throws {Error} - With a `status` property if the port is closed or the number is taken.
+ */
+async function updatePortRequest(port, changes) {
+  if (FINAL_PORT_STATUSES.includes(port.status)) {
+    const error = new Error(`Port request is already ${port.status}`);
+    error.status = 409;
+    throw error;
+  }
+
+  const update = { ...changes, updated_at: new Date().toISOString() };
+  if (changes.status === 'completed') {
+    const number = await addBusinessNumber(port.business_id, {
+      country: port.country,
+      msisdn: toVonageNumber(port.phone_number),
+      label: port.label,
+      source: 'ported',
+    });
+    update.vonage_number_id = number.id;
+    update.completed_at = update.updated_at;
+  }
+
+  const { data, error } = await supabase
+    .from('number_port_requests')
+    .update(update)
+    .eq('id', port.id)
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to update port request ${port.id}: ${error.message}`);
+  return data;
+}
+
+/**
+ * Fetch one of the business's numbers.
+ * @param {number} businessId - The business ID.
+ * @param {string} numberId - The vonage_numbers row ID.
+ * @returns {Promise<object|null>} - The number or null if the business has no such number.
+ * @throws {Error} - If the lookup fails.
+ */
+async function fetchBusinessNumber(businessId, numberId) {
+  const { data, error } = await supabase
+    .from('vonage_numbers')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('id', numberId)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to fetch number ${numberId}: ${error.message}`);
+  return data;
+}
+
+/**
+ * GET /vonage-numbers?business_id=123&include_released=true
+ * Lists the business's numbers, primary first.
+ */
+router.get('/', requireBusinessAccess, async (req, res) => {
+  try {
+    let query = supabase
+      .from('vonage_numbers')
+      .select('*')
+      .eq('business_id', req.businessId)
+      .order('is_primary', { ascending: false, nullsFirst: false })
+      .order('created_at', { ascending: true });
+    if (req.query.include_released !== 'true') query = query.is('released_at', null);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('[ERROR] Failed to fetch business numbers:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch numbers' });
+    }
+    return res.status(200).json({ numbers: data });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching business numbers:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /vonage-numbers/search?business_id=123&country=US&area_code=415&features=SMS,VOICE&type=mobile-lvn
+ * Searches numbers available to buy. The country defaults to the business's phone country.
+ */
+router.get('/search', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = searchSchema.validate(req.query);
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const country = value.country || await getBusinessPhoneCountry(req.businessId);
+    const numbers = await searchAvailableNumbers({
+      country,
+      areaCode: value.area_code,
+      features: value.features ? value.features.split(',') : [],
+      type: value.type,
+      size: value.limit,
+    });
+    return res.status(200).json({ country, numbers });
+  } catch (err) {
+    console.error('[ERROR] Failed to search available numbers:', err.message);
+    return res.status(502).json({ error: 'Failed to search numbers', details: err.message });
+  }
+});
+
+/**
+ * POST /vonage-numbers
+ * Buys a number found through search and points it at our webhooks.
+ * Body: { business_id, country, msisdn, label }. The label attributes calls, e.g. to a location or campaign.
+ */
+router.post('/', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = purchaseSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const number = await purchaseBusinessNumber(req.businessId, {
+      country: value.country,
+      msisdn: value.msisdn,
+      label: value.label || null,
+    });
+    return res.status(201).json(number);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('[ERROR] Failed to purchase number:', err.message);
+    return res.status(502).json({ error: 'Failed to purchase number', details: err.message });
+  }
+});
+
+/**
+ * GET /vonage-numbers/ports?business_id=123
+ * Lists requests to port existing numbers in, newest first.
+ */
+router.get('/ports', requireBusinessAccess, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('number_port_requests')
+      .select('*')
+      .eq('business_id', req.businessId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('[ERROR] Failed to fetch port requests:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch port requests' });
+    }
+    return res.status(200).json({ ports: data });
+  } catch (err) {
+    console.error('[ERROR] Exception while fetching port requests:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /vonage-numbers/ports
+ * Starts tracking a request to port an existing number in.
+ * Body: { business_id, phone_number, current_carrier, label, notes }.
+ */
+router.post('/ports', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = portRequestSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const parsed = parsePhoneNumber(value.phone_number, await getBusinessPhoneCountry(req.businessId));
+    if (!parsed?.valid || !parsed.country) {
+      return res.status(400).json({ error: 'phone_number must be a valid phone number' });
+    }
+
+    const { data, error } = await supabase
+      .from('number_port_requests')
+      .insert([{
+        business_id: req.businessId,
+        phone_number: parsed.e164,
+        country: parsed.country,
+        current_carrier: value.current_carrier,
+        label: value.label || null,
+        notes: value.notes || null,
+        status: 'submitted',
+        requested_by: req.businessOwnerId,
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A port request for this number is already open' });
+      }
+      console.error('[ERROR] Failed to create port request:', error.message);
+      return res.status(500).json({ error: 'Failed to create port request' });
+    }
+    return res.status(201).json(data);
+  } catch (err) {
+    console.error('[ERROR] Exception while creating port request:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PATCH /vonage-numbers/ports/:portId
+ * Adds notes to a port request or cancels it. Body: { business_id, status: 'cancelled', notes }.
+ * Progress and completion come from the porting operator, not the business.
+ */
+router.patch('/ports/:portId', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = portUpdateSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+    const { business_id: _businessId, ...changes } = value;
+
+    const { data: port, error: fetchError } = await supabase
+      .from('number_port_requests')
+      .select('*')
+      .eq('business_id', req.businessId)
+      .eq('id', req.params.portId)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('[ERROR] Failed to fetch port request:', fetchError.message);
+      return res.status(500).json({ error: 'Failed to fetch port request' });
+    }
+    if (!port) {
+      return res.status(404).json({ error: 'Port request not found' });
+    }
+
+    return res.status(200).json(await updatePortRequest(port, changes));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('[ERROR] Exception while updating port request:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PATCH /vonage-numbers/admin/ports/:portId
+ * Records the carrier's progress on a port request. Body: { status, foc_date, carrier_reference, notes }.
+ * Marking it completed adds the number to the business that requested it. Porting operator only.
+ */
+router.patch('/admin/ports/:portId', requirePortingAdmin, async (req, res) => {
+  try {
+    const { error: validationError, value } = portAdminUpdateSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const { data: port, error: fetchError } = await supabase
+      .from('number_port_requests')
+      .select('*')
+      .eq('id', req.params.portId)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('[ERROR] Failed to fetch port request:', fetchError.message);
+      return res.status(500).json({ error: 'Failed to fetch port request' });
+    }
+    if (!port) {
+      return res.status(404).json({ error: 'Port request not found' });
+    }
+
+    const updated = await updatePortRequest(port, value);
+    console.log(`[INFO] Port request ${port.id} for business ${port.business_id} updated to ${updated.status}.`);
+    return res.status(200).json(updated);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('[ERROR] Exception while updating port request:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PATCH /vonage-numbers/:numberId
+ * Updates a number's attribution label, or makes it the number the business sends from.
+ * Body: { business_id, label, is_primary: true }.
+ */
+router.patch('/:numberId', requireBusinessAccess, async (req, res) => {
+  try {
+    const { error: validationError, value } = numberUpdateSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+
+    const number = await fetchBusinessNumber(req.businessId, req.params.numberId);
+    if (!number || number.released_at) {
+      return res.status(404).json({ error: 'Number not found' });
+    }
+
+    const update = {};
+    if (value.label !== undefined) update.label = value.label || null;
+    if (value.is_primary) {
+      const { error: clearError } = await supabase
+        .from('vonage_numbers')
+        .update({ is_primary: false })
+        .eq('business_id', req.businessId)
+        .neq('id', number.id);
+
+      if (clearError) {
+        console.error('[ERROR] Failed to clear primary number:', clearError.message);
+        return res.status(500).json({ error: 'Failed to update number' });
+      }
+      update.is_primary = true;
+    }
+
+    const { data, error } = await supabase
+      .from('vonage_numbers')
+      .update(update)
+      .eq('id', number.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[ERROR] Failed to update number:', error.message);
+      return res.status(500).json({ error: 'Failed to update number' });
+    }
+    return res.status(200).json(data);
+  } catch (err) {
+    console.error('[ERROR] Exception while updating number:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /vonage-numbers/:numberId/configure
+ * Points the number's call and SMS webhooks at PUBLIC_BASE_URL again, e.g. after a domain change.
+ */
+router.post('/:numberId/configure', requireBusinessAccess, async (req, res) => {
+  try {
+    const number = await fetchBusinessNumber(req.businessId, req.params.numberId);
+    if (!number || number.released_at) {
+      return res.status(404).json({ error: 'Number not found' });
+    }
+
+    const webhooks = await configureNumberWebhooks({ country: getNumberCountry(number), msisdn: number.vonage_number });
+
+    const { error } = await supabase
+      .from('vonage_numbers')
+      .update({ webhooks_configured_at: new Date().toISOString() })
+      .eq('id', number.id);
+
+    if (error) {
+      console.error('[ERROR] Failed to record webhook configuration:', error.message);
+    }
+    return res.status(200).json({ id: number.id, webhooks });
+  } catch (err) {
+    console.error('[ERROR] Failed to configure number webhooks:', err.message);
+    return res.status(502).json({ error: 'Failed to configure number', details: err.message });
+  }
+});
+
+/**
+ * DELETE /vonage-numbers/:numberId
+ * Releases the number back to Vonage. Past calls keep their attribution.
+ */
+router.delete('/:numberId', requireBusinessAccess, async (req, res) => {
+  try {
+    const number = await fetchBusinessNumber(req.businessId, req.params.numberId);
+    if (!number || number.released_at) {
+      return res.status(404).json({ error: 'Number not found' });
+    }
+
+    const released = await releaseBusinessNumber(number);
+    return res.status(200).json(released);
+  } catch (err) {
+    console.error('[ERROR] Failed to release number:', err.message);
+    return res.status(502).json({ error: 'Failed to release number', details: err.message });
+  }
+});
+
+export default router;
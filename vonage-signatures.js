@@ -0,0 +1,154 @@
+// vonage-signatures.js
+
+import crypto from 'crypto';
+
+// Signature secret and method from the Vonage dashboard (API settings > signed webhooks)
+const VONAGE_SIGNATURE_SECRET = process.env.VONAGE_SIGNATURE_SECRET;
+const VONAGE_SIGNATURE_METHOD = (process.env.VONAGE_SIGNATURE_METHOD || 'md5hash').toLowerCase();
+
+// Signature methods Vonage offers; 'md5hash' appends the secret instead of using an HMAC
+const HMAC_ALGORITHMS = ['md5', 'sha1', 'sha256', 'sha512'];
+
+// Signed requests older or newer than this are replays or badly skewed clocks
+const MAX_SIGNATURE_AGE_SECONDS = 5 * 60;
+
+/**
+ * Compare two signatures in constant time.
+ * @param {string} actual - The signature that was sent.
+ * @param {string} expected - The signature we computed.
+ * @returns {boolean} - True if they match.
+ */
+function signaturesMatch(actual, expected) {
+  const actualBuffer = Buffer.from(actual);
+  const expectedBuffer = Buffer.from(expected);
+  return actualBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(actualBuffer, expectedBuffer);
+}
+
+/**
+ * Sign SMS webhook parameters the way Vonage does: every parameter but `sig`, sorted by name,
+ * joined as "&name=value" with '&' and '=' in values replaced by '_'.
+ * @param {object} params - The webhook parameters.
+ * @param {string} secret - The account's signature secret.
+ * @param {string} [method] - 'md5hash', 'md5', 'sha1', 'sha256' or 'sha512'.
+ * @returns {string} - The signature in upper-case hex.
+ */
+export function signVonageParams(params, secret, method = VONAGE_SIGNATURE_METHOD) {
+  const signedQuery = Object.keys(params)
+    .filter((key) => key !== 'sig')
+    .sort()
+    .map((key) => `&${key}=${String(params[key]).replace(/[&=]/g, '_')}`)
+    .join('');
+
+  if (method === 'md5hash') {
+    return crypto.createHash('md5').update(signedQuery + secret).digest('hex').toUpperCase();
+  }
+  if (!HMAC_ALGORITHMS.includes(method)) {
+    throw new Error(`Unsupported Vonage signature method: ${method}`);
+  }
+  return crypto.createHmac(method, secret).update(signedQuery).digest('hex').toUpperCase();
+}
+
+/**
+ * Check the `sig` on a signed Vonage SMS webhook (inbound messages and delivery receipts).
+ * The signed `timestamp` must be recent, so a captured request cannot be replayed later.
+ * @param {object} params - The webhook parameters, query and body combined.
+ * @returns {boolean} - True if the request was signed with our signature secret.
+ */
+export function isValidVonageSmsSignature(params) {
+  if (!VONAGE_SIGNATURE_SECRET) {
+    console.error('[ERROR] VONAGE_SIGNATURE_SECRET is not set; rejecting Vonage webhook.');
+    return false;
+  }
+  if (typeof params.sig !== 'string' || !params.timestamp) {
+    console.warn('[WARN] Vonage webhook is missing its signature or timestamp.');
+    return false;
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(params.timestamp, 10));
+  if (!(age <= MAX_SIGNATURE_AGE_SECONDS)) {
+    console.warn(`[WARN] Vonage webhook timestamp ${params.timestamp} is outside the allowed window.`);
+    return false;
+  }
+
+  const expected = signVonageParams(params, VONAGE_SIGNATURE_SECRET);
+  if (!signaturesMatch(params.sig.toUpperCase(), expected)) {
+    console.warn('[WARN] Vonage webhook signature does not match.');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Decode one base64url segment of a JWT as JSON.
+ * @param {string} segment - The encoded segment.
+ * @returns {object|null} - The decoded object, or null if it is not valid JSON.
+ */
+function decodeJwtSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Check the JWT Vonage sends with signed Voice API callbacks.
+ * The token is HS256-signed with our signature secret and carries a SHA-256 hash of the request body,
+ * so a valid token cannot be reused with a different body.
+ * @param {string} token - The token from the Authorization header.
+ * @param {Buffer|string} rawBody - The raw request body, empty for requests without one.
+ * @returns {boolean} - True if the callback came from Vonage.
+ */
+export function isValidVonageCallbackJwt(token, rawBody = '') {
+  if (!VONAGE_SIGNATURE_SECRET) {
+    console.error('[ERROR] VONAGE_SIGNATURE_SECRET is not set; rejecting Vonage callback.');
+    return false;
+  }
+
+  const [encodedHeader, encodedPayload, signature] = String(token || '').split('.');
+  const header = encodedHeader ? decodeJwtSegment(encodedHeader) : null;
+  const payload = encodedPayload ? decodeJwtSegment(encodedPayload) : null;
+  if (!header || !payload || !signature || header.alg !== 'HS256') {
+    console.warn('[WARN] Vonage callback has a missing or malformed JWT.');
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', VONAGE_SIGNATURE_SECRET)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest('base64url');
+  if (!signaturesMatch(signature, expected)) {
+    console.warn('[WARN] Vonage callback JWT signature does not match.');
+    return false;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!(Math.abs(now - payload.iat) <= MAX_SIGNATURE_AGE_SECONDS) || (payload.exp && payload.exp < now)) {
+    console.warn('[WARN] Vonage callback JWT is expired or outside the allowed window.');
+    return false;
+  }
+  if (process.env.VONAGE_APPLICATION_ID && payload.application_id && payload.application_id !== process.env.VONAGE_APPLICATION_ID) {
+    console.warn(`[WARN] Vonage callback JWT is for another application: ${payload.application_id}`);
+    return false;
+  }
+
+  // A request with a body must carry its hash; Vonage leaves it out only when there is no body
+  const bodyHash = crypto.createHash('sha256').update(rawBody || '').digest('hex');
+  if ((payload.payload_hash || rawBody?.length) && !signaturesMatch(String(payload.payload_hash || ''), bodyHash)) {
+    console.warn('[WARN] Vonage callback body does not match the hash in its JWT.');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Express middleware that only lets signed Vonage Voice API callbacks through.
+ * Expects the raw body on req.rawBody (kept by the JSON parser in index.js).
+ */
+export function requireVonageCallbackJwt(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !isValidVonageCallbackJwt(token, req.rawBody)) {
+    return res.status(401).json({ error: 'Invalid Vonage signature' });
+  }
+  return next();
+}
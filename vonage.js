@@ -1,6 +1,9 @@
 import { Vonage } from '@vonage/server-sdk';
 import supabase from './supabaseClient.js';
-import { assistantHandler } from './assistant.js';
+import { getWebhookBaseUrl } from './voice-assistant.js';
+import { routeInboundCall } from './call-flows.js';
+import { resolveContact } from './contact-identity.js';
+import { fromVonageNumber, getBusinessPhoneCountry, getCallingCode, parsePhoneNumber, toVonageNumber } from './phone-numbers.js';
 
 const vonage = new Vonage({
   apiKey: process.env.VONAGE_API_KEY,
@@ -9,44 +12,222 @@ const vonage = new Vonage({
   privateKey: process.env.VONAGE_PRIVATE_KEY,
 });
 
+// Number features Vonage can search and filter on
+export const VONAGE_NUMBER_FEATURES = ['SMS', 'VOICE', 'MMS'];
+
+// Number types Vonage sells
+export const VONAGE_NUMBER_TYPES = ['landline', 'mobile-lvn', 'landline-toll-free'];
+
+// Function to search numbers available to buy; an area code is matched right after the country calling code
+export const searchAvailableNumbers = async ({ country, areaCode = null, features = [], type = null, size = 10 }) => {
+  const callingCode = getCallingCode(country);
+  if (!callingCode) throw new Error(`Unsupported country: ${country}`);
+
+  const params = { country: country.toUpperCase(), size };
+  if (areaCode) {
+    params.pattern = `${callingCode}${areaCode}`;
+    params.searchPattern = 0; // Starts with
+  }
+  if (features.length) params.features = features.join(',');
+  if (type) params.type = type;
+
+  const response = await vonage.numbers.getAvailableNumbers(params);
+  return (response?.numbers || []).map((number) => ({
+    msisdn: number.msisdn,
+    phone_number: fromVonageNumber(number.msisdn),
+    country: number.country,
+    type: number.type,
+    features: number.features || [],
+    monthly_cost: number.cost ?? null,
+  }));
+};
+
+// Function to get the public URL numbers send their webhooks to; a request's Host header is not trusted for this
+const getPublicBaseUrl = () => {
+  if (!process.env.PUBLIC_BASE_URL) throw new Error('PUBLIC_BASE_URL is not set');
+  return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+};
+
+// Function to point a number at our webhooks: calls go through the application, inbound SMS and call status come straight to us
+export const configureNumberWebhooks = async ({ country, msisdn }) => {
+  const baseUrl = getPublicBaseUrl();
+  await vonage.numbers.updateNumber({
+    country,
+    msisdn,
+    appId: process.env.VONAGE_APPLICATION_ID,
+    moHttpUrl: `${baseUrl}/sms-webhook/inbound`,
+    voiceStatusCallback: `${baseUrl}/voice/event`,
+  });
+  return { answer_url: `${baseUrl}/api/inbound-call`, event_url: `${baseUrl}/voice/event`, inbound_sms_url: `${baseUrl}/sms-webhook/inbound` };
+};
+
+// Function to build an error the API can report with a specific status code
+const numberError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Function to refuse a number another unreleased row already holds, in either stored form
+const assertNumberAvailable = async (msisdn) => {
+  const { data, error } = await supabase
+    .from('vonage_numbers')
+    .select('id')
+    .in('vonage_number', [msisdn, `+${msisdn}`])
+    .is('released_at', null)
+    .limit(1);
+  if (error) throw new Error(`Database error: ${error.message}`);
+  if (data?.length) throw numberError(`Number ${msisdn} is already in use`, 409);
+};
+
+// Function to store a number the business now owns (bought or ported in) and configure its webhooks
+// vonage_numbers is unique on vonage_number among unreleased rows, so a number has one owner at a time
+export const addBusinessNumber = async (businessId, { country, msisdn, label = null, source = 'purchased' }) => {
+  await assertNumberAvailable(msisdn);
+
+  let webhooksConfigured = true;
+  try {
+    await configureNumberWebhooks({ country, msisdn });
+  } catch (error) {
+    // The number is still ours; the business can retry the configuration from the API
+    console.error(`[ERROR] Failed to configure webhooks for ${msisdn}:`, error.message);
+    webhooksConfigured = false;
+  }
+
+  const { count } = await supabase
+    .from('vonage_numbers')
+    .select('id', { count: 'exact', head: true })
+    .eq('business_id', businessId)
+    .is('released_at', null);
+
+  const { data, error } = await supabase
+    .from('vonage_numbers')
+    .insert([{
+      business_id: businessId,
+      vonage_number: msisdn,
+      country,
+      label,
+      source,
+      is_primary: !count,
+      webhooks_configured_at: webhooksConfigured ? new Date().toISOString() : null,
+    }])
+    .select()
+    .single();
+  if (error?.code === '23505') throw numberError(`Number ${msisdn} is already in use`, 409); // Unique violation error
+  if (error) throw new Error(`Database error: ${error.message}`);
+  return data;
+};
+
+// Function to buy a number for a business
+export const purchaseBusinessNumber = async (businessId, { country, msisdn, label = null }) => {
+  await assertNumberAvailable(msisdn);
+  const response = await vonage.numbers.buyNumber({ country, msisdn });
+  if (response?.errorCode && String(response.errorCode) !== '200') {
+    throw new Error(response.errorCodeLabel || `Vonage refused the purchase (${response.errorCode})`);
+  }
+  console.log(`[INFO] Bought number ${msisdn} (${country}) for business ${businessId}.`);
+
+  try {
+    return await addBusinessNumber(businessId, { country, msisdn, label, source: 'purchased' });
+  } catch (error) {
+    // Give the number back so we are not billed for a number no business has on record
+    try {
+      const response = await vonage.numbers.cancelNumber({ country, msisdn });
+      if (response?.errorCode && String(response.errorCode) !== '200') {
+        throw new Error(response.errorCodeLabel || `Vonage refused the release (${response.errorCode})`);
+      }
+      console.log(`[INFO] Cancelled number ${msisdn} after it could not be stored.`);
+    } catch (cancelError) {
+      console.error(`[ERROR] Failed to cancel unstored number ${msisdn}:`, cancelError.message);
+    }
+    throw error;
+  }
+};
+
+// Function to work out a stored number's country; rows from before countries were stored only have the number
+export const getNumberCountry = (number) => number.country || parsePhoneNumber(fromVonageNumber(number.vonage_number))?.country || null;
+
+// Function to give a number back to Vonage; the row is kept so past calls stay attributed to it
+export const releaseBusinessNumber = async (number) => {
+  const response = await vonage.numbers.cancelNumber({ country: getNumberCountry(number), msisdn: number.vonage_number });
+  if (response?.errorCode && String(response.errorCode) !== '200') {
+    throw new Error(response.errorCodeLabel || `Vonage refused the release (${response.errorCode})`);
+  }
+
+  const { data, error } = await supabase
+    .from('vonage_numbers')
+    .update({ released_at: new Date().toISOString(), is_primary: false })
+    .eq('id', number.id)
+    .select()
+    .single();
+  if (error) throw new Error(`Database error: ${error.message}`);
+  console.log(`[INFO] Released number ${number.vonage_number} for business ${number.business_id}.`);
+  return data;
+};
+
 // Function to dynamically assign Vonage number
 export const assignVonageNumberDynamically = async (businessId) => {
   try {
-    const availableNumbers = await vonage.number.search({ country: 'US' });
-    if (availableNumbers.numbers.length === 0) throw new Error('No available numbers found');
-    const selectedNumber = availableNumbers.numbers[0].msisdn;
-    await vonage.number.buy({ country: 'US', msisdn: selectedNumber });
-
-    const { error } = await supabase
-      .from('vonage_numbers')
-      .insert([{ business_id: businessId, vonage_number: selectedNumber }]);
-    if (error) throw new Error(`Database error: ${error.message}`);
-    return selectedNumber;
+    const country = await getBusinessPhoneCountry(businessId);
+    const availableNumbers = await searchAvailableNumbers({ country, features: ['SMS', 'VOICE'], size: 1 });
+    if (availableNumbers.length === 0) throw new Error('No available numbers found');
+    const number = await purchaseBusinessNumber(businessId, { country, msisdn: availableNumbers[0].msisdn });
+    return number.vonage_number;
   } catch (error) {
     console.error('[ERROR] Failed to assign Vonage number:', error.message);
     throw error;
   }
 };
 
+// Function to find the active business number a call or SMS was sent to
+export const findVonageNumber = async (e164) => {
+  // Numbers are stored the way Vonage sends them, but older rows may hold the + form
+  const { data, error } = await supabase
+    .from('vonage_numbers')
+    .select('id, business_id, label')
+    .in('vonage_number', [toVonageNumber(e164), e164])
+    .is('released_at', null)
+    .order('id', { ascending: true }) // Rows from before the unique index may repeat a number; the first owner keeps it
+    .limit(1)
+    .maybeSingle();
+  if (error) {
+    console.error(`[ERROR] Failed to look up Vonage number ${e164}:`, error.message);
+    return null;
+  }
+  return data;
+};
+
 // Function to handle inbound calls
 export const handleInboundCall = async (req, res) => {
   try {
-    const { to, from } = req.body;
-    const { data: businessData, error: businessError } = await supabase
-      .from('vonage_numbers')
-      .select('business_id')
-      .eq('vonage_number', to)
-      .single();
-    if (businessError || !businessData) {
+    const to = fromVonageNumber(req.body.to);
+    // Withheld or malformed caller IDs are kept as sent so the call is still answered
+    const from = fromVonageNumber(req.body.from) || req.body.from;
+    if (!to) {
+      return res.json([{ action: 'talk', text: 'Sorry, we cannot process your call at this time.' }]);
+    }
+    const businessData = await findVonageNumber(to);
+    if (!businessData) {
       return res.json([{ action: 'talk', text: 'Sorry, we cannot process your call at this time.' }]);
     }
-    const assistantResponse = await assistantHandler({
-      userMessage: `Inbound call received from ${from}. How should I assist?`,
+    await resolveContact({
       businessId: businessData.business_id,
-      platform: 'phone',
+      sourceType: 'caller',
+      sourceId: from,
+      phone: from,
     });
-    return res.json([{ action: 'talk', text: assistantResponse.message || 'Thank you for calling.' }]);
+    const ncco = await routeInboundCall({
+      callUuid: req.body.uuid,
+      conversationUuid: req.body.conversation_uuid,
+      businessId: businessData.business_id,
+      caller: from,
+      called: to,
+      trackingLabel: businessData.label,
+      baseUrl: getWebhookBaseUrl(req),
+    });
+    return res.json(ncco);
   } catch (error) {
+    console.error('[ERROR] Failed to answer inbound call:', error.message);
     return res.json([{ action: 'talk', text: 'Unable to process your call.' }]);
   }
 };
@@ -64,10 +245,35 @@ export const makeOutboundCall = async (to, from, text) => {
   }
 };
 
+// Function to look up the number a business sends from: its primary number, else its oldest active one
+export const getBusinessVonageNumber = async (businessId) => {
+  const { data, error } = await supabase
+    .from('vonage_numbers')
+    .select('vonage_number')
+    .eq('business_id', businessId)
+    .is('released_at', null)
+    .order('is_primary', { ascending: false, nullsFirst: false })
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+  if (error) {
+    console.error(`[ERROR] Failed to fetch Vonage number for business ${businessId}:`, error.message);
+    return null;
+  }
+  return data?.vonage_number || null;
+};
+
+// Function to convert a number to the format Vonage sends to, throwing if it is not a valid number
+const toVonageRecipient = (number) => {
+  const e164 = fromVonageNumber(number);
+  if (!e164) throw new Error(`Invalid phone number: ${number}`);
+  return toVonageNumber(e164);
+};
+
 // Function to send SMS
-export const sendSMS = async (to, text) => {
+export const sendSMS = async (to, text, from = process.env.VONAGE_PHONE_NUMBER) => {
   try {
-    const response = await vonage.sms.send({ to, from: process.env.VONAGE_PHONE_NUMBER, text });
+    const response = await vonage.sms.send({ to: toVonageRecipient(to), from: toVonageRecipient(from), text });
     return response;
   } catch (error) {
     console.error('[ERROR] Failed to send SMS:', error.message);
@@ -76,11 +282,11 @@ export const sendSMS = async (to, text) => {
 };
 
 // Function to make voice call
-export const makeCall = async (to, message) => {
+export const makeCall = async (to, message, from = process.env.VONAGE_PHONE_NUMBER) => {
   try {
     const response = await vonage.voice.createCall({
-      to: [{ type: 'phone', number: to }],
-      from: { type: 'phone', number: process.env.VONAGE_PHONE_NUMBER },
+      to: [{ type: 'phone', number: toVonageRecipient(to) }],
+      from: { type: 'phone', number: toVonageRecipient(from) },
       ncco: [{ action: 'talk', text: message }],
     });
     return response;
@@ -89,3 +295,14 @@ export const makeCall = async (to, message) => {
     throw error;
   }
 };
+
+// Function to download a call recording to a local file; recording URLs need the application's credentials
+export const downloadCallRecording = async (recordingUrl, filePath) => {
+  try {
+    await vonage.voice.downloadRecording(recordingUrl, filePath);
+    return filePath;
+  } catch (error) {
+    console.error('[ERROR] Failed to download call recording:', error.message);
+    throw error;
+  }
+};
@@ -0,0 +1,237 @@
+// webhook-queue.js
+
+import crypto from 'crypto';
+import cron from 'node-cron';
+import supabase from './supabaseClient.js';
+
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// Jobs stuck in 'processing' longer than this are assumed to belong to a crashed worker
+export const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_BATCH_SIZE = 10;
+
+/**
+ * Queue store backed by the `webhook_events` table.
+ * Columns: id, type, payload, status, attempts, run_at, locked_at, last_error, created_at, processed_at.
+ */
+export function createSupabaseQueueStore(client = supabase) {
+  return {
+    async insert(job) {
+      const { data, error } = await client.from('webhook_events').insert([job]).select().single();
+      if (error) throw new Error(`Failed to enqueue webhook event: ${error.message}`);
+      return data;
+    },
+
+    async fetchDue(limit, now) {
+      const staleLock = new Date(now.getTime() - LOCK_TIMEOUT_MS).toISOString();
+      const { data, error } = await client
+        .from('webhook_events')
+        .select('*')
+        .or(`and(status.eq.pending,run_at.lte.${now.toISOString()}),and(status.eq.processing,locked_at.lt.${staleLock})`)
+        .order('run_at', { ascending: true })
+        .limit(limit);
+      if (error) throw new Error(`Failed to fetch queued webhook events: ${error.message}`);
+      return data || [];
+    },
+
+    async claim(job, now) {
+      // Only one worker wins: the update matches the status/lock we read
+      let query = client
+        .from('webhook_events')
+        .update({ status: 'processing', locked_at: now.toISOString() })
+        .eq('id', job.id)
+        .eq('status', job.status);
+      query = job.locked_at ? query.eq('locked_at', job.locked_at) : query.is('locked_at', null);
+
+      const { data, error } = await query.select();
+      if (error) throw new Error(`Failed to claim webhook event ${job.id}: ${error.message}`);
+      return Boolean(data?.length);
+    },
+
+    async update(id, fields) {
+      const { error } = await client.from('webhook_events').update(fields).eq('id', id);
+      if (error) throw new Error(`Failed to update webhook event ${id}: ${error.message}`);
+    },
+  };
+}
+
+/**
+ * In-memory queue store with the same interface, for local development and tests.
+ */
+export function createMemoryQueueStore() {
+  const jobs = new Map();
+
+  return {
+    jobs,
+
+    async insert(job) {
+      const row = { id: crypto.randomUUID(), locked_at: null, created_at: new Date().toISOString(), ...job };
+      jobs.set(row.id, row);
+      return { ...row };
+    },
+
+    async fetchDue(limit, now) {
+      const staleLock = now.getTime() - LOCK_TIMEOUT_MS;
+      return [...jobs.values()]
+        .filter((job) =>
+          (job.status === 'pending' && new Date(job.run_at) <= now) ||
+          (job.status === 'processing' && new Date(job.locked_at).getTime() < staleLock))
+        .sort((a, b) => new Date(a.run_at) - new Date(b.run_at))
+        .slice(0, limit)
+        .map((job) => ({ ...job }));
+    },
+
+    async claim(job, now) {
+      const current = jobs.get(job.id);
+      if (!current || current.status !== job.status || current.locked_at !== job.locked_at) return false;
+      current.status = 'processing';
+      current.locked_at = now.toISOString();
+      return true;
+    },
+
+    async update(id, fields) {
+      const current = jobs.get(id);
+      if (current) Object.assign(current, fields);
+    },
+  };
+}
+
+let store = process.env.WEBHOOK_QUEUE_DRIVER === 'memory'
+  ? createMemoryQueueStore()
+  : createSupabaseQueueStore();
+
+const handlers = new Map();
+let draining = false;
+
+/**
+ * Replace the queue store, e.g. with createMemoryQueueStore() in tests.
+ * @param {object} newStore - A store created by one of the factories above.
+ */
+export function setQueueStore(newStore) {
+  store = newStore;
+}
+
+/**
+ * Register the function that processes jobs of a given type.
+ * The handler should throw to have the job retried.
+ * @param {string} type - Job type, e.g. 'instagram_messaging'.
+ * @param {Function} handler - async (payload) => void.
+ */
+export function registerQueueHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Exponential backoff with jitter for a failed attempt.
+ * @param {number} attempts - Attempts made so far.
+ * @returns {number} - Delay in milliseconds.
+ */
+export function getBackoffDelay(attempts) {
+  const delay = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+}
+
+/**
+ * Persist a webhook event for asynchronous processing.
+ * @param {string} type - Job type with a registered handler.
+ * @param {object} payload - The event payload.
+ * @returns {Promise<object>} - The stored job.
+ * @throws {Error} - If the event could not be stored.
+ */
+export async function enqueueWebhookEvent(type, payload) {
+  const job = await store.insert({
+    type,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    run_at: new Date().toISOString(),
+    last_error: null,
+  });
+  console.log(`[DEBUG] Enqueued ${type} webhook event ${job.id}`);
+  return job;
+}
+
+/**
+ * Run a single claimed job and record the outcome.
+ * Failed jobs are retried with backoff and dead-lettered after MAX_ATTEMPTS.
+ * @param {object} job - The claimed job.
+ */
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const attempts = (job.attempts || 0) + 1;
+
+  try {
+    if (!handler) throw new Error(`No handler registered for webhook event type: ${job.type}`);
+    await handler(job.payload);
+    await store.update(job.id, {
+      status: 'done',
+      attempts,
+      locked_at: null,
+      last_error: null,
+      processed_at: new Date().toISOString(),
+    });
+  } catch (err) {
+    if (attempts >= MAX_ATTEMPTS) {
+      console.error(`[ERROR] Webhook event ${job.id} failed ${attempts} times; moving to dead letter:`, err.message);
+      await store.update(job.id, { status: 'dead_letter', attempts, locked_at: null, last_error: err.message });
+      return;
+    }
+
+    const runAt = new Date(Date.now() + getBackoffDelay(attempts)).toISOString();
+    console.warn(`[WARN] Webhook event ${job.id} failed (attempt ${attempts}); retrying at ${runAt}:`, err.message);
+    await store.update(job.id, { status: 'pending', attempts, locked_at: null, run_at: runAt, last_error: err.message });
+  }
+}
+
+/**
+ * Claim and process due jobs until the queue is empty or the batch limit is reached.
+ * @param {object} [options] - Worker options.
+ * @param {number} [options.batchSize] - Maximum jobs to process in this run.
+ * @returns {Promise<number>} - Number of jobs processed.
+ */
+export async function processQueuedEvents({ batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  if (draining) return 0;
+  draining = true;
+
+  let processed = 0;
+  try {
+    while (processed < batchSize) {
+      const now = new Date();
+      const due = await store.fetchDue(batchSize - processed, now);
+      if (!due.length) break;
+
+      let claimedAny = false;
+      for (const job of due) {
+        if (!(await store.claim(job, now))) continue; // Another worker took it
+        claimedAny = true;
+        await runJob(job);
+        processed++;
+      }
+      if (!claimedAny) break;
+    }
+  } catch (err) {
+    console.error('[ERROR] Webhook queue worker failed:', err.message);
+  } finally {
+    draining = false;
+  }
+
+  if (processed) console.log(`[INFO] Processed ${processed} queued webhook events.`);
+  return processed;
+}
+
+/**
+ * Start processing in the background without holding up the caller.
+ */
+export function kickQueueWorker() {
+  setImmediate(() => {
+    processQueuedEvents().catch((err) =>
+      console.error('[ERROR] Background webhook queue run failed:', err.message)
+    );
+  });
+}
+
+if (process.env.NODE_ENV !== 'test') {
+  cron.schedule('* * * * *', () => processQueuedEvents({ batchSize: 50 })); // Runs every minute
+  console.log('[INFO] Webhook queue worker scheduler initialized.');
+}